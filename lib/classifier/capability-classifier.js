@@ -0,0 +1,176 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Implementation for a classifier of surface capability checks.
+ */
+
+'use strict';
+
+const {
+  findVariableNodeValue,
+  findStaticStringValue,
+} = require('./../utils/ast-utils');
+const {Classifier} = require('./response-classifier');
+
+// capabilities of the surface.
+const MEDIA_RESPONSE_AUDIO = 'actions.capability.MEDIA_RESPONSE_AUDIO';
+const SCREEN_OUTPUT = 'actions.capability.SCREEN_OUTPUT';
+
+/**
+ * Classifies an ASTNode as a check that the surface has a capability. The
+ * node is expected to be a condition, i.e. the test of an if-statement.
+ */
+class CapabilityClassifier extends Classifier {
+  /**
+   * Constructor.
+   * @param {EslintContext} context (contains AST metadata)
+   * @param {string} capability checked capability, i.e. SCREEN_OUTPUT.
+   * @param {Array<string>=} properties properties of the conversation object
+   * that are true when the surface has the capability, i.e. "screen".
+   */
+  constructor(context, capability, properties = []) {
+    super(context);
+    this._capability = capability;
+    this._properties = properties;
+  }
+
+  /**
+   * Classifies node as a capability check.
+   * @param {ASTNode} node
+   * @return {object} { certain: {bool}, result: {bool} }
+   * @override
+   */
+  classify(node) {
+    return this._createResponse(true, this.isCapabilityCheck(node));
+  }
+
+  /**
+   * Checks if the surface has the capability whenever the node is truthy.
+   * @example
+   * conv.surface.capabilities.has('actions.capability.SCREEN_OUTPUT'); // yes
+   * conv.available.surfaces.capabilities.has(SCREEN_OUTPUT); // yes
+   * conv.screen && conv.data.verbose; // yes, for the "screen" property
+   * conv.screen || conv.data.verbose; // no
+   *
+   * @param {ASTNode} node
+   * @param {Array<string>=} visited variables seen so far, to avoid cycles.
+   * @return {boolean}
+   */
+  isCapabilityCheck(node, visited = []) {
+    switch (node.type) {
+      case 'CallExpression':
+        return this._isHasCapabilityCall(node);
+      case 'MemberExpression':
+        return !node.computed &&
+            this._properties.indexOf(node.property.name) !== -1 &&
+            this.isConversationIdentifier(node.object);
+      case 'UnaryExpression':
+        return node.operator === '!' &&
+            this.isNegatedCapabilityCheck(node.argument, visited);
+      case 'LogicalExpression':
+        return node.operator === '&&' ?
+          this.isCapabilityCheck(node.left, visited) ||
+              this.isCapabilityCheck(node.right, visited) :
+          this.isCapabilityCheck(node.left, visited) &&
+              this.isCapabilityCheck(node.right, visited);
+      case 'Identifier': {
+        const valueNode = this._findVariableValue(node, visited);
+        return !!valueNode &&
+            this.isCapabilityCheck(valueNode, visited.concat(node.name));
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Checks if the surface has the capability whenever the node is falsy.
+   * @example
+   * !conv.surface.capabilities.has('actions.capability.SCREEN_OUTPUT'); // yes
+   * !conv.screen || conv.data.brief; // yes, for the "screen" property
+   *
+   * @param {ASTNode} node
+   * @param {Array<string>=} visited variables seen so far, to avoid cycles.
+   * @return {boolean}
+   */
+  isNegatedCapabilityCheck(node, visited = []) {
+    switch (node.type) {
+      case 'UnaryExpression':
+        return node.operator === '!' &&
+            this.isCapabilityCheck(node.argument, visited);
+      case 'LogicalExpression':
+        return node.operator === '||' ?
+          this.isNegatedCapabilityCheck(node.left, visited) ||
+              this.isNegatedCapabilityCheck(node.right, visited) :
+          this.isNegatedCapabilityCheck(node.left, visited) &&
+              this.isNegatedCapabilityCheck(node.right, visited);
+      case 'Identifier': {
+        const valueNode = this._findVariableValue(node, visited);
+        return !!valueNode && this.isNegatedCapabilityCheck(valueNode,
+            visited.concat(node.name));
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Checks if node is a call of the form
+   * conv.surface.capabilities.has(capability), where "surface" can be any
+   * property chain of the conversation object, i.e. "available.surfaces".
+   * @param {ASTNode} node CallExpression
+   * @return {boolean}
+   * @private
+   */
+  _isHasCapabilityCall(node) {
+    const callee = node.callee;
+    if (callee.type !== 'MemberExpression' || callee.computed ||
+        callee.property.name !== 'has' || node.arguments.length !== 1 ||
+        callee.object.type !== 'MemberExpression' ||
+        callee.object.property.name !== 'capabilities') {
+      return false;
+    }
+    let object = callee.object.object;
+    while (object.type === 'MemberExpression' && !object.computed) {
+      object = object.object;
+    }
+    return this.isConversationIdentifier(object) &&
+        findStaticStringValue(this._context.getScope(), node.arguments[0]) ===
+            this._capability;
+  }
+
+  /**
+   * Finds the value of a variable holding the result of a check, i.e.
+   *   const hasScreen = conv.screen;
+   * @param {ASTNode} identifier
+   * @param {Array<string>} visited
+   * @return {ASTNode?}
+   * @private
+   */
+  _findVariableValue(identifier, visited) {
+    if (visited.indexOf(identifier.name) !== -1) {
+      return undefined;
+    }
+    return findVariableNodeValue(this._context.getScope(), identifier);
+  }
+}
+
+module.exports = {
+  CapabilityClassifier,
+  MEDIA_RESPONSE_AUDIO,
+  SCREEN_OUTPUT,
+};
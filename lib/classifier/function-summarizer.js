@@ -0,0 +1,411 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Implementation of the summaries of the functions which receive
+ * the conversation object, i.e. helpers called from intent handlers, so rules
+ * can account for the responses they add at the call sites.
+ */
+
+'use strict';
+
+const last = require('lodash.last');
+const {findCalledFunction, isFunctionNode} = require('./../utils/ast-utils');
+const {getIterationCount} = require('./../utils/loop-utils');
+const {CodePathCountScopeManager} =
+    require('./../scope/code-path-count-scope-manager');
+const {CodePathPresenceScopeManager} =
+    require('./../scope/code-path-presence-scope-manager');
+const {createCodePathScopeListeners, mergeListeners} =
+    require('./../scope/scope-listeners');
+const {Classifier} = require('./response-classifier');
+const {SimpleResponseClassifier} = require('./simple-response-classifier');
+const {RichResponseClassifier} = require('./rich-response-classifier');
+const {HelperResponseClassifier} = require('./helper-response-classifier');
+const {SuggestionsClassifier} = require('./suggestions-classifier');
+
+// kinds of the responses added by a function. A final response closes the
+// conversation, and other responses are the ones not known to be of the other
+// kinds.
+const RESPONSE_KINDS = {
+  SIMPLE: 'simple',
+  RICH: 'rich',
+  HELPER: 'helper',
+  SUGGESTIONS: 'suggestions',
+  FINAL: 'final',
+  OTHER: 'other',
+};
+
+// kinds of the responses whose presence on every path is kept track of.
+const ALWAYS_KINDS = [
+  RESPONSE_KINDS.SIMPLE,
+  RESPONSE_KINDS.SUGGESTIONS,
+  RESPONSE_KINDS.FINAL,
+];
+
+/**
+ * Summary of the responses a function adds to the conversation object.
+ * @typedef {Object} FunctionSummary
+ * @property {number} simpleResponses highest number of simple responses added
+ * on a path returning from the function, Infinity if a loop adds an unknown
+ * number of them.
+ * @property {number} richCards highest number of rich cards added on a path
+ * returning from the function.
+ * @property {number} helpers highest number of helpers added on a path
+ * returning from the function.
+ * @property {Array<string>} kinds of the responses the function may add, of
+ * RESPONSE_KINDS.
+ * @property {Array<string>} alwaysKinds kinds of the responses added on every
+ * path returning from the function, of ALWAYS_KINDS. A response which may be
+ * simple counts as one, as in simple-response-before-rich-response.
+ * @property {boolean} alwaysResponds whether a response is added on every
+ * path returning from the function.
+ * @property {boolean} richBeforeSimple whether a rich response may be added
+ * before any simple response.
+ */
+
+/**
+ * Creates the summary of a function which adds no response.
+ * @return {FunctionSummary}
+ */
+function createSummary() {
+  return {
+    simpleResponses: 0,
+    richCards: 0,
+    helpers: 0,
+    kinds: [],
+    alwaysKinds: [],
+    alwaysResponds: false,
+    richBeforeSimple: false,
+  };
+}
+
+/**
+ * Adds the kinds to the list, unless they're already in it.
+ * @param {Array<string>} kinds
+ * @param {Array<string>} added
+ */
+function addKinds(kinds, added) {
+  for (const kind of added) {
+    if (kinds.indexOf(kind) === -1) {
+      kinds.push(kind);
+    }
+  }
+}
+
+/**
+ * Checks if the classifier is certain the node is of its kind.
+ * @param {Classifier} classifier
+ * @param {ASTNode} node
+ * @return {boolean}
+ */
+function isCertainly(classifier, node) {
+  const {certain, result} = classifier.classify(node);
+  return certain && result;
+}
+
+/**
+ * Marks the item of the manager as present on the current path.
+ * @param {CodePathPresenceScopeManager} manager
+ */
+function setPresent(manager) {
+  Object.assign(manager.currentScope(), {metadata: true});
+}
+
+/**
+ * Summarizes the functions of the file which receive the conversation
+ * object, and applies the summaries to the calls passing it to them. The
+ * functions are followed by the same code path scope managers as intent
+ * handlers are, while the rule traverses the file, so a function is
+ * summarized once it was traversed, and only its calls following it get its
+ * summary. Responses are counted the way the rules count them, taking the
+ * highest count of the paths returning from the function, and responses
+ * added inside of loops are counted for each iteration.
+ * @example
+ * function greet(conv) {
+ *   conv.ask('Hi!');
+ *   conv.ask('How are you?');
+ * }
+ * app.intent('welcome', (conv) => {
+ *   greet(conv); // 2 simple responses, always responds
+ * });
+ *
+ * Rules feed the summarizer with the traversal, i.e.
+ *   return mergeListeners(summarizer.createListeners(), {
+ *     'CallExpression': function(callExpression) {
+ *       const summary = summarizer.summarizeCall(callExpression);
+ *     },
+ *   });
+ */
+class FunctionSummarizer {
+  /**
+   * Constructor.
+   * @param {EslintContext} context
+   * @param {{richCardClasses: Array<string>}=} summaryOptions classes counted
+   *     as rich cards, see at-most-one-rich-card. All rich responses by
+   *     default.
+   */
+  constructor(context, summaryOptions = {}) {
+    this._context = context;
+    this._classifier = new Classifier(context);
+    this._simpleResponseClassifier = new SimpleResponseClassifier(context);
+    this._kindClassifiers = [
+      [RESPONSE_KINDS.SIMPLE, this._simpleResponseClassifier],
+      [RESPONSE_KINDS.RICH, new RichResponseClassifier(context)],
+      [RESPONSE_KINDS.HELPER, new HelperResponseClassifier(context)],
+      [RESPONSE_KINDS.SUGGESTIONS, new SuggestionsClassifier(context)],
+    ];
+    this._richCardClassifier =
+        new RichResponseClassifier(context, summaryOptions.richCardClasses);
+    // summaries of the traversed functions, by function node. A summary is
+    // incomplete if the function calls one which wasn't summarized yet.
+    this._records = [];
+    // summarized functions being traversed, innermost last.
+    this._stack = [];
+    this._counters = {};
+    for (const property of ['simpleResponses', 'richCards', 'helpers']) {
+      this._counters[property] = this._createManager(CodePathCountScopeManager,
+          (summary, count) => Object.assign(summary, {[property]: count}));
+    }
+    this._presences = {};
+    for (const kind of ALWAYS_KINDS) {
+      this._presences[kind] = this._createManager(
+          CodePathPresenceScopeManager, (summary, isPresent) => {
+            if (isPresent) {
+              summary.alwaysKinds.push(kind);
+            }
+          });
+    }
+    this._responds = this._createManager(CodePathPresenceScopeManager,
+        (summary, isPresent) => Object.assign(summary,
+            {alwaysResponds: isPresent}));
+  }
+
+  /**
+   * Creates the listeners summarizing the functions of the file, to be
+   * merged with the ones of the rule.
+   * @return {Object} eslint listeners
+   */
+  createListeners() {
+    const managers = Object.keys(this._counters)
+        .map((key) => this._counters[key])
+        .concat(ALWAYS_KINDS.map((kind) => this._presences[kind]),
+            this._responds);
+    // summarized functions are followed as intent handlers, so the managers
+    // report the metadata joined from the paths returning from them.
+    const adapter = {
+      isFunctionIntentHandler: (node) => this._isSummarized(node),
+    };
+    return mergeListeners(createCodePathScopeListeners(managers, adapter), {
+      'onCodePathStart': (codePath, node) => {
+        if (this._isSummarized(node)) {
+          this._stack.push({node, summary: createSummary(), isComplete: true});
+        }
+      },
+      'onCodePathEnd': (codePath, node) => {
+        if (this._stack.length > 0 && last(this._stack).node === node) {
+          this._records.push(this._stack.pop());
+        }
+      },
+      'CallExpression': (callExpression) => {
+        if (this._classifier.doesReturnActionResponse(callExpression)) {
+          this._addResponses(callExpression);
+        } else {
+          this._addCall(callExpression);
+        }
+      },
+    });
+  }
+
+  /**
+   * Finds the summary of the function called by the call expression, if it's
+   * a function of the file which is passed the conversation object, and it
+   * was completely summarized, i.e. it's declared before the call along with
+   * the functions it calls.
+   * @example
+   * greet(conv); // summary of greet
+   * greet('conv'); // undefined
+   * console.log(conv); // undefined
+   *
+   * @param {ASTNode} callExpression
+   * @return {FunctionSummary|undefined}
+   */
+  summarizeCall(callExpression) {
+    const record = this._findRecord(callExpression);
+    return record && record.isComplete ? record.summary : undefined;
+  }
+
+  /**
+   * Creates a manager recording its metadata into the summary of the
+   * summarized function once its code path was traversed. Items are absent
+   * from the code paths which don't inherit them.
+   * @param {Function} Manager class of the code path scope manager.
+   * @param {Function} record called with the summary and the metadata.
+   * @return {CodePathScopeManager}
+   * @private
+   */
+  _createManager(Manager, record) {
+    const manager = new Manager(this._context, () =>
+      record(last(this._stack).summary, manager.currentScope().metadata),
+    false);
+    return manager;
+  }
+
+  /**
+   * Checks if the function has a parameter holding the conversation object,
+   * so its responses are summarized.
+   * @param {ASTNode} node
+   * @return {boolean}
+   * @private
+   */
+  _isSummarized(node) {
+    if (!isFunctionNode(node)) {
+      return false;
+    }
+    const scope = this._context.getSourceCode().scopeManager.acquire(node);
+    return node.params.some((param) =>
+      this._classifier.isConversationIdentifier(param, scope));
+  }
+
+  /**
+   * Finds the function of the file called by the call expression, if it's
+   * passed the conversation object, and its record if it was traversed.
+   * @param {ASTNode} callExpression
+   * @return {{node: ASTNode, summary: FunctionSummary, isComplete: boolean}?}
+   *     record, or undefined if the function wasn't summarized, or a function
+   *     node if it wasn't traversed yet.
+   * @private
+   */
+  _findRecord(callExpression) {
+    const scope = this._context.getScope();
+    const func = findCalledFunction(scope, callExpression);
+    // the parameter matching the conversation object holds it inside of the
+    // function, see Classifier.isConversationIdentifier.
+    const receivesConversation = !!func &&
+        callExpression.arguments.some((arg, i) => !!func.params[i] &&
+          this._classifier.isConversationIdentifier(arg, scope));
+    if (!receivesConversation) {
+      return undefined;
+    }
+    return this._records.find((record) => record.node === func) ||
+        {node: func, summary: undefined, isComplete: false};
+  }
+
+  /**
+   * Accounts for the responses added by a client library call, i.e.
+   * conv.ask.
+   * @param {ASTNode} callExpression
+   * @private
+   */
+  _addResponses(callExpression) {
+    const entry = last(this._stack);
+    const added = this._classifier.doesReturnFinalResponse(callExpression) ?
+      [RESPONSE_KINDS.FINAL] : [];
+    // as in at-most-two-simple-responses, an argument that may be a simple
+    // response counts as one when a loop repeats it more than once.
+    const isRepeated =
+        getIterationCount(this._context.getScope(), callExpression) > 1;
+    for (const arg of callExpression.arguments) {
+      const argKinds = this._kindClassifiers
+          .filter(([, kindClassifier]) => isCertainly(kindClassifier, arg))
+          .map(([kind]) => kind);
+      const simple = this._simpleResponseClassifier.classify(arg);
+      if (simple.certain ? simple.result : isRepeated) {
+        this._counters.simpleResponses.add(callExpression.callee);
+      }
+      if (isCertainly(this._richCardClassifier, arg)) {
+        this._counters.richCards.add(callExpression.callee);
+      }
+      if (argKinds.indexOf(RESPONSE_KINDS.HELPER) !== -1) {
+        this._counters.helpers.add(callExpression.callee);
+      }
+      if (argKinds.indexOf(RESPONSE_KINDS.RICH) !== -1) {
+        this._addRichResponse(entry);
+      }
+      // as in simple-response-before-rich-response, a response which may be
+      // simple precedes the rich responses.
+      if (!simple.certain || simple.result) {
+        setPresent(this._presences[RESPONSE_KINDS.SIMPLE]);
+      }
+      addKinds(added, argKinds.length > 0 ? argKinds : [RESPONSE_KINDS.OTHER]);
+    }
+    for (const kind of added) {
+      if (this._presences[kind] && kind !== RESPONSE_KINDS.SIMPLE) {
+        setPresent(this._presences[kind]);
+      }
+    }
+    setPresent(this._responds);
+    if (entry) {
+      addKinds(entry.summary.kinds, added);
+    }
+  }
+
+  /**
+   * Accounts for the responses added by a call of a summarized function.
+   * Recursive calls are accounted for by the outermost one, and the summary
+   * of a function calling one which wasn't summarized yet is incomplete.
+   * @param {ASTNode} callExpression
+   * @private
+   */
+  _addCall(callExpression) {
+    const record = this._findRecord(callExpression);
+    if (!record ||
+        this._stack.some((entry) => entry.node === record.node)) {
+      return;
+    }
+    const entry = last(this._stack);
+    if (!record.isComplete) {
+      if (entry) {
+        entry.isComplete = false;
+      }
+      return;
+    }
+    const summary = record.summary;
+    for (const property of Object.keys(this._counters)) {
+      this._counters[property].add(callExpression.callee, summary[property]);
+    }
+    if (summary.richBeforeSimple) {
+      this._addRichResponse(entry);
+    }
+    for (const kind of summary.alwaysKinds) {
+      setPresent(this._presences[kind]);
+    }
+    if (summary.alwaysResponds) {
+      setPresent(this._responds);
+    }
+    if (entry) {
+      addKinds(entry.summary.kinds, summary.kinds);
+    }
+  }
+
+  /**
+   * Accounts for a rich response added to the summarized function, which
+   * comes before any simple response unless one is present on the path.
+   * @param {{summary: FunctionSummary}?} entry of the summarized function.
+   * @private
+   */
+  _addRichResponse(entry) {
+    if (entry &&
+        !this._presences[RESPONSE_KINDS.SIMPLE].isPresentOnPath()) {
+      entry.summary.richBeforeSimple = true;
+    }
+  }
+}
+
+module.exports = {
+  RESPONSE_KINDS: RESPONSE_KINDS,
+  FunctionSummarizer: FunctionSummarizer,
+};
@@ -53,6 +53,15 @@ const HELPER_CLASSES = [
  * Classifies an ASTNode as an Actions on Google client library helper response.
  */
 class HelperResponseClassifier extends Classifier {
+  /**
+   * Constructor.
+   * @param {EslintContext} context (contains AST metadata)
+   */
+  constructor(context) {
+    super(context);
+    this._helperClasses = HELPER_CLASSES.concat(this._options.helperClasses);
+  }
+
   /**
    * Classifies node as a helper response.
    * @param {ASTNode} node
@@ -82,7 +91,7 @@ class HelperResponseClassifier extends Classifier {
     switch (node.type) {
       case 'NewExpression': {
         result = this._createResponse(true,
-            HELPER_CLASSES.indexOf(node.callee.name) !== -1);
+            this._helperClasses.indexOf(node.callee.name) !== -1);
         break;
       }
       case 'Identifier': {
@@ -93,6 +102,13 @@ class HelperResponseClassifier extends Classifier {
           this._createResponse(false, false);
         break;
       }
+      // node evaluates to either arm
+      // example: conv.ask(isNew ? 'Welcome!' : 'Welcome back!');
+      case 'ConditionalExpression':
+      case 'LogicalExpression': {
+        result = this._classifyArms(node);
+        break;
+      }
       case 'CallExpression': // example: conv.ask(foo()); <- foo is the node
       case 'MemberExpression': // property of an object example: conv.ask(a.b.c)
       case 'SpreadElement': {
@@ -110,4 +126,5 @@ class HelperResponseClassifier extends Classifier {
 
 module.exports = {
   HelperResponseClassifier,
+  HELPER_CLASSES,
 };
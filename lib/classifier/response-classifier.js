@@ -25,7 +25,54 @@
 
 const last = require('lodash.last');
 const assert = console.assert; // eslint-disable-line no-console
-const {findVariableNodeValue} = require('./../utils/ast-utils');
+const {
+  findNodeDef,
+  findVariableByDef,
+  findVariableByName,
+  isFunctionNode,
+  getFunctionNameNode,
+  findCalledFunction,
+  findNodeScope,
+  findNodesOfType,
+  getArms,
+} = require('./../utils/ast-utils');
+const {findAppFactory} = require('./../utils/import-utils');
+const {findLoopItems} = require('./../utils/loop-utils');
+const {findExportNames, findCallsImporting} =
+    require('./../utils/module-graph');
+const {getOptions} = require('./../utils/options');
+
+// client library functions that create an app instance.
+const APP_FACTORIES = [
+  'dialogflow',
+  'actionssdk',
+];
+
+// methods of an app that register an intent handler.
+const REGISTRATION_METHODS = [
+  'intent',
+  'fallback',
+];
+
+// default names of the conversation object outside of intent handlers.
+const CONVERSATION_NAMES = [
+  'conv',
+];
+
+// methods of the conversation object that build a response.
+const RESPONSE_METHODS = [
+  'ask',
+  'close',
+  'json',
+];
+
+// method of the conversation object that builds the final response.
+const CLOSE_METHOD = 'close';
+
+// parameters passed the conversation object by the calls of the file linted
+// last, by the options they were found with. Rules lint one file at a time,
+// so it's shared by them.
+let conversationParams = {sourceCode: null, byOptions: Object.create(null)};
 
 /**
  * Base class serves as an abstract class for Actions response classifiers.
@@ -37,6 +84,12 @@ class Classifier {
    */
   constructor(context) {
     this._context = context;
+    this._options = getOptions(context);
+    this._appFactories = APP_FACTORIES.concat(this._options.appFactories);
+    this._conversationNames =
+        CONVERSATION_NAMES.concat(this._options.conversationNames);
+    this._responseMethods =
+        RESPONSE_METHODS.concat(this._options.responseMethods);
   }
 
   /**
@@ -57,11 +110,9 @@ class Classifier {
   }
 
   /**
-   * Checks if the node is an intent handler. Only handles cases when
-   * intent handler contains handler declaration. This was chosen due
-   * to implementation simplicity - i.e. that way we know that handler code
-   * will get visited **after** the intent handler, so we can easily flag
-   * relevant sections of the code.
+   * Checks if the node is an intent handler registration. Handles the cases
+   * when intent handler contains handler declaration, as well as when the
+   * handler is a reference to a function defined elsewhere in the file.
    *
    * @example
    * app.intent('a', (conv) => {
@@ -70,52 +121,185 @@ class Classifier {
    * });
    *
    * @example
-   * app.intent('a', func); // not a handler
+   * function handleA(conv) { ... }
+   * app.intent('a', handleA); // handler
    * app.intent('a', 'func'); // not a handler
+   * app.intent('a', undefinedFunc); // not a handler
    *
    * @param {ASTNode} node
+   * @param {RuleScope=} scope used to resolve identifiers. Defaults to the
+   * scope of the currently traversed node.
    * @return {boolean} true if node is an intent handler.
    */
-  isNodeIntentHandler(node) {
-    if (!node) {
+  isNodeIntentHandler(node, scope = this._context.getScope()) {
+    if (!this._isIntentRegistration(node, scope)) {
       return false;
     }
-    if (node.type !== 'CallExpression') {
+    // app.intent('foo', handleFoo); handleFoo must resolve to a function.
+    const handler = last(node.arguments);
+    if (handler && handler.type === 'Identifier') {
+      return this._isFunctionDefinition(findNodeDef(scope, handler));
+    }
+    return true;
+  }
+
+  /**
+   * Checks if the function node is used as an intent handler. The function
+   * is either declared inline as part of intent handler registration, or
+   * referenced by name in one, regardless of where the registration is in the
+   * file. A function exported by the file is a handler too if another module
+   * of the project registers it.
+   *
+   * @example
+   * app.intent('a', (conv) => {}); // lambda is a handler
+   * function handleB(conv) {} // handler, because registered below
+   * const handleC = (conv) => {}; // handler, because registered below
+   * app.intent('b', handleB);
+   * app.intent('c', handleC);
+   *
+   * @param {ASTNode} node
+   * @return {boolean} true if node is a function used as an intent handler.
+   */
+  isFunctionIntentHandler(node) {
+    if (!isFunctionNode(node)) {
       return false;
     }
-    if (node.callee.type !== 'MemberExpression') {
+    if (this.isNodeIntentHandler(node.parent)) {
+      return true;
+    }
+    const nameNode = getFunctionNameNode(node);
+    const variable = nameNode &&
+        findVariableByDef(this._context.getScope(), nameNode);
+    const isRegistered = !!variable && variable.references.some((reference) => {
+      const parent = reference.identifier.parent;
+      return !!parent && last(parent.arguments) === reference.identifier &&
+          this.isNodeIntentHandler(parent, reference.from);
+    });
+    return isRegistered || this._isRegisteredByOtherModule(node, variable);
+  }
+
+  /**
+   * Checks if the function is exported by its module, and registered as an
+   * intent handler by another module of the project.
+   * @example
+   * // index.js
+   * app.intent('welcome', require('./intents/welcome'));
+   * // intents/welcome.js
+   * module.exports = (conv) => {}; // handler
+   *
+   * @param {ASTNode} node function
+   * @param {Variable=} variable holding the function, if any.
+   * @return {boolean}
+   * @private
+   */
+  _isRegisteredByOtherModule(node, variable) {
+    const names = findExportNames(node, variable);
+    if (names.length === 0) {
       return false;
     }
-    // app.intent('intent1', 'handler2');
-    if (last(node.arguments) && last(node.arguments).type === 'Literal') {
+    return findCallsImporting(this._context.getFilename()).some((call) =>
+      names.indexOf(call.name) !== -1 &&
+          REGISTRATION_METHODS.indexOf(call.method) !== -1 &&
+          this._isAppFactory(call.appFactory));
+  }
+
+  /**
+   * Checks if the identifier refers to the conversation object. That is
+   * either an identifier named "conv" (or one of the configured
+   * "conversationNames"), the first parameter of an intent handler, or a
+   * parameter passed the conversation object by a call in the file, whatever
+   * their names are.
+   *
+   * @example
+   * app.intent('a', (c) => {
+   *   c.ask('hello'); // "c" is a conversation
+   *   greet(c);
+   * });
+   * function greet(c) {
+   *   c.ask('Hi!'); // "c" is a conversation
+   * }
+   *
+   * @param {ASTNode} identifierNode
+   * @param {RuleScope=} scope used to resolve the identifier. Defaults to the
+   * scope of the currently traversed node.
+   * @return {boolean}
+   */
+  isConversationIdentifier(identifierNode,
+      scope = this._context.getScope()) {
+    if (!identifierNode || identifierNode.type !== 'Identifier') {
       return false;
     }
-    const memberExpression = node.callee;
-    if (memberExpression.object.type !== 'Identifier') {
+    if (this._conversationNames.indexOf(identifierNode.name) !== -1) {
+      return true;
+    }
+    const variable = findVariableByName(scope, identifierNode.name);
+    if (!variable || variable.defs.length !== 1) {
       return false;
     }
-    const valueOfMemberExpressionObject = findVariableNodeValue(
-        this._context.getScope(), memberExpression.object);
-    const isActionsApp =
-      (valueOfMemberExpressionObject &&
-        valueOfMemberExpressionObject.type === 'CallExpression') &&
-      (valueOfMemberExpressionObject.callee.name === 'dialogflow' ||
-        valueOfMemberExpressionObject.callee.name === 'actionssdk');
-    if (isActionsApp &&
-      (memberExpression.property.name === 'intent' ||
-      memberExpression.property.name === 'fallback')) {
-      // temp hack to dismiss intents that point to a function def as a handler.
-      // for example, app.intent('', funcA);
-      return !(node.arguments && node.arguments.length === 2 &&
-          node.arguments[1].type === 'Identifier');
+    const def = variable.defs[0];
+    if (def.type !== 'Parameter') {
+      return false;
     }
-    return false;
+    return (def.node.params[0] === def.name &&
+        this.isFunctionIntentHandler(def.node)) ||
+        this._findConversationParams().indexOf(def.name) !== -1;
+  }
+
+  /**
+   * Finds the parameters which are passed the conversation object by a call
+   * of their function in the file. Parameters passed such a parameter are
+   * found as well, so the calls are checked until no parameter is added.
+   * @example
+   * app.intent('a', (conv) => greet(conv));
+   * function greet(c) {} // "c" is passed the conversation
+   *
+   * @return {Array<ASTNode>} Identifier nodes of the parameters.
+   * @private
+   */
+  _findConversationParams() {
+    const sourceCode = this._context.getSourceCode();
+    if (conversationParams.sourceCode !== sourceCode) {
+      conversationParams = {sourceCode, byOptions: Object.create(null)};
+    }
+    const key = JSON.stringify(this._options);
+    if (conversationParams.byOptions[key]) {
+      return conversationParams.byOptions[key];
+    }
+    // the parameters found so far are used to find the others.
+    const params = [];
+    conversationParams.byOptions[key] = params;
+    const calls = findNodesOfType(sourceCode.ast, 'CallExpression',
+        sourceCode.visitorKeys);
+    let isAdded = true;
+    while (isAdded) {
+      isAdded = false;
+      for (const call of calls) {
+        const scope = findNodeScope(sourceCode.scopeManager, call);
+        const func = findCalledFunction(scope, call);
+        if (!func) {
+          continue;
+        }
+        call.arguments.forEach((arg, i) => {
+          const param = func.params[i];
+          if (param && param.type === 'Identifier' &&
+              params.indexOf(param) === -1 &&
+              this.isConversationIdentifier(arg, scope)) {
+            params.push(param);
+            isAdded = true;
+          }
+        });
+      }
+    }
+    return params;
   }
 
   /**
    * Checks if node corresponds to an Actions client library call.
    * @example
    * conv.ask('hello'); // yes
+   * app.intent('a', (c) => {
+   *   c.ask('hello'); // yes
+   * });
    * myFunc(); // no
    *
    * @param {ASTNode} node
@@ -131,14 +315,167 @@ class Classifier {
     if (node.callee.type !== 'MemberExpression') {
       return false;
     }
-    // finds client library call by matching the property. ideally
-    // needs another check to ensure the object was passed as one of
-    // the parameters to intent handler.
+    // finds client library call by matching the property, and checks the
+    // object is either called "conv" or was passed as the conversation
+    // parameter to intent handler.
+    const memberExpression = node.callee;
+    const isResponseMethod =
+        this._responseMethods.indexOf(memberExpression.property.name) !== -1;
+    return isResponseMethod &&
+        this.isConversationIdentifier(memberExpression.object);
+  }
+
+  /**
+   * Checks if node corresponds to an Actions client library call that builds
+   * the final response, i.e. closes the conversation.
+   * @example
+   * conv.close('bye'); // yes
+   * conv.ask('hello'); // no
+   *
+   * @param {ASTNode} node
+   * @return {boolean} true if node returns the final Actions response.
+   */
+  doesReturnFinalResponse(node) {
+    return this.doesReturnActionResponse(node) && !node.callee.computed &&
+        node.callee.property.name === CLOSE_METHOD;
+  }
+
+  /**
+   * Checks if the identifier refers to an Actions on Google app instance,
+   * i.e. it was created by one of the client library app factories, or one
+   * of the configured "appFactories".
+   * @example
+   * const {dialogflow: df} = require('actions-on-google');
+   * const app = df(); // app is an Actions app
+   *
+   * @example
+   * // with {"appFactories": ["createAssistantApp"]}
+   * const app = utils.createAssistantApp(); // app is an Actions app
+   *
+   * @param {RuleScope} scope
+   * @param {ASTNode} identifierNode
+   * @return {boolean}
+   * @private
+   */
+  _isActionsApp(scope, identifierNode) {
+    return this._isAppFactory(findAppFactory(scope, identifierNode));
+  }
+
+  /**
+   * Checks if the factory call creates an Actions app, see _isActionsApp.
+   * @param {AppFactory?} factory as found by findAppFactory of import-utils.
+   * @return {boolean}
+   * @private
+   */
+  _isAppFactory(factory) {
+    if (!factory) {
+      return false;
+    }
+    // dialogflow() is accepted even if it's not imported in the file.
+    if (!factory.isMember && this._appFactories.indexOf(factory.name) !== -1) {
+      return true;
+    }
+    // configured factories can be exported by user's own modules.
+    if (factory.isMember &&
+        this._options.appFactories.indexOf(factory.name) !== -1) {
+      return true;
+    }
+    return APP_FACTORIES.indexOf(factory.libraryMember) !== -1;
+  }
+
+  /**
+   * Checks if the node registers an intent handler on an Actions app, i.e.
+   * app.intent('a', handler) or app.fallback(handler), regardless of what the
+   * handler is.
+   * @param {ASTNode} node
+   * @param {RuleScope} scope used to resolve identifiers.
+   * @return {boolean}
+   * @private
+   */
+  _isIntentRegistration(node, scope) {
+    if (!node) {
+      return false;
+    }
+    if (node.type !== 'CallExpression') {
+      return false;
+    }
+    if (node.callee.type !== 'MemberExpression') {
+      return false;
+    }
+    // app.intent('intent1', 'handler2');
+    if (last(node.arguments) && last(node.arguments).type === 'Literal') {
+      return false;
+    }
     const memberExpression = node.callee;
-    return memberExpression.object.name === 'conv' &&
-        (memberExpression.property.name === 'close'
-          || memberExpression.property.name === 'ask'
-          || memberExpression.property.name === 'json');
+    if (memberExpression.object.type !== 'Identifier') {
+      return false;
+    }
+    return this._isActionsApp(scope, memberExpression.object) &&
+        REGISTRATION_METHODS.indexOf(memberExpression.property.name) !== -1;
+  }
+
+  /**
+   * Checks if the definition node found by findNodeDef defines a function.
+   * @param {ASTNode} defNode FunctionDeclaration or VariableDeclarator
+   * @return {boolean}
+   * @private
+   */
+  _isFunctionDefinition(defNode) {
+    if (!defNode) {
+      return false;
+    }
+    if (defNode.type === 'VariableDeclarator') {
+      return isFunctionNode(defNode.init);
+    }
+    return isFunctionNode(defNode);
+  }
+
+  /**
+   * Classifies both arms of a conditional expression, or both operands of a
+   * logical expression, since the node evaluates to either of them. The
+   * result is certain only when both arms agree.
+   * @example
+   * isNew ? 'Welcome!' : 'Welcome back!' // both simple responses
+   * isNew ? 'Welcome!' : new BasicCard({}) // not certain
+   * name || 'friend' // not certain, since name can be anything
+   *
+   * @param {ASTNode} node ConditionalExpression or LogicalExpression
+   * @return {{result: bool, certain: bool}}
+   * @protected
+   */
+  _classifyArms(node) {
+    const [first, second] = getArms(node).map((arm) => this.classify(arm));
+    return first.certain && second.certain && first.result === second.result ?
+      this._createResponse(true, first.result) :
+      this._createResponse(false, false);
+  }
+
+  /**
+   * Classifies the variable of a loop over an array literal by the items it
+   * takes. The result is certain only when all of the items agree.
+   * @example
+   * for (const item of ['a', 'b']) {
+   *   item; // both simple responses
+   * }
+   * [a, 'b'].forEach((item) => {
+   *   item; // not certain
+   * });
+   *
+   * @param {ASTNode} identifier
+   * @return {{result: bool, certain: bool}?} undefined if the identifier is
+   *     not the variable of a loop over an array literal.
+   * @protected
+   */
+  _classifyLoopItems(identifier) {
+    const items = findLoopItems(this._context.getScope(), identifier);
+    if (!items || items.length === 0) {
+      return undefined;
+    }
+    const [first, ...others] = items.map((item) => this.classify(item));
+    return first.certain && others.every((other) => other.certain &&
+      other.result === first.result) ?
+      this._createResponse(true, first.result) :
+      this._createResponse(false, false);
   }
 
   /**
@@ -0,0 +1,120 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Implementation for a rich response classifier.
+ */
+
+'use strict';
+
+const {
+  findVariableNodeValue,
+} = require('./../utils/ast-utils');
+const {Classifier} = require('./response-classifier');
+const assert = console.assert; // eslint-disable-line no-console
+
+// client library classes that create a rich response.
+const RICH_RESPONSE_CLASSES = [
+  'BasicCard',
+  'BrowseCarousel',
+  'Table',
+  'MediaObject',
+  'Image',
+  'LinkOutSuggestion',
+];
+
+/**
+ * Classifies an ASTNode as an instance of one of the rich response classes.
+ * Rules that care about a different set of classes (i.e. only visual ones)
+ * can pass their own list to the constructor.
+ */
+class RichResponseClassifier extends Classifier {
+  /**
+   * Constructor.
+   * @param {EslintContext} context (contains AST metadata)
+   * @param {Array<string>=} richResponseClasses names of the classes
+   * classified as rich responses.
+   */
+  constructor(context, richResponseClasses = RICH_RESPONSE_CLASSES) {
+    super(context);
+    this._richResponseClasses = richResponseClasses;
+  }
+
+  /**
+   * Classifies node as a rich response.
+   * @param {ASTNode} node
+   * @return {object} { certain: {bool}, result: {bool} }
+   * @override
+   */
+  classify(node) {
+    return this._isRichResponse(node);
+  }
+
+  /**
+   * Utility method that classifies an ASTNode as a rich response.
+   * @example
+   * new BasicCard({}); // yes
+   * new Image({}); // yes
+   * new SimpleResponse('foo'); // no
+   * 'foo' // no
+   * foo(); // no; since can't deduce return type of foo.
+   *
+   * @param {ASTNode} node
+   * @return {{certain: boolean, result: boolean}}
+   * @private
+   */
+  _isRichResponse(node) {
+    let result;
+    switch (node.type) {
+      case 'NewExpression': {
+        result = this._createResponse(true,
+            this._richResponseClasses.indexOf(node.callee.name) !== -1);
+        break;
+      }
+      case 'Identifier': {
+        // valueNode will be undefined if variable defined by node is a
+        // parameter of a function.
+        const valueNode = findVariableNodeValue(this._context.getScope(), node);
+        result = valueNode ? this._isRichResponse(valueNode) :
+          this._createResponse(false, false);
+        break;
+      }
+      // node evaluates to either arm
+      // example: conv.ask(isNew ? 'Welcome!' : 'Welcome back!');
+      case 'ConditionalExpression':
+      case 'LogicalExpression': {
+        result = this._classifyArms(node);
+        break;
+      }
+      case 'CallExpression': // example: conv.ask(foo()); <- foo is the node
+      case 'MemberExpression': // property of an object example: conv.ask(a.b.c)
+      case 'SpreadElement': {
+        result = this._createResponse(false, false);
+        break;
+      }
+      default: {
+        result = this._createResponse(true, false);
+      }
+    }
+    assert(result);
+    return result;
+  }
+}
+
+module.exports = {
+  RichResponseClassifier,
+  RICH_RESPONSE_CLASSES,
+};
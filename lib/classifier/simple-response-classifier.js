@@ -24,14 +24,34 @@ const logger = require('winston').loggers.get('DEFAULT_LOGGER');
 const {inspect} = require('util');
 const {
   findVariableNodeValue,
+  findValueNode,
+  findObjectExpression,
+  findProperty,
 } = require('./../utils/ast-utils');
 const {Classifier} = require('./response-classifier');
 const assert = console.assert; // eslint-disable-line no-console
 
+const SIMPLE_RESPONSE_CLASS = 'SimpleResponse';
+
+// client library classes that create a simple response.
+const SIMPLE_RESPONSE_CLASSES = [
+  SIMPLE_RESPONSE_CLASS,
+];
+
 /**
  * Classifies an ASTNode as a simple response.
  */
 class SimpleResponseClassifier extends Classifier {
+  /**
+   * Constructor.
+   * @param {EslintContext} context (contains AST metadata)
+   */
+  constructor(context) {
+    super(context);
+    this._simpleResponseClasses = SIMPLE_RESPONSE_CLASSES.concat(
+        this._options.simpleResponseClasses);
+  }
+
   /**
    * Classifies node as a simple response.
    * @param {ASTNode} node
@@ -42,12 +62,84 @@ class SimpleResponseClassifier extends Classifier {
     return this._isSimpleResponse(node);
   }
 
+  /**
+   * Finds the node holding the speech of a simple response. Variables are
+   * followed, so the node can be located outside of the response building
+   * call.
+   * @example
+   * 'hello' // 'hello'
+   * new SimpleResponse('hello'); // 'hello'
+   * new SimpleResponse({speech: 'hello', text: 'hi'}); // 'hello'
+   * new SimpleResponse(getOptions()); // undefined
+   * foo(); // undefined
+   *
+   * @param {ASTNode} node
+   * @return {ASTNode?} undefined if speech can't be found.
+   */
+  findSpeech(node) {
+    return this._findField(node, ['speech']);
+  }
+
+  /**
+   * Finds the node holding the text displayed in the chat bubble of a simple
+   * response, which defaults to the speech. SSML markup of the speech is not
+   * displayed, see findSsmlText of ssml-utils.
+   * @example
+   * 'hello' // 'hello'
+   * new SimpleResponse({speech: 'hello', text: 'hi'}); // 'hi'
+   * new SimpleResponse({speech: 'hello'}); // 'hello'
+   *
+   * @param {ASTNode} node
+   * @return {ASTNode?} undefined if text can't be found.
+   */
+  findDisplayText(node) {
+    return this._findField(node, ['text', 'speech']);
+  }
+
+  /**
+   * Finds the node holding a field of a simple response. Strings, including
+   * the one passed to the SimpleResponse constructor, are both the speech and
+   * the text.
+   * @param {ASTNode} node
+   * @param {Array<string>} fields names of the field, in order of precedence.
+   * @return {ASTNode?} undefined if the field can't be found.
+   * @private
+   */
+  _findField(node, fields) {
+    const scope = this._context.getScope();
+    const valueNode = findValueNode(scope, node);
+    if (!valueNode) {
+      return undefined;
+    }
+    if (this._isString(valueNode)) {
+      return valueNode;
+    }
+    if (valueNode.type !== 'NewExpression' ||
+        valueNode.callee.name !== SIMPLE_RESPONSE_CLASS ||
+        valueNode.arguments.length === 0) {
+      return undefined;
+    }
+    const options = findObjectExpression(scope, valueNode.arguments[0]);
+    if (options) {
+      for (const field of fields) {
+        const property = findProperty(options, field);
+        if (property) {
+          return property.value;
+        }
+      }
+      return undefined;
+    }
+    const value = findValueNode(scope, valueNode.arguments[0]);
+    return value && this._isString(value) ? value : undefined;
+  }
+
   /**
    * Utility method that classifies an ASTNode as a simple response.
    * @example
    * new SimpleResponse('foo'); // yes
    * 'foo' // yes
    * new BasicCard({}); // no
+   * a ? 'foo' : 'bar' // yes
    * foo(); // no; since can't deduce return type of foo.
    *
    * @param {ASTNode} node
@@ -67,6 +159,10 @@ class SimpleResponseClassifier extends Classifier {
       // example: let a = 'foo'; conv.ask(a);
       case 'Identifier': {
         let val;
+        // example: for (const a of ['foo', 'bar']) { conv.ask(a); }
+        if ((result = this._classifyLoopItems(node))) {
+          break;
+        }
         if ((val = findVariableNodeValue(this._context.getScope(), node))) {
           result = this._isSimpleResponse(val);
         } else {
@@ -83,10 +179,16 @@ couldn't find it. ${inspect(node.loc)}`);
         result = this._createResponse(false, false);
         break;
       }
+      // node evaluates to either arm
+      // example: conv.ask(isNew ? 'Welcome!' : 'Welcome back!');
+      case 'ConditionalExpression':
+      case 'LogicalExpression': {
+        result = this._classifyArms(node);
+        break;
+      }
       case 'NewExpression': {
-        result = (node.callee.name === 'SimpleResponse') ?
-            this._createResponse(true, true):
-            this._createResponse(true, false);
+        result = this._createResponse(true,
+            this._simpleResponseClasses.indexOf(node.callee.name) !== -1);
         break;
       }
       default:
@@ -125,4 +227,5 @@ couldn't find it. ${inspect(node.loc)}`);
 
 module.exports = {
   SimpleResponseClassifier,
+  SIMPLE_RESPONSE_CLASSES,
 };
@@ -0,0 +1,208 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Implementation for a suggestion chips classifier.
+ */
+
+'use strict';
+
+const {
+  findVariableNodeValue,
+  getArms,
+} = require('./../utils/ast-utils');
+const {Classifier} = require('./response-classifier');
+const assert = console.assert; // eslint-disable-line no-console
+
+const SUGGESTIONS_CLASS = 'Suggestions';
+
+// classes that add suggestions to the response.
+const SUGGESTION_CLASSES = [
+  SUGGESTIONS_CLASS,
+  'LinkOutSuggestion',
+];
+
+/**
+ * Classifies an ASTNode as suggestion chips, and finds the chips it contains.
+ */
+class SuggestionsClassifier extends Classifier {
+  /**
+   * Classifies node as suggestions, either chips or a link out suggestion.
+   * @example
+   * new Suggestions('a'); // true
+   * new Suggestions('a').add('b'); // true
+   * new LinkOutSuggestion({name: 'a', url: 'b'}); // true
+   * a ? new Suggestions('b') : new Suggestions('c'); // true
+   * 'foo' // false
+   * getSuggestions(); // false, not certain
+   *
+   * @param {ASTNode} node
+   * @return {object} { certain: {bool}, result: {bool} }
+   * @override
+   */
+  classify(node) {
+    switch (node.type) {
+      case 'NewExpression':
+        return this._createResponse(true,
+            SUGGESTION_CLASSES.indexOf(node.callee.name) !== -1);
+      // example: new Suggestions('a').add('b');
+      case 'CallExpression': {
+        const callee = node.callee;
+        if (callee.type === 'MemberExpression' &&
+            callee.property.name === 'add' &&
+            this.classify(callee.object).result) {
+          return this._createResponse(true, true);
+        }
+        return this._createResponse(false, false);
+      }
+      case 'Identifier': {
+        const valueNode = findVariableNodeValue(this._context.getScope(), node);
+        return valueNode ? this.classify(valueNode) :
+          this._createResponse(false, false);
+      }
+      // example: conv.ask(a ? new Suggestions('b') : new Suggestions('c'));
+      case 'ConditionalExpression':
+      case 'LogicalExpression':
+        return this._classifyArms(node);
+      case 'MemberExpression':
+      case 'SpreadElement':
+        return this._createResponse(false, false);
+      default:
+        return this._createResponse(true, false);
+    }
+  }
+
+  /**
+   * Finds nodes corresponding to individual suggestion chips.
+   * @example
+   * new Suggestions('a', 'b'); // ['a', 'b']
+   * new Suggestions(['a', 'b']); // ['a', 'b']
+   * new Suggestions('a').add('b', 'c'); // ['a', 'b', 'c']
+   * new Suggestions(getChips()); // [], not certain
+   * a ? new Suggestions('b') : new Suggestions('c', 'd'); // ['b'], not certain
+   * 'foo' // []
+   *
+   * @param {ASTNode} node
+   * @return {{certain: boolean, result: Array<ASTNode>}}
+   */
+  findChips(node) {
+    let result;
+    switch (node.type) {
+      case 'NewExpression': {
+        result = node.callee.name === SUGGESTIONS_CLASS ?
+          this.findChipsInArguments(node.arguments) :
+          this._createResponse(true, []);
+        break;
+      }
+      // example: new Suggestions('a').add('b');
+      case 'CallExpression': {
+        const callee = node.callee;
+        if (callee.type === 'MemberExpression' &&
+            callee.property.name === 'add') {
+          const chips = this.findChips(callee.object);
+          if (chips.result.length > 0) {
+            const added = this.findChipsInArguments(node.arguments);
+            result = this._createResponse(chips.certain && added.certain,
+                chips.result.concat(added.result));
+            break;
+          }
+        }
+        result = this._createResponse(false, []);
+        break;
+      }
+      case 'Identifier': {
+        const valueNode = findVariableNodeValue(this._context.getScope(), node);
+        result = valueNode ? this.findChips(valueNode) :
+          this._createResponse(false, []);
+        break;
+      }
+      // the arm with fewer chips, since either can be the value.
+      // example: conv.ask(a ? new Suggestions('b') : new Suggestions('c'));
+      case 'ConditionalExpression':
+      case 'LogicalExpression': {
+        const [first, second] = getArms(node).map((arm) =>
+          this.findChips(arm));
+        const fewer = first.result.length <= second.result.length ?
+          first : second;
+        result = this._createResponse(first.certain && second.certain &&
+            first.result.length === second.result.length, fewer.result);
+        break;
+      }
+      case 'MemberExpression':
+      case 'SpreadElement': {
+        result = this._createResponse(false, []);
+        break;
+      }
+      default: {
+        result = this._createResponse(true, []);
+      }
+    }
+    assert(result);
+    return result;
+  }
+
+  /**
+   * Finds the chips in arguments of "new Suggestions(...)" or
+   * "suggestions.add(...)". Each argument is either a single chip, or an
+   * array of chips.
+   * @param {Array<ASTNode>} args
+   * @return {{certain: boolean, result: Array<ASTNode>}}
+   */
+  findChipsInArguments(args) {
+    let certain = true;
+    let chips = [];
+    for (const arg of args) {
+      const {certain: isCertain, result} = this._findChipsInArgument(arg);
+      certain = certain && isCertain;
+      chips = chips.concat(result);
+    }
+    return this._createResponse(certain, chips);
+  }
+
+  /**
+   * Finds the chips in a single argument of "new Suggestions(...)".
+   * @param {ASTNode} node
+   * @return {{certain: boolean, result: Array<ASTNode>}}
+   * @private
+   */
+  _findChipsInArgument(node) {
+    switch (node.type) {
+      case 'ArrayExpression': {
+        const isCertain = node.elements.every((e) =>
+          e && e.type !== 'SpreadElement');
+        return this._createResponse(isCertain, node.elements.filter((e) =>
+          e && e.type !== 'SpreadElement'));
+      }
+      case 'Identifier': {
+        const valueNode = findVariableNodeValue(this._context.getScope(), node);
+        return valueNode ? this._findChipsInArgument(valueNode) :
+          this._createResponse(false, []);
+      }
+      case 'Literal':
+      case 'TemplateLiteral':
+      case 'BinaryExpression':
+        return this._createResponse(true, [node]);
+      // can't tell whether it's a chip or an array of chips.
+      default:
+        return this._createResponse(false, []);
+    }
+  }
+}
+
+module.exports = {
+  SUGGESTION_CLASSES,
+  SuggestionsClassifier,
+};
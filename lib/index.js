@@ -27,10 +27,59 @@ require('./utils/logger');
 
 const requireIndex = require('requireindex');
 
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+const PLUGIN_NAME = 'actions-on-google';
+
+/**
+ * Default severity of a rule derived from its metadata. Rules reporting
+ * problems that break the Action at runtime are errors, the rest are
+ * warnings.
+ * @param {Object} rule
+ * @return {string} eslint severity
+ */
+function getDefaultSeverity(rule) {
+  return rule.meta.type === 'problem' ? 'error' : 'warn';
+}
+
+/**
+ * Creates a shareable config that enables every rule accepted by the filter.
+ * @param {Object} rules map of rule name to rule
+ * @param {Function} filterFn decides whether the rule is part of the config
+ * @param {Function} severityFn returns the severity for the rule
+ * @return {Object} eslint shareable config
+ */
+function createConfig(rules, filterFn, severityFn) {
+  const configRules = {};
+  for (const name of Object.keys(rules)) {
+    if (filterFn(rules[name])) {
+      configRules[`${PLUGIN_NAME}/${name}`] = severityFn(rules[name]);
+    }
+  }
+  return {
+    plugins: [PLUGIN_NAME],
+    rules: configRules,
+  };
+}
+
 // -----------------------------------------------------------------------------
 // Plugin Definition
 // -----------------------------------------------------------------------------
 
 
 // import all rules in lib/rules
-module.exports.rules = requireIndex(__dirname + '/rules');
+const rules = requireIndex(__dirname + '/rules');
+
+module.exports.rules = rules;
+
+module.exports.configs = {
+  // rules that are marked as recommended in their own metadata
+  recommended: createConfig(rules, (rule) => rule.meta.docs.recommended,
+      getDefaultSeverity),
+  // every rule with its default severity
+  all: createConfig(rules, () => true, getDefaultSeverity),
+  // every rule reported as an error
+  strict: createConfig(rules, () => true, () => 'error'),
+};
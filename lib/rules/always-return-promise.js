@@ -22,6 +22,12 @@
 'use strict';
 
 const {Classifier} = require('./../classifier/response-classifier');
+const {
+  isChainedPromise,
+  isPromiseExpression,
+  isPromiseHandled,
+} = require('./../utils/promise-utils');
+const {createOptionsSchema} = require('./../utils/options');
 
 // -----------------------------------------------------------------------------
 // Rule Definition
@@ -34,8 +40,9 @@ module.exports = {
       description: `the intent handler in Actions on Google fulfillment needs
       to return a promise, if there is any.`,
       category: 'Possible Errors',
-      recommended: false,
+      recommended: true,
     },
+    schema: createOptionsSchema(),
   },
   create: function(context) {
     const classifier = new Classifier(context);
@@ -44,20 +51,19 @@ module.exports = {
     // Public
     // ----------------------------------------------------------------------
     return {
-      'MemberExpression': function(memberExpression) {
-        if (memberExpression.property.name === 'then') {
-          const insideIntent = context.getAncestors().find((node) => {
-            return classifier.isNodeIntentHandler(node);
-          });
-          const isReturned = context.getAncestors().find((element) => {
-            return element.type === 'ReturnStatement';
+      'CallExpression, NewExpression': function(node) {
+        // only the outermost promise of a chain is reported.
+        if (!isPromiseExpression(context.getScope(), node) ||
+            isChainedPromise(node)) {
+          return;
+        }
+        const handler = context.getAncestors().reverse().find((ancestor) =>
+          classifier.isFunctionIntentHandler(ancestor));
+        if (handler && !isPromiseHandled(context.getScope(), node, handler)) {
+          context.report({
+            node: node,
+            message: 'Intent handler must return promise, if there is any.',
           });
-          if (insideIntent && !isReturned) {
-            context.report({
-              node: memberExpression,
-              message: 'Intent handler must return promise, if there is any.',
-            });
-          }
         }
       },
     };
@@ -0,0 +1,105 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview The response returned by Actions on Google fulfillment
+ * must have <=8 suggestion chips per turn.
+ *
+ * Please consult the official docs https://developers.google.com/actions/assistant/responses
+ * for more details about the rule.
+ */
+'use strict';
+const logger = require('winston').loggers.get('DEFAULT_LOGGER');
+const {CodePathCountScopeManager} =
+    require('./../scope/code-path-count-scope-manager');
+const {createCodePathScopeListeners} = require('./../scope/scope-listeners');
+const {SuggestionsClassifier} =
+    require('./../classifier/suggestions-classifier');
+const {inspect} = require('util');
+const {createOptionsSchema} = require('./../utils/options');
+
+const MAX_SUGGESTION_CHIPS = 8;
+
+// -----------------------------------------------------------------------------
+// Rule Definition
+// -----------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'the response returned by Actions on Google fulfillment'
+          + ' must have <=8 suggestion chips.',
+      category: 'Possible Errors',
+      recommended: true,
+    },
+    schema: createOptionsSchema(),
+  },
+
+  create: function(context) {
+    // counts are reported as soon as they exceed the limit on some path.
+    const manager = new CodePathCountScopeManager(context, () => {});
+    const classifier = new SuggestionsClassifier(context);
+
+    /**
+     * Helper function that will report the issues to developer if any
+     * violations were detected.
+     */
+    function report() {
+      if (manager.currentScope().metadata > MAX_SUGGESTION_CHIPS) {
+        context.report({
+          node: manager.currentScope().lastViolatingNode,
+          message: `At most ${MAX_SUGGESTION_CHIPS} suggestion chips are ` +
+              `allowed.`,
+        });
+      }
+    }
+
+    /**
+     * Counts the suggestion chips contributed by a node.
+     * @param {EslintNode} node
+     * @return {number} number of suggestion chips.
+     */
+    function countChips(node) {
+      const {certain, result} = classifier.findChips(node);
+      if (!certain) {
+        logger.debug(`Node ${inspect(node)} may have had extra suggestion
+        chips. Linter was not able to tell for sure.`);
+      }
+      return result.length;
+    }
+
+    // ----------------------------------------------------------------------
+    // Public
+    // ----------------------------------------------------------------------
+    return Object.assign(createCodePathScopeListeners(manager, classifier), {
+      // this is what client library call would fall under
+      'CallExpression': function(callExpression) {
+        // checks if it's something like "conv.ask" etc.
+        if (classifier.doesReturnActionResponse(callExpression)) {
+          let chips = 0;
+          for (const a of callExpression.arguments) {
+            chips += countChips(a);
+          }
+          if (chips > 0) {
+            manager.add(callExpression.callee, chips);
+            report();
+          }
+        }
+      },
+    });
+  },
+};
@@ -0,0 +1,122 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview The response returned by Actions on Google fulfillment
+ * must have <=1 helper per turn, and the final response can't have a helper.
+ *
+ * Please consult the official docs https://developers.google.com/actions/assistant/responses
+ * for more details about the rule.
+ */
+'use strict';
+const logger = require('winston').loggers.get('DEFAULT_LOGGER');
+const {CodePathCountScopeManager} =
+    require('./../scope/code-path-count-scope-manager');
+const {createCodePathScopeListeners, mergeListeners} =
+    require('./../scope/scope-listeners');
+const {HelperResponseClassifier} =
+    require('./../classifier/helper-response-classifier');
+const {FunctionSummarizer} = require('./../classifier/function-summarizer');
+const {inspect} = require('util');
+const {createOptionsSchema} = require('./../utils/options');
+
+// -----------------------------------------------------------------------------
+// Rule Definition
+// -----------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'the response returned by Actions on Google fulfillment'
+          + ' must have <=1 helper, and the final response can\'t have any.',
+      category: 'Possible Errors',
+      recommended: true,
+    },
+    schema: createOptionsSchema(),
+  },
+
+  create: function(context) {
+    // counts are reported as soon as they exceed the limit on some path.
+    const manager = new CodePathCountScopeManager(context, () => {});
+    const classifier = new HelperResponseClassifier(context);
+    const summarizer = new FunctionSummarizer(context);
+
+    /**
+     * Helper function that will report the issues to developer if any
+     * violations were detected.
+     */
+    function report() {
+      if (manager.currentScope().metadata > 1) {
+        context.report({
+          node: manager.currentScope().lastViolatingNode,
+          message: `At most one helper is allowed.`,
+        });
+      }
+    }
+
+    /**
+     * Checks whether a node is a helper response.
+     * @param {EslintNode} node
+     * @return {bool} if node is a helper response.
+     */
+    function isHelperResponse(node) {
+      const judgeResponse = classifier.classify(node);
+      if (!judgeResponse.certain) {
+        logger.debug(`Node ${inspect(node)} may have been an
+        extra helper response. Linter was not able to tell for sure.`);
+      }
+      return judgeResponse.certain && judgeResponse.result;
+    }
+
+    // ----------------------------------------------------------------------
+    // Public
+    // ----------------------------------------------------------------------
+    const scopeListeners = mergeListeners(summarizer.createListeners(),
+        createCodePathScopeListeners(manager, classifier));
+    return mergeListeners(scopeListeners, {
+      // this is what client library call would fall under
+      'CallExpression': function(callExpression) {
+        // checks if it's something like "conv.ask" etc.
+        if (!classifier.doesReturnActionResponse(callExpression)) {
+          // helper functions which are passed the conversation object add
+          // their helpers at the call.
+          const summary = summarizer.summarizeCall(callExpression);
+          if (summary && summary.helpers > 0) {
+            manager.add(callExpression.callee, summary.helpers);
+            report();
+          }
+          return;
+        }
+        const isFinalResponse =
+            classifier.doesReturnFinalResponse(callExpression);
+        for (const a of callExpression.arguments) {
+          if (!isHelperResponse(a)) {
+            continue;
+          }
+          if (isFinalResponse) {
+            context.report({
+              node: a,
+              message: `Helpers are not allowed in the final response.`,
+            });
+          }
+          manager.add(callExpression.callee);
+          report();
+        }
+      },
+    });
+  },
+};
@@ -0,0 +1,130 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview The response returned by Actions on Google fulfillment
+ * must have <=1 rich card (i.e. BasicCard, Table) per turn.
+ *
+ * Please consult the official docs https://developers.google.com/actions/assistant/responses
+ * for more details about the rule.
+ */
+'use strict';
+const logger = require('winston').loggers.get('DEFAULT_LOGGER');
+const {CodePathCountScopeManager} =
+    require('./../scope/code-path-count-scope-manager');
+const {createCodePathScopeListeners, mergeListeners} =
+    require('./../scope/scope-listeners');
+const {RichResponseClassifier} =
+    require('./../classifier/rich-response-classifier');
+const {FunctionSummarizer} = require('./../classifier/function-summarizer');
+const {inspect} = require('util');
+const {createOptionsSchema, getOptions} = require('./../utils/options');
+
+// client library classes that count as a rich card.
+const RICH_CARD_CLASSES = [
+  'BasicCard',
+  'BrowseCarousel',
+  'Table',
+  'MediaObject',
+];
+
+// -----------------------------------------------------------------------------
+// Rule Definition
+// -----------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'the response returned by Actions on Google fulfillment'
+          + ' must have <=1 rich card.',
+      category: 'Possible Errors',
+      recommended: true,
+    },
+    schema: createOptionsSchema({
+      // classes that count as a rich card. Replaces the default list.
+      richCardClasses: {
+        type: 'array',
+        items: {type: 'string'},
+        uniqueItems: true,
+      },
+    }),
+  },
+
+  create: function(context) {
+    // counts are reported as soon as they exceed the limit on some path.
+    const manager = new CodePathCountScopeManager(context, () => {});
+    const richCardClasses =
+        getOptions(context).richCardClasses || RICH_CARD_CLASSES;
+    const classifier = new RichResponseClassifier(context, richCardClasses);
+    const summarizer = new FunctionSummarizer(context, {richCardClasses});
+
+    /**
+     * Helper function that will report the issues to developer if any
+     * violations were detected.
+     */
+    function report() {
+      if (manager.currentScope().metadata > 1) {
+        context.report({
+          node: manager.currentScope().lastViolatingNode,
+          message: `At most one rich card is allowed.`,
+        });
+      }
+    }
+
+    /**
+     * Checks whether a node is a rich card.
+     * @param {EslintNode} node
+     * @return {bool} if node is a rich card.
+     */
+    function isRichCard(node) {
+      const judgeResponse = classifier.classify(node);
+      if (!judgeResponse.certain) {
+        logger.debug(`Node ${inspect(node)} may have been an
+        extra rich card. Linter was not able to tell for sure.`);
+      }
+      return judgeResponse.certain && judgeResponse.result;
+    }
+
+    // ----------------------------------------------------------------------
+    // Public
+    // ----------------------------------------------------------------------
+    const scopeListeners = mergeListeners(summarizer.createListeners(),
+        createCodePathScopeListeners(manager, classifier));
+    return mergeListeners(scopeListeners, {
+      // this is what client library call would fall under
+      'CallExpression': function(callExpression) {
+        // checks if it's something like "conv.ask" etc.
+        if (classifier.doesReturnActionResponse(callExpression)) {
+          for (const a of callExpression.arguments) {
+            if (isRichCard(a)) {
+              manager.add(callExpression.callee);
+              report();
+            }
+          }
+          return;
+        }
+        // helper functions which are passed the conversation object add
+        // their rich cards at the call.
+        const summary = summarizer.summarizeCall(callExpression);
+        if (summary && summary.richCards > 0) {
+          manager.add(callExpression.callee, summary.richCards);
+          report();
+        }
+      },
+    });
+  },
+};
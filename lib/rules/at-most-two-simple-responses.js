@@ -23,10 +23,16 @@
  */
 'use strict';
 const logger = require('winston').loggers.get('DEFAULT_LOGGER');
-const {CountScopeManager} = require('./../scope/count-scope-manager');
+const {CodePathCountScopeManager} =
+    require('./../scope/code-path-count-scope-manager');
+const {createCodePathScopeListeners, mergeListeners} =
+    require('./../scope/scope-listeners');
 const {SimpleResponseClassifier} =
     require('./../classifier/simple-response-classifier');
 const {inspect} = require('util');
+const {createOptionsSchema} = require('./../utils/options');
+const {getIterationCount} = require('./../utils/loop-utils');
+const {FunctionSummarizer} = require('./../classifier/function-summarizer');
 
 // -----------------------------------------------------------------------------
 // Rule Definition
@@ -39,13 +45,16 @@ module.exports = {
       description: 'the response returned by Actions on Google fulfillment'
           + ' must have <=2 simple responses.',
       category: 'Possible Errors',
-      recommended: false,
+      recommended: true,
     },
+    schema: createOptionsSchema(),
   },
 
   create: function(context) {
-    const manager = new CountScopeManager(context, report);
+    // counts are reported as soon as they exceed the limit on some path.
+    const manager = new CodePathCountScopeManager(context, () => {});
     const classifier = new SimpleResponseClassifier(context);
+    const summarizer = new FunctionSummarizer(context);
 
     /**
      * Helper function that will report the issues to developer if any
@@ -61,7 +70,10 @@ module.exports = {
     }
 
     /**
-     * Checks whether a node is a simple response.
+     * Checks whether a node is a simple response. A node that may be one (i.e.
+     * a property of the item of a loop) is counted too when a loop repeats it
+     * more than once, since the responses would likely exceed the limit if it
+     * is.
      * @param {EslintNode} node
      * @return {bool} if node is a simple response.
      */
@@ -70,14 +82,17 @@ module.exports = {
       if (!judgeResponse.certain) {
         logger.debug(`Node ${inspect(node)} may have been an
         extra simple response. Linter was not able to tell for sure.`);
+        return getIterationCount(context.getScope(), node) > 1;
       }
-      return judgeResponse.certain && judgeResponse.result;
+      return judgeResponse.result;
     }
 
     // ----------------------------------------------------------------------
     // Public
     // ----------------------------------------------------------------------
-    return {
+    const scopeListeners = mergeListeners(summarizer.createListeners(),
+        createCodePathScopeListeners(manager, classifier));
+    return mergeListeners(scopeListeners, {
       // this is what client library call would fall under
       'CallExpression': function(callExpression) {
         // checks if it's something like "conv.ask" etc.
@@ -85,83 +100,20 @@ module.exports = {
           const args = callExpression.arguments;
           for (const a of args) {
             if (isSimpleResponse(a)) {
-              const memberExpression = callExpression.callee;
-              Object.assign(manager.currentScope(),
-                  {metadata: manager.currentScope().metadata + 1,
-                    lastViolatingNode: memberExpression});
+              manager.add(callExpression.callee);
+              report();
             }
-            report();
           }
+          return;
+        }
+        // helper functions which are passed the conversation object add
+        // their simple responses at the call site.
+        const summary = summarizer.summarizeCall(callExpression);
+        if (summary && summary.simpleResponses > 0) {
+          manager.add(callExpression.callee, summary.simpleResponses);
+          report();
         }
       },
-      'IfStatement > ExpressionStatement': function(expressionStatement) {
-        manager.account(expressionStatement,
-            'IfStatement > ExpressionStatement');
-      },
-      'IfStatement > BlockStatement': function(blockStatement) {
-        manager.account(blockStatement, 'IfStatement > BlockStatement');
-      },
-      // if is part of else block (i.e. if-else-if-...)
-      'IfStatement > IfStatement': function(ifStatement) {
-        manager.account(ifStatement, 'IfStatement > IfStatement');
-      },
-      'IfStatement:exit': function(ifStatement) {
-        manager.account(ifStatement, 'IfStatement:exit');
-      },
-      'FunctionExpression': function(func) {
-        // checks if function/lambda is inside of an "app.intent"-like structure
-        const event = classifier.isNodeIntentHandler(func.parent) ?
-            'FunctionExpression' + ', Intent' :
-            'FunctionExpression';
-        manager.account(func, event);
-      },
-      'FunctionExpression:exit': function(func) {
-        // checks if function/lambda is inside of an "app.intent"-like structure
-        const event = classifier.isNodeIntentHandler(func.parent) ?
-            'FunctionExpression:exit' + ', Intent' :
-            'FunctionExpression:exit';
-        manager.account(func, event);
-      },
-      'ArrowFunctionExpression': function(lambda) {
-        // checks if function/lambda is inside of an "app.intent"-like structure
-        const event = classifier.isNodeIntentHandler(lambda.parent) ?
-            'ArrowFunctionExpression' + ', Intent' :
-            'ArrowFunctionExpression';
-        manager.account(lambda, event);
-      },
-      'ArrowFunctionExpression:exit': function(lambda) {
-        // checks if function/lambda is inside of an "app.intent"-like structure
-        const event = classifier.isNodeIntentHandler(lambda.parent) ?
-            'ArrowFunctionExpression:exit' + ', Intent' :
-            'ArrowFunctionExpression:exit';
-        manager.account(lambda, event);
-      },
-      'MethodDefinition': function(methodDef) {
-        manager.account(methodDef, 'MethodDefinition');
-      },
-      'MethodDefinition:exit': function(methodDef) {
-        manager.account(methodDef, 'MethodDefinition:exit');
-      },
-      'FunctionDeclaration': function(funcDecl) {
-        manager.account(funcDecl, 'FunctionDeclaration');
-      },
-      'FunctionDeclaration:exit': function(funcDecl) {
-        manager.account(funcDecl, 'FunctionDeclaration:exit');
-      },
-      // "finally" doesnt matter because it always gets
-      // executed so contributes to global scope.
-      'CatchClause': function(catchClause) {
-        manager.account(catchClause, 'CatchClause');
-      },
-      'CatchClause:exit': function(catchClause) {
-        manager.account(catchClause, 'CatchClause:exit');
-      },
-      'TryStatement': function(tryStatement) {
-        manager.account(tryStatement, 'TryStatement');
-      },
-      'ReturnStatement': function(returnStatement) {
-        manager.account(returnStatement, 'ReturnStatement');
-      },
-    };
+    });
   },
 };
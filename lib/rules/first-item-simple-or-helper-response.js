@@ -30,6 +30,7 @@ const {HelperResponseClassifier} =
 const {SimpleResponseClassifier} =
     require('./../classifier/simple-response-classifier');
 const {inspect} = require('util');
+const {createOptionsSchema} = require('./../utils/options');
 
 // -----------------------------------------------------------------------------
 // Rule Definition
@@ -37,13 +38,14 @@ const {inspect} = require('util');
 
 module.exports = {
   meta: {
-    type: 'problem',
+    type: 'suggestion',
     docs: {
       description: 'the first item in webhook response must be a '
         + 'simple response, or a helper.',
-      category: 'Possible Errors',
-      recommended: false,
+      category: 'Best Practices',
+      recommended: true,
     },
+    schema: createOptionsSchema(),
   },
 
   create: function(context) {
@@ -52,9 +54,13 @@ module.exports = {
     // flag indicating when linter should treat a client library call as the
     // first response building call. It's set true at the beginning of each
     // intent handler declaration, which is during entrance of
-    // FunctionDeclaration and ArrowFunctionExpression. It's set to false
-    // after processing of the first such client library call.
+    // FunctionDeclaration, FunctionExpression and ArrowFunctionExpression.
+    // It's set to false after processing of the first such client library
+    // call.
     let firstResponseBuildingCall = true;
+    // flags of the functions enclosing the traversed one, restored when it's
+    // exited, i.e. after a callback passed to items.map.
+    const enclosingFlags = [];
 
     /**
      * Checks whether a node is a simple response.
@@ -100,6 +106,24 @@ module.exports = {
       return result;
     }
 
+    /**
+     * Starts looking for the first response building call if the function is
+     * an intent handler.
+     * @param {EslintNode} func
+     */
+    function enterFunction(func) {
+      enclosingFlags.push(firstResponseBuildingCall);
+      firstResponseBuildingCall =
+          simpleResponseClassifier.isFunctionIntentHandler(func);
+    }
+
+    /**
+     * Restores the flag of the enclosing function.
+     */
+    function exitFunction() {
+      firstResponseBuildingCall = enclosingFlags.pop();
+    }
+
     // ----------------------------------------------------------------------
     // Public
     // ----------------------------------------------------------------------
@@ -119,14 +143,12 @@ module.exports = {
           }
         }
       },
-      'FunctionDeclaration': function(funcDeclaration) {
-        firstResponseBuildingCall = simpleResponseClassifier
-            .isNodeIntentHandler(funcDeclaration.parent);
-      },
-      'ArrowFunctionExpression': function(arrowFuncExpression) {
-        firstResponseBuildingCall = simpleResponseClassifier
-            .isNodeIntentHandler(arrowFuncExpression.parent);
-      },
+      'FunctionDeclaration': enterFunction,
+      'FunctionExpression': enterFunction,
+      'ArrowFunctionExpression': enterFunction,
+      'FunctionDeclaration:exit': exitFunction,
+      'FunctionExpression:exit': exitFunction,
+      'ArrowFunctionExpression:exit': exitFunction,
     };
   },
 };
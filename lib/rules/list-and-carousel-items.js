@@ -0,0 +1,185 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview A List must have 2-30 items, and a Carousel 2-10 items. Keys
+ * of the items must be unique.
+ *
+ * Please consult the official docs https://developers.google.com/actions/assistant/responses
+ * for more details about the rule.
+ */
+'use strict';
+
+const {
+  findValueNode,
+  findStaticStringValue,
+  findObjectExpression,
+  findProperty,
+} = require('./../utils/ast-utils');
+const {createOptionsSchema} = require('./../utils/options');
+
+// bounds on the number of items of the option helpers.
+const ITEM_COUNT_BOUNDS = {
+  List: {min: 2, max: 30},
+  Carousel: {min: 2, max: 10},
+};
+
+// -----------------------------------------------------------------------------
+// Rule Definition
+// -----------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'a List must have 2-30 items, and a Carousel 2-10 items ' +
+          'with unique keys.',
+      category: 'Possible Errors',
+      recommended: true,
+    },
+    schema: createOptionsSchema(),
+  },
+
+  create: function(context) {
+    // ----------------------------------------------------------------------
+    // Helpers
+    // ----------------------------------------------------------------------
+
+    /**
+     * Finds the object or array literal the items evaluate to.
+     * @param {EslintNode} node
+     * @return {EslintNode?}
+     */
+    function findItemsLiteral(node) {
+      const valueNode = findValueNode(context.getScope(), node);
+      return valueNode && (valueNode.type === 'ObjectExpression' ||
+          valueNode.type === 'ArrayExpression') ? valueNode : undefined;
+    }
+
+    /**
+     * Finds the keys of items given as an object, i.e.
+     *   {KEY_1: {title: 'a'}, KEY_2: {title: 'b'}}
+     * @param {EslintNode} objectExpression
+     * @return {Array<{key: string?, node: EslintNode, spread: boolean?}>} key
+     * is undefined when it can't be evaluated statically.
+     */
+    function findObjectItemKeys(objectExpression) {
+      return objectExpression.properties.map((property) => {
+        if (property.type !== 'Property') {
+          return {key: undefined, node: property, spread: true};
+        }
+        const key = !property.computed && property.key.type === 'Identifier' ?
+          property.key.name :
+          findStaticStringValue(context.getScope(), property.key);
+        return {key: key, node: property.key};
+      });
+    }
+
+    /**
+     * Finds the keys of items given as an array, i.e.
+     *   [{optionInfo: {key: 'KEY_1'}, title: 'a'}, ...]
+     * @param {EslintNode} arrayExpression
+     * @return {Array<{key: string?, node: EslintNode, spread: boolean?}>} key
+     * is undefined when it can't be evaluated statically.
+     */
+    function findArrayItemKeys(arrayExpression) {
+      return arrayExpression.elements.map((element) => {
+        if (element && element.type === 'SpreadElement') {
+          return {key: undefined, node: element, spread: true};
+        }
+        const item = element &&
+            findObjectExpression(context.getScope(), element);
+        const optionInfo = item && findProperty(item, 'optionInfo');
+        const info = optionInfo &&
+            findObjectExpression(context.getScope(), optionInfo.value);
+        const keyProperty = info && findProperty(info, 'key');
+        return keyProperty ? {
+          key: findStaticStringValue(context.getScope(), keyProperty.value),
+          node: keyProperty.value,
+        } : {key: undefined, node: element};
+      });
+    }
+
+    /**
+     * Reports the items with a key used by a previous item.
+     * @param {Array<{key: string?, node: EslintNode}>} itemKeys
+     * @return {number} number of unique keys.
+     */
+    function checkDuplicateKeys(itemKeys) {
+      const seen = [];
+      for (const {key, node} of itemKeys) {
+        if (key === undefined) {
+          continue;
+        }
+        if (seen.indexOf(key) !== -1) {
+          context.report({
+            node: node,
+            message: `Duplicate item key "${key}".`,
+          });
+        } else {
+          seen.push(key);
+        }
+      }
+      return seen.length;
+    }
+
+    // ----------------------------------------------------------------------
+    // Public
+    // ----------------------------------------------------------------------
+
+    return {
+      'NewExpression': function(newExpression) {
+        const className = newExpression.callee.name;
+        if (!ITEM_COUNT_BOUNDS.hasOwnProperty(className) ||
+            newExpression.arguments.length === 0) {
+          return;
+        }
+        const options = findObjectExpression(context.getScope(),
+            newExpression.arguments[0]);
+        const itemsProperty = options && findProperty(options, 'items');
+        const items = itemsProperty && findItemsLiteral(itemsProperty.value);
+        if (!items) {
+          return;
+        }
+        const isObject = items.type === 'ObjectExpression';
+        const itemKeys = isObject ? findObjectItemKeys(items) :
+          findArrayItemKeys(items);
+        const uniqueKeys = checkDuplicateKeys(itemKeys);
+
+        // items of an object with the same key override each other, so only
+        // unique keys are counted. Items with keys that can't be evaluated
+        // may or may not override the others.
+        const unknownKeys = itemKeys.filter((item) =>
+          item.key === undefined && !item.spread).length;
+        const hasSpread = itemKeys.some((item) => item.spread);
+        const minCount = isObject ?
+          uniqueKeys + (unknownKeys > 0 ? 1 : 0) :
+          itemKeys.length - itemKeys.filter((item) => item.spread).length;
+        const maxCount = hasSpread ? Infinity :
+          (isObject ? uniqueKeys + unknownKeys : itemKeys.length);
+
+        const {min, max} = ITEM_COUNT_BOUNDS[className];
+        if (maxCount < min || minCount > max) {
+          context.report({
+            node: itemsProperty.value,
+            message: `${className} must have between ${min} and ${max} ` +
+                `items.`,
+          });
+        }
+      },
+    };
+  },
+};
@@ -0,0 +1,123 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview The text displayed in the chat bubble of a simple response
+ * must be at most 640 characters long, and its speech must fit the
+ * text-to-speech limit.
+ *
+ * Please consult the official docs https://developers.google.com/actions/assistant/responses
+ * for more details about the rule.
+ */
+'use strict';
+
+const {SimpleResponseClassifier} =
+    require('./../classifier/simple-response-classifier');
+const {findStaticStringValue} = require('./../utils/ast-utils');
+const {isSsml, findSsmlText} = require('./../utils/ssml-utils');
+const {createOptionsSchema, getOptions} = require('./../utils/options');
+
+const MAX_TEXT_LENGTH = 640;
+const MAX_SPEECH_LENGTH = 5000;
+
+// -----------------------------------------------------------------------------
+// Rule Definition
+// -----------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'the display text of a simple response must be at most ' +
+          `${MAX_TEXT_LENGTH} characters long, and its speech at most ` +
+          `${MAX_SPEECH_LENGTH} characters long.`,
+      category: 'Possible Errors',
+      recommended: true,
+    },
+    schema: createOptionsSchema({
+      // maximum number of characters in the text displayed in the chat
+      // bubble.
+      maxTextLength: {
+        type: 'integer',
+        minimum: 1,
+      },
+      // maximum number of characters in the speech, including SSML markup.
+      maxSpeechLength: {
+        type: 'integer',
+        minimum: 1,
+      },
+    }),
+  },
+
+  create: function(context) {
+    const classifier = new SimpleResponseClassifier(context);
+    const options = getOptions(context);
+    const maxTextLength = options.maxTextLength || MAX_TEXT_LENGTH;
+    const maxSpeechLength = options.maxSpeechLength || MAX_SPEECH_LENGTH;
+    // the same string may be passed to several response building calls.
+    const reportedTexts = [];
+    const reportedSpeeches = [];
+
+    // ----------------------------------------------------------------------
+    // Helpers
+    // ----------------------------------------------------------------------
+
+    /**
+     * Reports the node if its static value is longer than the limit.
+     * @param {EslintNode?} node
+     * @param {number} max
+     * @param {Array<EslintNode>} reported nodes reported so far.
+     * @param {string} description what the node holds, i.e. 'Speech'.
+     * @param {boolean=} isDisplayedSpeech whether the value is a speech shown
+     *     as text, which is displayed without its SSML markup.
+     */
+    function checkLength(node, max, reported, description, isDisplayedSpeech) {
+      let value = node && findStaticStringValue(context.getScope(), node);
+      if (isDisplayedSpeech && value !== undefined && isSsml(value)) {
+        value = findSsmlText(value);
+      }
+      if (value === undefined || value.length <= max ||
+          reported.indexOf(node) !== -1) {
+        return;
+      }
+      reported.push(node);
+      context.report({
+        node: node,
+        message: `${description} of a simple response is longer than ` +
+            `${max} characters.`,
+      });
+    }
+
+    // ----------------------------------------------------------------------
+    // Public
+    // ----------------------------------------------------------------------
+
+    return {
+      'CallExpression': function(callExpression) {
+        if (!classifier.doesReturnActionResponse(callExpression)) {
+          return;
+        }
+        for (const arg of callExpression.arguments) {
+          const text = classifier.findDisplayText(arg);
+          const speech = classifier.findSpeech(arg);
+          checkLength(text, maxTextLength, reportedTexts, 'Display text',
+              text === speech);
+          checkLength(speech, maxSpeechLength, reportedSpeeches, 'Speech');
+        }
+      },
+    };
+  },
+};
@@ -0,0 +1,108 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview The text of a suggestion chip must be at most 25 characters
+ * long.
+ *
+ * Please consult the official docs https://developers.google.com/actions/assistant/responses
+ * for more details about the rule.
+ */
+'use strict';
+
+const {SuggestionsClassifier} =
+    require('./../classifier/suggestions-classifier');
+const {findStaticStringValue} = require('./../utils/ast-utils');
+const {createOptionsSchema, getOptions} = require('./../utils/options');
+
+const MAX_SUGGESTION_CHIP_LENGTH = 25;
+
+// -----------------------------------------------------------------------------
+// Rule Definition
+// -----------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    type: 'suggestion',
+    docs: {
+      description: 'the text of a suggestion chip must be at most ' +
+          `${MAX_SUGGESTION_CHIP_LENGTH} characters long.`,
+      category: 'Best Practices',
+      recommended: false,
+    },
+    schema: createOptionsSchema({
+      // maximum number of characters in the text of a suggestion chip.
+      max: {
+        type: 'integer',
+        minimum: 1,
+      },
+    }),
+  },
+
+  create: function(context) {
+    const classifier = new SuggestionsClassifier(context);
+    const max = getOptions(context).max || MAX_SUGGESTION_CHIP_LENGTH;
+    // the same chip may be passed to several "new Suggestions(...)".
+    const reportedChips = [];
+
+    // ----------------------------------------------------------------------
+    // Helpers
+    // ----------------------------------------------------------------------
+
+    /**
+     * Reports the chips among arguments of "new Suggestions(...)" or
+     * "suggestions.add(...)" that are too long.
+     * @param {Array<EslintNode>} args
+     */
+    function checkChips(args) {
+      const {result} = classifier.findChipsInArguments(args);
+      for (const chip of result) {
+        const text = findStaticStringValue(context.getScope(), chip);
+        if (text === undefined || text.length <= max ||
+            reportedChips.indexOf(chip) !== -1) {
+          continue;
+        }
+        reportedChips.push(chip);
+        context.report({
+          node: chip,
+          message: `Suggestion chip "${text}" is longer than ${max} ` +
+              `characters.`,
+        });
+      }
+    }
+
+    // ----------------------------------------------------------------------
+    // Public
+    // ----------------------------------------------------------------------
+
+    return {
+      'NewExpression': function(newExpression) {
+        if (classifier.classify(newExpression).result) {
+          checkChips(newExpression.arguments);
+        }
+      },
+      // example: new Suggestions('a').add('b');
+      'CallExpression': function(callExpression) {
+        const callee = callExpression.callee;
+        if (callee.type === 'MemberExpression' &&
+            callee.property.name === 'add' &&
+            classifier.classify(callee.object).result) {
+          checkChips(callExpression.arguments);
+        }
+      },
+    };
+  },
+};
@@ -0,0 +1,208 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview A media response must be accompanied by a simple response,
+ * and by suggestions unless the conversation is closed. Optionally, it must
+ * be guarded by a check of the MEDIA_RESPONSE_AUDIO capability.
+ *
+ * Please consult the official docs https://developers.google.com/actions/assistant/responses
+ * for more details about the rule.
+ */
+'use strict';
+
+const {CodePathPresenceScopeManager} =
+    require('./../scope/code-path-presence-scope-manager');
+const {CodePathPendingScopeManager} =
+    require('./../scope/code-path-pending-scope-manager');
+const {
+  createCodePathScopeListeners,
+  createCodePathGuardScopeListeners,
+  mergeListeners,
+} = require('./../scope/scope-listeners');
+const {RichResponseClassifier} =
+    require('./../classifier/rich-response-classifier');
+const {SimpleResponseClassifier} =
+    require('./../classifier/simple-response-classifier');
+const {SuggestionsClassifier} =
+    require('./../classifier/suggestions-classifier');
+const {CapabilityClassifier, MEDIA_RESPONSE_AUDIO} =
+    require('./../classifier/capability-classifier');
+const {createOptionsSchema, getOptions} = require('./../utils/options');
+
+// -----------------------------------------------------------------------------
+// Rule Definition
+// -----------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'a media response must be accompanied by a simple ' +
+          'response, and by suggestions unless the conversation is closed.',
+      category: 'Possible Errors',
+      recommended: true,
+    },
+    schema: createOptionsSchema({
+      // whether a media response must be guarded by a check of the
+      // MEDIA_RESPONSE_AUDIO capability.
+      requireCapabilityCheck: {
+        type: 'boolean',
+      },
+    }),
+  },
+
+  create: function(context) {
+    // metadata of each presence manager corresponds to whether the item was
+    // added on every path leading to the scope.
+    const simpleResponseManager =
+        new CodePathPresenceScopeManager(context, () => {}, false);
+    const suggestionsManager =
+        new CodePathPresenceScopeManager(context, () => {}, false);
+    const closeManager =
+        new CodePathPresenceScopeManager(context, () => {}, false);
+    const guardManager =
+        new CodePathPresenceScopeManager(context, () => {}, false);
+    // metadata of each pending manager corresponds to the media responses
+    // which may still lack the companion on some path leading to the scope.
+    const pendingSimpleResponseManager = new CodePathPendingScopeManager(
+        context, () => report(pendingSimpleResponseManager,
+            'MediaObject must be accompanied by a simple response.'));
+    const pendingSuggestionsManager = new CodePathPendingScopeManager(
+        context, () => report(pendingSuggestionsManager,
+            'MediaObject must be accompanied by suggestions, unless the ' +
+            'conversation is closed.'));
+    const mediaClassifier =
+        new RichResponseClassifier(context, ['MediaObject']);
+    const simpleResponseClassifier = new SimpleResponseClassifier(context);
+    const suggestionsClassifier = new SuggestionsClassifier(context);
+    const capabilityClassifier =
+        new CapabilityClassifier(context, MEDIA_RESPONSE_AUDIO);
+    const requireCapabilityCheck =
+        !!getOptions(context).requireCapabilityCheck;
+
+    // ----------------------------------------------------------------------
+    // Helpers
+    // ----------------------------------------------------------------------
+
+    /**
+     * Reports the media responses left without their companion once the whole
+     * intent handler was traversed, since companions can be added after the
+     * media response.
+     * @param {CodePathPendingScopeManager} pendingManager
+     * @param {string} message
+     */
+    function report(pendingManager, message) {
+      for (const node of pendingManager.currentScope().metadata) {
+        context.report({node, message});
+      }
+    }
+
+    /**
+     * Marks the item as added in the current scope of the manager.
+     * @param {CodePathPresenceScopeManager} manager
+     */
+    function markPresent(manager) {
+      Object.assign(manager.currentScope(), {metadata: true});
+    }
+
+    /**
+     * Checks if a node is possibly an item recognized by the classifier.
+     * @param {Classifier} classifier
+     * @param {EslintNode} node
+     * @return {bool}
+     */
+    function isPossibly(classifier, node) {
+      const {certain, result} = classifier.classify(node);
+      return !certain || result;
+    }
+
+    /**
+     * Checks if the call passes the conversation object to another function,
+     * which could have added anything to the response.
+     * @param {EslintNode} callExpression
+     * @return {bool}
+     */
+    function passesConversation(callExpression) {
+      return callExpression.arguments.some((arg) =>
+        simpleResponseClassifier.isConversationIdentifier(arg));
+    }
+
+    // ----------------------------------------------------------------------
+    // Public
+    // ----------------------------------------------------------------------
+
+    const managers = [simpleResponseManager, suggestionsManager, closeManager,
+      pendingSimpleResponseManager, pendingSuggestionsManager];
+    return mergeListeners(
+        createCodePathScopeListeners(managers, simpleResponseClassifier),
+        requireCapabilityCheck ? createCodePathGuardScopeListeners(
+            guardManager, simpleResponseClassifier, capabilityClassifier) : {},
+        {
+          'CallExpression': function(callExpression) {
+            if (!simpleResponseClassifier.doesReturnActionResponse(
+                callExpression)) {
+              if (passesConversation(callExpression)) {
+                [simpleResponseManager, suggestionsManager, closeManager]
+                    .forEach(markPresent);
+                pendingSimpleResponseManager.clearPending();
+                pendingSuggestionsManager.clearPending();
+              }
+              return;
+            }
+            const args = callExpression.arguments;
+            if (args.some((arg) =>
+              isPossibly(simpleResponseClassifier, arg))) {
+              markPresent(simpleResponseManager);
+              pendingSimpleResponseManager.clearPending();
+            }
+            if (args.some((arg) => isPossibly(suggestionsClassifier, arg))) {
+              markPresent(suggestionsManager);
+              pendingSuggestionsManager.clearPending();
+            }
+            if (simpleResponseClassifier.doesReturnFinalResponse(
+                callExpression)) {
+              markPresent(closeManager);
+              pendingSuggestionsManager.clearPending();
+            }
+            if (!closeManager.isScopeInsideIntent(
+                closeManager.currentScope())) {
+              return;
+            }
+            for (const arg of args) {
+              const {certain, result} = mediaClassifier.classify(arg);
+              if (!certain || !result) {
+                continue;
+              }
+              if (!simpleResponseManager.isPresentOnPath()) {
+                pendingSimpleResponseManager.addPending(arg);
+              }
+              if (!suggestionsManager.isPresentOnPath() &&
+                  !closeManager.isPresentOnPath()) {
+                pendingSuggestionsManager.addPending(arg);
+              }
+              if (requireCapabilityCheck && !guardManager.isPresentOnPath()) {
+                context.report({
+                  node: arg,
+                  message: 'MediaObject must be guarded by a check of the ' +
+                      'MEDIA_RESPONSE_AUDIO capability.',
+                });
+              }
+            }
+          },
+        });
+  },
+};
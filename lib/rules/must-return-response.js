@@ -22,8 +22,13 @@
 
 'use strict';
 
-const {PresenceScopeManager} = require('../scope/presence-scope-manager');
+const {CodePathPresenceScopeManager} =
+    require('./../scope/code-path-presence-scope-manager');
 const {Classifier} = require('./../classifier/response-classifier');
+const {FunctionSummarizer} = require('./../classifier/function-summarizer');
+const {createCodePathScopeListeners, mergeListeners} =
+    require('./../scope/scope-listeners');
+const {createOptionsSchema} = require('./../utils/options');
 
 // -----------------------------------------------------------------------------
 // Rule Definition
@@ -36,14 +41,16 @@ module.exports = {
       description: 'the intent handler in Actions on Google fulfillment must ' +
       'return a client library response.',
       category: 'Possible Errors',
-      recommended: false,
+      recommended: true,
     },
+    schema: createOptionsSchema(),
   },
 
   create: function(context) {
     // variables should be defined here
-    const manager = new PresenceScopeManager(context, report);
+    const manager = new CodePathPresenceScopeManager(context, report);
     const classifier = new Classifier(context);
+    const summarizer = new FunctionSummarizer(context);
     // ----------------------------------------------------------------------
     // Helpers
     // ----------------------------------------------------------------------
@@ -69,10 +76,19 @@ module.exports = {
     // Public
     // ----------------------------------------------------------------------
 
-    return {
+    const scopeListeners = mergeListeners(summarizer.createListeners(),
+        createCodePathScopeListeners(manager, classifier));
+    return mergeListeners(scopeListeners, {
       // other stuff
       'CallExpression': function(callExpression) {
-        if (classifier.doesReturnActionResponse(callExpression) ||
+        if (classifier.doesReturnActionResponse(callExpression)) {
+          Object.assign(manager.currentScope(), {metadata: true});
+          return;
+        }
+        // a helper function of the file which is passed the conversation
+        // object responds if it does so on all of its paths.
+        const summary = summarizer.summarizeCall(callExpression);
+        if (summary ? summary.alwaysResponds :
             // this checks if call expression (i.e. function call) is made
             // inside of intent handler, in which case can't tell for sure if
             // it returns response or not, but better be less vocal.
@@ -80,69 +96,6 @@ module.exports = {
           Object.assign(manager.currentScope(), {metadata: true});
         }
       },
-
-      'IfStatement > ExpressionStatement': function(expressionStatement) {
-        manager.account(expressionStatement,
-            'IfStatement > ExpressionStatement');
-      },
-      'IfStatement > BlockStatement': function(blockStatement) {
-        manager.account(blockStatement, 'IfStatement > BlockStatement');
-      },
-      // if is part of else block (i.e. if-else-if-...)
-      'IfStatement > IfStatement': function(ifStatement) {
-        manager.account(ifStatement, 'IfStatement > IfStatement');
-      },
-      'IfStatement:exit': function(ifStatement) {
-        manager.account(ifStatement, 'IfStatement:exit');
-      },
-      'FunctionExpression': function(func) {
-        const event = classifier.isNodeIntentHandler(func.parent) ?
-            'FunctionExpression' + ', Intent' :
-            'FunctionExpression';
-        manager.account(func, event);
-      },
-      'FunctionExpression:exit': function(func) {
-        const event = classifier.isNodeIntentHandler(func.parent) ?
-            'FunctionExpression:exit' + ', Intent' :
-            'FunctionExpression:exit';
-        manager.account(func, event);
-      },
-      'ArrowFunctionExpression': function(lambda) {
-        const event = classifier.isNodeIntentHandler(lambda.parent) ?
-            'ArrowFunctionExpression' + ', Intent' :
-            'ArrowFunctionExpression';
-        manager.account(lambda, event);
-      },
-      'ArrowFunctionExpression:exit': function(lambda) {
-        const event = classifier.isNodeIntentHandler(lambda.parent) ?
-            'ArrowFunctionExpression:exit' + ', Intent' :
-            'ArrowFunctionExpression:exit';
-        manager.account(lambda, event);
-      },
-      'FunctionDeclaration': function(funcDecl) {
-        manager.account(funcDecl, 'FunctionDeclaration');
-      },
-      'FunctionDeclaration:exit': function(funcDecl) {
-        manager.account(funcDecl, 'FunctionDeclaration:exit');
-      },
-      'MethodDefinition': function(methodDef) {
-        manager.account(methodDef, 'MethodDefinition');
-      },
-      'MethodDefinition:exit': function(methodDef) {
-        manager.account(methodDef, 'MethodDefinition:exit');
-      },
-      'CatchClause': function(catchClause) {
-        manager.account(catchClause, 'CatchClause');
-      },
-      'TryStatement > BlockStatement': function(tryStatement) {
-        manager.account(tryStatement, 'TryStatement > BlockStatement');
-      },
-      'TryStatement > ExpressionStatement': function(tryStatement) {
-        manager.account(tryStatement, 'TryStatement > ExpressionStatement');
-      },
-      'CatchClause:exit': function(catchClause) {
-        manager.account(catchClause, 'CatchClause:exit');
-      },
-    };
+    });
   },
 };
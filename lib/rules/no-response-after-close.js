@@ -0,0 +1,131 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview conv.close must be the last response building call on a
+ * path, since the conversation is over once it's closed.
+ *
+ * Please consult the official docs https://developers.google.com/actions/assistant/responses
+ * for more details about the rule.
+ */
+'use strict';
+
+const {CodePathPossiblePresenceScopeManager} =
+    require('./../scope/code-path-possible-presence-scope-manager');
+const {createCodePathScopeListeners, mergeListeners} =
+    require('./../scope/scope-listeners');
+const {Classifier} = require('./../classifier/response-classifier');
+const {FunctionSummarizer, RESPONSE_KINDS} =
+    require('./../classifier/function-summarizer');
+const {createOptionsSchema} = require('./../utils/options');
+const {getIterationCount} = require('./../utils/loop-utils');
+
+// -----------------------------------------------------------------------------
+// Rule Definition
+// -----------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'conv.close must be the last response building call in ' +
+          'Actions on Google fulfillment.',
+      category: 'Possible Errors',
+      recommended: true,
+    },
+    schema: createOptionsSchema(),
+  },
+
+  create: function(context) {
+    // metadata corresponds to whether the conversation was closed on some
+    // path leading to the scope.
+    const manager =
+        new CodePathPossiblePresenceScopeManager(context, () => {}, false);
+    const classifier = new Classifier(context);
+    const summarizer = new FunctionSummarizer(context);
+
+    // responses added inside of a loop before the conversation could have
+    // been closed. The next iteration can add them after conv.close, which
+    // is known once the loop goes back to its start, with the scopes the
+    // responses were added in.
+    let repeatedResponses = [];
+
+    /**
+     * Reports the response added after the conversation was closed.
+     * @param {EslintNode} callExpression
+     */
+    function report(callExpression) {
+      context.report({
+        node: callExpression,
+        message: `Response can't be added after the conversation is ` +
+            `closed.`,
+      });
+    }
+
+    // ----------------------------------------------------------------------
+    // Public
+    // ----------------------------------------------------------------------
+
+    return mergeListeners(summarizer.createListeners(), {
+      'onCodePathSegmentLoop': function() {
+        for (const response of repeatedResponses) {
+          response.wasClosed = !!response.scope.metadata;
+        }
+      },
+    }, createCodePathScopeListeners(manager, classifier), {
+      'onCodePathSegmentLoop': function() {
+        repeatedResponses = repeatedResponses.filter((response) => {
+          if (response.wasClosed || !response.scope.metadata) {
+            return true;
+          }
+          report(response.node);
+          return false;
+        });
+      },
+      'onCodePathEnd': function(codePath, node) {
+        repeatedResponses = repeatedResponses.filter((response) =>
+          response.functionNode !== node);
+      },
+      'CallExpression': function(callExpression) {
+        const isResponse = classifier.doesReturnActionResponse(callExpression);
+        // helper functions which are passed the conversation object count as
+        // responses if they add any, and close it if they may.
+        const summary =
+            isResponse ? undefined : summarizer.summarizeCall(callExpression);
+        if (!isResponse && (!summary || summary.kinds.length === 0)) {
+          return;
+        }
+        const isInsideIntent =
+            manager.isScopeInsideIntent(manager.currentScope());
+        if (isInsideIntent && manager.isPresentOnPath()) {
+          report(callExpression);
+        } else if (isInsideIntent &&
+            getIterationCount(context.getScope(), callExpression) > 1) {
+          repeatedResponses.push({
+            node: callExpression,
+            functionNode: context.getScope().variableScope.block,
+            scope: manager.currentScope(),
+            wasClosed: false,
+          });
+        }
+        if (classifier.doesReturnFinalResponse(callExpression) ||
+            (!!summary && summary.kinds.indexOf(RESPONSE_KINDS.FINAL) !== -1)) {
+          Object.assign(manager.currentScope(), {metadata: true});
+        }
+      },
+    });
+  },
+};
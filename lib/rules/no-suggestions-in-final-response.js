@@ -0,0 +1,122 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Suggestion chips are not allowed in the final response, i.e.
+ * the response that closes the conversation.
+ *
+ * Please consult the official docs https://developers.google.com/actions/assistant/responses
+ * for more details about the rule.
+ */
+'use strict';
+
+const {CodePathPresenceScopeManager} =
+    require('./../scope/code-path-presence-scope-manager');
+const {createCodePathScopeListeners, mergeListeners} =
+    require('./../scope/scope-listeners');
+const {SuggestionsClassifier} =
+    require('./../classifier/suggestions-classifier');
+const {FunctionSummarizer, RESPONSE_KINDS} =
+    require('./../classifier/function-summarizer');
+const {createOptionsSchema} = require('./../utils/options');
+
+// -----------------------------------------------------------------------------
+// Rule Definition
+// -----------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'suggestions are not allowed in the final response of ' +
+      'Actions on Google fulfillment.',
+      category: 'Possible Errors',
+      recommended: true,
+    },
+    schema: createOptionsSchema(),
+  },
+
+  create: function(context) {
+    // metadata corresponds to whether suggestions were added in the scope.
+    const manager = new CodePathPresenceScopeManager(context, () => {}, false);
+    const classifier = new SuggestionsClassifier(context);
+    const summarizer = new FunctionSummarizer(context);
+
+    // ----------------------------------------------------------------------
+    // Helpers
+    // ----------------------------------------------------------------------
+
+    /**
+     * Checks if any of the response call arguments are suggestions.
+     * @param {EslintNode} callExpression
+     * @return {boolean}
+     */
+    function hasSuggestions(callExpression) {
+      return callExpression.arguments.some((arg) => {
+        const {certain, result} = classifier.classify(arg);
+        return certain && result;
+      });
+    }
+
+    /**
+     * Accounts for a helper function which is passed the conversation
+     * object. It adds suggestions if it does on every path returning from it,
+     * and may close the conversation after the suggestions of the caller.
+     * @param {EslintNode} callExpression
+     */
+    function handleHelperCall(callExpression) {
+      const summary = summarizer.summarizeCall(callExpression);
+      if (!summary) {
+        return;
+      }
+      if (summary.kinds.indexOf(RESPONSE_KINDS.FINAL) !== -1 &&
+          manager.isPresentOnPath()) {
+        context.report({
+          node: callExpression,
+          message: 'Suggestions are not allowed in the final response.',
+        });
+      } else if (
+        summary.alwaysKinds.indexOf(RESPONSE_KINDS.SUGGESTIONS) !== -1) {
+        Object.assign(manager.currentScope(), {metadata: true});
+      }
+    }
+
+    // ----------------------------------------------------------------------
+    // Public
+    // ----------------------------------------------------------------------
+
+    const scopeListeners = mergeListeners(summarizer.createListeners(),
+        createCodePathScopeListeners(manager, classifier));
+    return mergeListeners(scopeListeners, {
+      'CallExpression': function(callExpression) {
+        if (!classifier.doesReturnActionResponse(callExpression)) {
+          handleHelperCall(callExpression);
+          return;
+        }
+        const suggestionsAdded = hasSuggestions(callExpression);
+        if (classifier.doesReturnFinalResponse(callExpression) &&
+            (suggestionsAdded || manager.isPresentOnPath())) {
+          context.report({
+            node: callExpression,
+            message: 'Suggestions are not allowed in the final response.',
+          });
+        } else if (suggestionsAdded) {
+          Object.assign(manager.currentScope(), {metadata: true});
+        }
+      },
+    });
+  },
+};
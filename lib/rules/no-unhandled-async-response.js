@@ -0,0 +1,261 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Responses must not be added in callbacks the intent handler
+ * doesn't wait for (i.e. of setTimeout, or of a promise that is not
+ * returned), since those run after the response was already sent.
+ *
+ * Please consult the official docs https://developers.google.com/actions/assistant/responses
+ * for more details about the rule.
+ */
+'use strict';
+
+const {Classifier} = require('./../classifier/response-classifier');
+const {
+  findVariableByDef,
+  getFunctionNameNode,
+  isFunctionNode,
+} = require('./../utils/ast-utils');
+const {
+  findEnclosingFunction,
+  isFunctionResultHandled,
+  isPromiseConstruction,
+  isPromiseHandled,
+  isPromiseMethodCall,
+} = require('./../utils/promise-utils');
+const {createOptionsSchema} = require('./../utils/options');
+
+// functions that run the callback passed to them later.
+const TIMER_FUNCTIONS = ['setTimeout', 'setInterval', 'setImmediate',
+  'nextTick'];
+
+// methods of an event emitter that register a listener.
+const EMITTER_METHODS = ['on', 'once', 'addListener', 'prependListener',
+  'prependOnceListener'];
+
+// -----------------------------------------------------------------------------
+// Rule Definition
+// -----------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'responses must not be added in callbacks the intent ' +
+          'handler in Actions on Google fulfillment does not wait for.',
+      category: 'Possible Errors',
+      recommended: true,
+    },
+    schema: createOptionsSchema(),
+  },
+
+  create: function(context) {
+    const classifier = new Classifier(context);
+    const visitorKeys = context.getSourceCode().visitorKeys;
+
+    // ----------------------------------------------------------------------
+    // Helpers
+    // ----------------------------------------------------------------------
+
+    /**
+     * Finds the name of the function called by the callee.
+     * @example
+     * setTimeout // 'setTimeout'
+     * process.nextTick // 'nextTick'
+     *
+     * @param {EslintNode} callee
+     * @return {string?}
+     */
+    function getCalleeName(callee) {
+      if (callee.type === 'Identifier') {
+        return callee.name;
+      }
+      return callee.type === 'MemberExpression' && !callee.computed ?
+        callee.property.name : undefined;
+    }
+
+    /**
+     * Checks if the callback of a timer or an event emitter runs while the
+     * intent handler waits, i.e. the timer is set inside of the executor of
+     * a promise the handler waits for.
+     * @example
+     * return new Promise((resolve) => setTimeout(resolve, 100));
+     *
+     * @param {EslintNode} callExpression call setting the timer or listener.
+     * @param {EslintNode} handler
+     * @return {boolean}
+     */
+    function isInsideHandledExecutor(callExpression, handler) {
+      const executor = findEnclosingFunction(callExpression);
+      return !!executor && isPromiseConstruction(executor.parent) &&
+          executor.parent.arguments[0] === executor &&
+          isPromiseHandled(context.getScope(), executor.parent, handler);
+    }
+
+    /**
+     * Checks if there is an await expression in the function body preceding
+     * the node. Nested functions are skipped.
+     * @param {EslintNode} func
+     * @param {EslintNode} node
+     * @return {boolean}
+     */
+    function hasAwaitBefore(func, node) {
+      const visit = (current) => {
+        if (!current || typeof current.type !== 'string' ||
+            current.range[0] >= node.range[0] || isFunctionNode(current)) {
+          return false;
+        }
+        if (current.type === 'AwaitExpression' &&
+            current.range[1] <= node.range[0]) {
+          return true;
+        }
+        return (visitorKeys[current.type] || []).some((key) =>
+          [].concat(current[key]).some(visit));
+      };
+      return visit(func.body);
+    }
+
+    /**
+     * Checks if the function runs after the code calling it, i.e. it's a
+     * callback of a timer, or the node is preceded by "await".
+     * @param {EslintNode} func
+     * @param {EslintNode} node inside of the function
+     * @return {boolean}
+     */
+    function isDeferred(func, node) {
+      const parent = func.parent;
+      if (parent.type === 'CallExpression' &&
+          parent.arguments.indexOf(func) !== -1) {
+        const name = getCalleeName(parent.callee);
+        if (TIMER_FUNCTIONS.indexOf(name) !== -1 ||
+            (parent.callee.type === 'MemberExpression' &&
+                EMITTER_METHODS.indexOf(name) !== -1) ||
+            isPromiseMethodCall(parent)) {
+          return true;
+        }
+      }
+      return func.async && hasAwaitBefore(func, node);
+    }
+
+    /**
+     * Checks if the intent handler waits for the deferred function to run.
+     * @param {EslintNode} func
+     * @param {EslintNode} handler
+     * @return {boolean}
+     */
+    function isWaitedFor(func, handler) {
+      const parent = func.parent;
+      if (parent.type === 'CallExpression' &&
+          parent.arguments.indexOf(func) !== -1 &&
+          !isPromiseMethodCall(parent)) {
+        return isInsideHandledExecutor(parent, handler);
+      }
+      return isFunctionResultHandled(context.getScope(), func, handler);
+    }
+
+    /**
+     * Finds the intent handler a node is inside of.
+     * @param {EslintNode} node
+     * @return {EslintNode?} function of the intent handler
+     */
+    function findHandler(node) {
+      for (let current = node.parent; current; current = current.parent) {
+        if (classifier.isFunctionIntentHandler(current)) {
+          return current;
+        }
+      }
+      return undefined;
+    }
+
+    /**
+     * Checks if an intent handler passes the conversation object to the
+     * function declared outside of it without waiting for the result, i.e.
+     * an async function adding a response after "await".
+     * @example
+     * async function load(conv) {
+     *   await fetch();
+     *   conv.ask('Loaded'); // not waited for
+     * }
+     * app.intent('a', (conv) => {
+     *   load(conv);
+     * });
+     *
+     * @param {EslintNode} func
+     * @return {boolean}
+     */
+    function isCalledWithoutWaiting(func) {
+      const nameNode = getFunctionNameNode(func);
+      const variable =
+          nameNode && findVariableByDef(context.getScope(), nameNode);
+      if (!variable) {
+        return false;
+      }
+      return variable.references.some((reference) => {
+        const node = reference.identifier.parent;
+        const handler = findHandler(node);
+        return !!handler && node.type === 'CallExpression' &&
+            node.callee === reference.identifier &&
+            node.arguments.some((arg) =>
+              classifier.isConversationIdentifier(arg, reference.from)) &&
+            !isPromiseHandled(reference.from, node, handler);
+      });
+    }
+
+    /**
+     * Reports the response added in a callback the intent handler doesn't
+     * wait for.
+     * @param {EslintNode} callExpression
+     */
+    function report(callExpression) {
+      context.report({
+        node: callExpression,
+        message: `Response must not be added in a callback the intent ` +
+            `handler doesn't wait for.`,
+      });
+    }
+
+    // ----------------------------------------------------------------------
+    // Public
+    // ----------------------------------------------------------------------
+
+    return {
+      'CallExpression': function(callExpression) {
+        if (!classifier.doesReturnActionResponse(callExpression)) {
+          return;
+        }
+        const handler = findHandler(callExpression);
+        // functions called synchronously are looked through, up to the
+        // first one running later.
+        let node = callExpression;
+        let func = findEnclosingFunction(node);
+        while (func && func !== handler && !isDeferred(func, node)) {
+          node = func;
+          func = findEnclosingFunction(node);
+        }
+        if (!func || func === handler) {
+          return;
+        }
+        // outside of intent handlers, the function is checked at the calls
+        // passing it the conversation object.
+        if (handler ? !isWaitedFor(func, handler) :
+            isCalledWithoutWaiting(func)) {
+          report(callExpression);
+        }
+      },
+    };
+  },
+};
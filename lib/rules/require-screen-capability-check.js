@@ -0,0 +1,116 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Visual responses (i.e. BasicCard, List) must be guarded by a
+ * check of the SCREEN_OUTPUT capability, since speaker-only surfaces can't
+ * display them.
+ *
+ * Please consult the official docs https://developers.google.com/actions/assistant/surface-capabilities
+ * for more details about the rule.
+ */
+'use strict';
+
+const {CodePathPresenceScopeManager} =
+    require('./../scope/code-path-presence-scope-manager');
+const {createCodePathGuardScopeListeners} =
+    require('./../scope/scope-listeners');
+const {RichResponseClassifier} =
+    require('./../classifier/rich-response-classifier');
+const {CapabilityClassifier, SCREEN_OUTPUT} =
+    require('./../classifier/capability-classifier');
+const {createOptionsSchema, getOptions} = require('./../utils/options');
+
+// client library classes that need a screen to be displayed.
+const VISUAL_RESPONSE_CLASSES = [
+  'BasicCard',
+  'Carousel',
+  'List',
+  'Table',
+  'Image',
+];
+
+// properties of the conversation object that are truthy when the surface has
+// a screen.
+const SCREEN_PROPERTIES = ['screen'];
+
+// -----------------------------------------------------------------------------
+// Rule Definition
+// -----------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    type: 'suggestion',
+    docs: {
+      description: 'visual responses must be guarded by a check of the ' +
+          'SCREEN_OUTPUT capability.',
+      category: 'Best Practices',
+      recommended: false,
+    },
+    schema: createOptionsSchema({
+      // classes that need a screen. Replaces the default list.
+      visualResponseClasses: {
+        type: 'array',
+        items: {type: 'string'},
+        uniqueItems: true,
+      },
+    }),
+  },
+
+  create: function(context) {
+    // metadata corresponds to whether the screen capability was checked on
+    // every path leading to the scope.
+    const manager = new CodePathPresenceScopeManager(context, () => {}, false);
+    const visualResponseClassifier = new RichResponseClassifier(context,
+        getOptions(context).visualResponseClasses || VISUAL_RESPONSE_CLASSES);
+    const capabilityClassifier =
+        new CapabilityClassifier(context, SCREEN_OUTPUT, SCREEN_PROPERTIES);
+
+    /**
+     * Checks whether a node is certainly a visual response.
+     * @param {EslintNode} node
+     * @return {bool} if node is a visual response.
+     */
+    function isVisualResponse(node) {
+      const {certain, result} = visualResponseClassifier.classify(node);
+      return certain && result;
+    }
+
+    // ----------------------------------------------------------------------
+    // Public
+    // ----------------------------------------------------------------------
+
+    return Object.assign(createCodePathGuardScopeListeners(manager,
+        visualResponseClassifier, capabilityClassifier), {
+      'CallExpression': function(callExpression) {
+        if (!visualResponseClassifier.doesReturnActionResponse(
+            callExpression) || manager.isPresentOnPath() ||
+            !manager.isScopeInsideIntent(manager.currentScope())) {
+          return;
+        }
+        for (const arg of callExpression.arguments) {
+          if (isVisualResponse(arg)) {
+            context.report({
+              node: arg,
+              message: 'Visual response must be guarded by a check of the ' +
+                  'SCREEN_OUTPUT capability.',
+            });
+          }
+        }
+      },
+    });
+  },
+};
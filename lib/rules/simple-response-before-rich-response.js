@@ -0,0 +1,157 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview A rich response (i.e. BasicCard) must be preceded by a simple
+ * response in the same turn.
+ *
+ * Please consult the official docs https://developers.google.com/actions/assistant/responses
+ * for more details about the rule.
+ */
+'use strict';
+
+const logger = require('winston').loggers.get('DEFAULT_LOGGER');
+const {CodePathPresenceScopeManager} =
+    require('./../scope/code-path-presence-scope-manager');
+const {createCodePathScopeListeners, mergeListeners} =
+    require('./../scope/scope-listeners');
+const {RichResponseClassifier} =
+    require('./../classifier/rich-response-classifier');
+const {SimpleResponseClassifier} =
+    require('./../classifier/simple-response-classifier');
+const {FunctionSummarizer, RESPONSE_KINDS} =
+    require('./../classifier/function-summarizer');
+const {inspect} = require('util');
+const {createOptionsSchema} = require('./../utils/options');
+
+// -----------------------------------------------------------------------------
+// Rule Definition
+// -----------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    type: 'suggestion',
+    docs: {
+      description: 'a rich response in Actions on Google fulfillment must be ' +
+      'preceded by a simple response.',
+      category: 'Best Practices',
+      recommended: true,
+    },
+    schema: createOptionsSchema(),
+  },
+
+  create: function(context) {
+    // metadata corresponds to whether a simple response was added on every
+    // path leading to the scope.
+    const manager = new CodePathPresenceScopeManager(context, () => {}, false);
+    const richResponseClassifier = new RichResponseClassifier(context);
+    const simpleResponseClassifier = new SimpleResponseClassifier(context);
+    const summarizer = new FunctionSummarizer(context);
+
+    // ----------------------------------------------------------------------
+    // Helpers
+    // ----------------------------------------------------------------------
+
+    /**
+     * Checks whether a node is a simple response.
+     * @param {EslintNode} node
+     * @return {bool} if node is a simple response.
+     */
+    function isSimpleResponse(node) {
+      const {certain, result} = simpleResponseClassifier.classify(node);
+      if (!certain) {
+        logger.debug(`Node ${inspect(node)} may have been a
+        simple response. Linter was not able to tell for sure.`);
+      }
+      return !certain || result;
+    }
+
+    /**
+     * Checks whether a node is certainly a rich response.
+     * @param {EslintNode} node
+     * @return {bool} if node is a rich response.
+     */
+    function isRichResponse(node) {
+      const {certain, result} = richResponseClassifier.classify(node);
+      return certain && result;
+    }
+
+    /**
+     * Checks if the call passes the conversation object to another function,
+     * which could have added a simple response to it.
+     * @param {EslintNode} callExpression
+     * @return {bool}
+     */
+    function passesConversation(callExpression) {
+      return callExpression.arguments.some((arg) =>
+        simpleResponseClassifier.isConversationIdentifier(arg));
+    }
+
+    /**
+     * Accounts for a function the conversation object is passed to. The
+     * summary of a helper function of the file tells if it may add a rich
+     * response first, and if it adds a simple response on every path.
+     * Functions declared elsewhere are assumed to add a simple response.
+     * @param {EslintNode} callExpression
+     */
+    function handleConversationCall(callExpression) {
+      const summary = summarizer.summarizeCall(callExpression);
+      if (!summary) {
+        if (passesConversation(callExpression)) {
+          Object.assign(manager.currentScope(), {metadata: true});
+        }
+        return;
+      }
+      if (summary.richBeforeSimple && !manager.isPresentOnPath() &&
+          manager.isScopeInsideIntent(manager.currentScope())) {
+        context.report({
+          node: callExpression,
+          message: 'Rich response must be preceded by a simple response.',
+        });
+      }
+      if (summary.alwaysKinds.indexOf(RESPONSE_KINDS.SIMPLE) !== -1) {
+        Object.assign(manager.currentScope(), {metadata: true});
+      }
+    }
+
+    // ----------------------------------------------------------------------
+    // Public
+    // ----------------------------------------------------------------------
+
+    const scopeListeners = mergeListeners(summarizer.createListeners(),
+        createCodePathScopeListeners(manager, simpleResponseClassifier));
+    return mergeListeners(scopeListeners, {
+      'CallExpression': function(callExpression) {
+        if (!simpleResponseClassifier.doesReturnActionResponse(
+            callExpression)) {
+          handleConversationCall(callExpression);
+          return;
+        }
+        for (const arg of callExpression.arguments) {
+          if (isSimpleResponse(arg)) {
+            Object.assign(manager.currentScope(), {metadata: true});
+          } else if (isRichResponse(arg) && !manager.isPresentOnPath() &&
+              manager.isScopeInsideIntent(manager.currentScope())) {
+            context.report({
+              node: arg,
+              message: 'Rich response must be preceded by a simple response.',
+            });
+          }
+        }
+      },
+    });
+  },
+};
@@ -0,0 +1,240 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Options passed to the rich response classes (i.e. BasicCard,
+ * BrowseCarousel) must have the required fields.
+ *
+ * Please consult the official docs https://developers.google.com/actions/assistant/responses
+ * for more details about the rule.
+ */
+'use strict';
+
+const {
+  findValueNode,
+  findObjectExpression,
+  findProperty,
+  hasStaticProperties,
+} = require('./../utils/ast-utils');
+const {createOptionsSchema} = require('./../utils/options');
+
+// bounds on the number of items of a browsing carousel.
+const MIN_BROWSE_CAROUSEL_ITEMS = 2;
+const MAX_BROWSE_CAROUSEL_ITEMS = 10;
+
+// -----------------------------------------------------------------------------
+// Rule Definition
+// -----------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'options passed to the rich responses in Actions on ' +
+          'Google fulfillment must have the required fields.',
+      category: 'Possible Errors',
+      recommended: true,
+    },
+    schema: createOptionsSchema(),
+  },
+
+  create: function(context) {
+    // ----------------------------------------------------------------------
+    // Helpers
+    // ----------------------------------------------------------------------
+
+    /**
+     * Finds the object literal of the options, if all of its properties are
+     * known statically.
+     * @param {EslintNode} node
+     * @return {EslintNode?} ObjectExpression
+     */
+    function findStaticOptions(node) {
+      const options = node && findObjectExpression(context.getScope(), node);
+      return options && hasStaticProperties(options) ? options : undefined;
+    }
+
+    /**
+     * Reports the fields missing from the options.
+     * @param {string} className
+     * @param {EslintNode} options ObjectExpression
+     * @param {Array<string>} fields required fields.
+     */
+    function checkRequiredFields(className, options, fields) {
+      for (const field of fields) {
+        if (!findProperty(options, field)) {
+          context.report({
+            node: options,
+            message: `${className} is missing the required "${field}" ` +
+                `option.`,
+          });
+        }
+      }
+    }
+
+    /**
+     * Finds the elements of an array literal the node evaluates to.
+     * @param {EslintNode} node
+     * @return {Array<EslintNode>?} undefined if elements can't be determined
+     * statically.
+     */
+    function findArrayElements(node) {
+      const valueNode = findValueNode(context.getScope(), node);
+      if (!valueNode || valueNode.type !== 'ArrayExpression' ||
+          valueNode.elements.some((e) => !e || e.type === 'SpreadElement')) {
+        return undefined;
+      }
+      return valueNode.elements;
+    }
+
+    /**
+     * Checks options of a basic card. Card needs either an image or text,
+     * and can have at most one button.
+     * @param {EslintNode} newExpression
+     */
+    function checkBasicCard(newExpression) {
+      const options = findStaticOptions(newExpression.arguments[0]);
+      if (!options) {
+        return;
+      }
+      if (!findProperty(options, 'image') && !findProperty(options, 'text')) {
+        context.report({
+          node: options,
+          message: 'BasicCard must have an image or text.',
+        });
+      }
+      const buttons = findProperty(options, 'buttons');
+      const elements = buttons && findArrayElements(buttons.value);
+      if (elements && elements.length > 1) {
+        context.report({
+          node: buttons.value,
+          message: 'BasicCard must have at most one button.',
+        });
+      }
+    }
+
+    /**
+     * Checks options of a button. Button needs a title, and either url or
+     * an action to open.
+     * @param {EslintNode} newExpression
+     */
+    function checkButton(newExpression) {
+      const options = findStaticOptions(newExpression.arguments[0]);
+      if (!options) {
+        return;
+      }
+      checkRequiredFields('Button', options, ['title']);
+      if (!findProperty(options, 'url') && !findProperty(options, 'action')) {
+        context.report({
+          node: options,
+          message: 'Button must have either "url" or "action".',
+        });
+      }
+    }
+
+    /**
+     * Checks a browsing carousel. It needs 2-10 items, and each one needs
+     * a url. Items are either passed directly, or as the "items" option.
+     * @param {EslintNode} newExpression
+     */
+    function checkBrowseCarousel(newExpression) {
+      const arg = newExpression.arguments[0];
+      if (!arg) {
+        return;
+      }
+      let itemsNode = arg;
+      const options = findObjectExpression(context.getScope(), arg);
+      if (options) {
+        const items = findProperty(options, 'items');
+        if (!items) {
+          return;
+        }
+        itemsNode = items.value;
+      }
+      const elements = findArrayElements(itemsNode);
+      if (!elements) {
+        return;
+      }
+      if (elements.length < MIN_BROWSE_CAROUSEL_ITEMS ||
+          elements.length > MAX_BROWSE_CAROUSEL_ITEMS) {
+        context.report({
+          node: itemsNode,
+          message: `BrowseCarousel must have between ` +
+              `${MIN_BROWSE_CAROUSEL_ITEMS} and ${MAX_BROWSE_CAROUSEL_ITEMS} ` +
+              `items.`,
+        });
+      }
+      // "new BrowseCarouselItem(...)" items are checked on their own.
+      for (const element of elements) {
+        const item = element.type !== 'NewExpression' &&
+            findStaticOptions(element);
+        if (item) {
+          checkRequiredFields('BrowseCarouselItem', item, ['title', 'url']);
+        }
+      }
+    }
+
+    /**
+     * Checks options of a browsing carousel item. It needs a title and url.
+     * @param {EslintNode} newExpression
+     */
+    function checkBrowseCarouselItem(newExpression) {
+      const options = findStaticOptions(newExpression.arguments[0]);
+      if (options) {
+        checkRequiredFields('BrowseCarouselItem', options, ['title', 'url']);
+      }
+    }
+
+    /**
+     * Checks options of an image. It needs a url and alt text.
+     * @param {EslintNode} newExpression
+     */
+    function checkImage(newExpression) {
+      const options = findStaticOptions(newExpression.arguments[0]);
+      if (options) {
+        checkRequiredFields('Image', options, ['url', 'alt']);
+      }
+    }
+
+    // ----------------------------------------------------------------------
+    // Public
+    // ----------------------------------------------------------------------
+
+    return {
+      'NewExpression': function(newExpression) {
+        switch (newExpression.callee.name) {
+          case 'BasicCard':
+            checkBasicCard(newExpression);
+            break;
+          case 'Button':
+            checkButton(newExpression);
+            break;
+          case 'BrowseCarousel':
+            checkBrowseCarousel(newExpression);
+            break;
+          case 'BrowseCarouselItem':
+            checkBrowseCarouselItem(newExpression);
+            break;
+          case 'Image':
+            checkImage(newExpression);
+            break;
+          default:
+            break;
+        }
+      },
+    };
+  },
+};
@@ -0,0 +1,78 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview SSML markup in the speech of simple responses must be
+ * well-formed, and use only the elements supported by Actions on Google.
+ *
+ * Please consult the official docs https://developers.google.com/actions/reference/ssml
+ * for more details about the rule.
+ */
+'use strict';
+
+const {findStaticStringValue} = require('./../utils/ast-utils');
+const {isSsml, validateSsml} = require('./../utils/ssml-utils');
+const {SimpleResponseClassifier} =
+    require('./../classifier/simple-response-classifier');
+const {createOptionsSchema} = require('./../utils/options');
+
+// -----------------------------------------------------------------------------
+// Rule Definition
+// -----------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'SSML markup in the speech of simple responses must be ' +
+          'well-formed, and supported by Actions on Google.',
+      category: 'Possible Errors',
+      recommended: true,
+    },
+    schema: createOptionsSchema(),
+  },
+
+  create: function(context) {
+    const classifier = new SimpleResponseClassifier(context);
+
+    // ----------------------------------------------------------------------
+    // Public
+    // ----------------------------------------------------------------------
+
+    return {
+      'CallExpression': function(callExpression) {
+        if (!classifier.doesReturnActionResponse(callExpression)) {
+          return;
+        }
+        for (const arg of callExpression.arguments) {
+          const speech = classifier.findSpeech(arg);
+          const text = speech &&
+              findStaticStringValue(context.getScope(), speech);
+          // plain text speech, without a <speak> tag, is not SSML.
+          if (text === undefined || !isSsml(text)) {
+            continue;
+          }
+          for (const problem of validateSsml(text)) {
+            context.report({
+              node: arg,
+              message: `Invalid SSML: ${problem}`,
+            });
+          }
+        }
+      },
+    };
+  },
+};
@@ -0,0 +1,99 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview File containing implementation of scope manager that counts
+ * the items added on the paths of the ESLint code path analysis.
+ */
+
+'use strict';
+
+const {CodePathScopeManager} = require('./code-path-scope-manager');
+const {getIterationCount, isIterationCallback} =
+    require('./../utils/loop-utils');
+
+/**
+ * Implementation of Code Path Scope Manager that stores the counting metadata.
+ * The metadata of the current scope is the highest count on the paths leading
+ * to it, so rules can report as soon as it exceeds the limit.
+ *
+ * Items added inside of a loop are counted once for each of its iterations,
+ * so the count is Infinity when the number of iterations is unknown.
+ */
+class CodePathCountScopeManager extends CodePathScopeManager {
+  /**
+   * Adds the items added by the node to the count of the current scope, for
+   * each time the loops enclosing the node execute it.
+   * @example
+   * conv.ask('a'); // 1 added
+   * for (const item of ['a', 'b']) {
+   *   conv.ask(item); // 2 added
+   * }
+   * items.forEach((item) => conv.ask(item)); // Infinity added
+   *
+   * @param {EslintNode} node which adds the items, the last violating node.
+   * @param {number=} count of items added by each execution of the node.
+   */
+  add(node, count = 1) {
+    const iterations = count > 0 ?
+      getIterationCount(this._eslintContext.getScope(), node) : 0;
+    Object.assign(this.currentScope(), {
+      metadata: this.currentScope().metadata + count * iterations,
+      lastViolatingNode: node,
+    });
+  }
+
+  /**
+   * Joins the counts of alternative paths.
+   * @param {Array<number>} metadata
+   * @return {number} max of the counts
+   * @protected
+   * @override
+   */
+  _join(metadata) {
+    return Math.max(...metadata);
+  }
+
+  /**
+   * Code paths that don't inherit the count start with 0.
+   * @return {number}
+   * @protected
+   * @override
+   */
+  _getDefaultMetadata() {
+    return 0;
+  }
+
+  /**
+   * Iteration callbacks (i.e. of forEach) are called before the code following
+   * them, so the count passes back from them.
+   * @param {Scope} finalScope
+   * @param {EslintNode} callback
+   * @protected
+   * @override
+   */
+  _handleCallbackExit(finalScope, callback) {
+    if (isIterationCallback(callback)) {
+      const scope = this._joinScopes([this.currentScope(), finalScope]);
+      Object.assign(this.currentScope(), {
+        metadata: scope.metadata,
+        lastViolatingNode: scope.lastViolatingNode,
+      });
+    }
+  }
+}
+
+module.exports.CodePathCountScopeManager = CodePathCountScopeManager;
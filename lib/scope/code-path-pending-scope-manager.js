@@ -0,0 +1,101 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview File containing implementation of scope manager that stores
+ * the nodes still waiting for something on some path of the ESLint code path
+ * analysis leading to the scope, i.e. media responses which weren't yet
+ * accompanied by a simple response.
+ */
+
+'use strict';
+
+const {CodePathPossiblePresenceScopeManager} =
+    require('./code-path-possible-presence-scope-manager');
+
+/**
+ * Implementation of Code Path Scope Manager whose metadata is the list of
+ * pending nodes. Rules add a node when it starts waiting, and clear the list
+ * once the awaited item is added; nodes left at the end of the intent handler
+ * never got it on some path.
+ * @example
+ * conv.ask(new MediaObject({})); // [MediaObject]
+ * if (a) {
+ *   conv.ask('hello'); // []
+ * }
+ * // [MediaObject], since it's still pending on the path skipping the "if"
+ */
+class CodePathPendingScopeManager extends
+  CodePathPossiblePresenceScopeManager {
+  /**
+   * Constructor.
+   * @param {Object} eslintContext
+   * @param {Function} reporterFn
+   */
+  constructor(eslintContext, reporterFn) {
+    super(eslintContext, reporterFn, []);
+  }
+
+  /**
+   * Adds the node to the pending nodes of the current scope.
+   * @param {EslintNode} node
+   */
+  addPending(node) {
+    const scope = this.currentScope();
+    Object.assign(scope, {metadata: this._join([scope.metadata, [node]])});
+  }
+
+  /**
+   * Removes all the pending nodes of the current scope.
+   */
+  clearPending() {
+    Object.assign(this.currentScope(), {metadata: []});
+  }
+
+  /**
+   * Joins the pending nodes of alternative paths.
+   * @param {Array<Array<EslintNode>>} metadata
+   * @return {Array<EslintNode>} nodes pending on some path.
+   * @protected
+   * @override
+   */
+  _join(metadata) {
+    const nodes = [];
+    for (const pending of metadata) {
+      for (const node of pending) {
+        if (nodes.indexOf(node) === -1) {
+          nodes.push(node);
+        }
+      }
+    }
+    return nodes;
+  }
+
+  /**
+   * Nodes left pending by a callback are still pending once the intent
+   * handler responds.
+   * @param {Scope} finalScope
+   * @protected
+   * @override
+   */
+  _handleCallbackExit(finalScope) {
+    const scope = this.currentScope();
+    Object.assign(scope,
+        {metadata: this._join([scope.metadata, finalScope.metadata])});
+  }
+}
+
+module.exports.CodePathPendingScopeManager = CodePathPendingScopeManager;
@@ -0,0 +1,63 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview File containing implementation of scope manager that stores
+ * whether an item may be present in the given scope, i.e. conv.close is called
+ * on some path of the ESLint code path analysis leading to the scope.
+ */
+
+'use strict';
+
+const {CodePathPresenceScopeManager} =
+    require('./code-path-presence-scope-manager');
+
+/**
+ * Implementation of Code Path Presence Scope Manager that keeps track of
+ * whether a node is present on some of the paths leading to the scope, rather
+ * than on every path.
+ */
+class CodePathPossiblePresenceScopeManager extends
+  CodePathPresenceScopeManager {
+  /**
+   * Joins the presence of alternative paths.
+   * @param {Array<boolean>} metadata
+   * @return {boolean} true if present on some path.
+   * @protected
+   * @override
+   */
+  _join(metadata) {
+    return metadata.some((isPresent) => !!isPresent);
+  }
+
+  /**
+   * The try block could have thrown after any of its statements, so the
+   * catch clause is reached with the metadata preceding the try statement, or
+   * with the one at the end of the try block.
+   * @param {Scope} startScope
+   * @param {Scope?} endScope
+   * @return {boolean}
+   * @protected
+   * @override
+   */
+  _joinAtCatch(startScope, endScope) {
+    return endScope ? this._join([startScope.metadata, endScope.metadata]) :
+      startScope.metadata;
+  }
+}
+
+module.exports.CodePathPossiblePresenceScopeManager =
+    CodePathPossiblePresenceScopeManager;
@@ -0,0 +1,57 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview File containing implementation of scope manager that stores
+ * whether an item is present on every path of the ESLint code path analysis
+ * leading to the scope.
+ */
+
+'use strict';
+
+const {CodePathScopeManager} = require('./code-path-scope-manager');
+
+/**
+ * Implementation of Code Path Scope Manager that keeps track of metadata about
+ * presence of a node on every path leading to the scope.
+ */
+class CodePathPresenceScopeManager extends CodePathScopeManager {
+  /**
+   * Joins the presence of alternative paths.
+   * @param {Array<boolean>} metadata
+   * @return {boolean} true if present on every path.
+   * @protected
+   * @override
+   */
+  _join(metadata) {
+    return metadata.every((isPresent) => !!isPresent);
+  }
+
+  /**
+   * If the default metadata was omitted in the constructor, it's whether the
+   * code path is outside of an intent handler.
+   * @param {boolean} isInsideIntent
+   * @return {boolean}
+   * @protected
+   * @override
+   */
+  _getDefaultMetadata(isInsideIntent) {
+    return this._defaultMetadata !== undefined ? this._defaultMetadata :
+      !isInsideIntent;
+  }
+}
+
+module.exports.CodePathPresenceScopeManager = CodePathPresenceScopeManager;
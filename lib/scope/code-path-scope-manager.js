@@ -0,0 +1,370 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview File containing the base class of scope managers driven by
+ * the ESLint code path analysis, rather than by the AST nodes which branch.
+ * See https://eslint.org/docs/developer-guide/code-path-analysis
+ */
+
+'use strict';
+
+const last = require('lodash.last');
+const {ScopeManager} = require('./scope-manager');
+const {Scope} = require('./scope');
+
+/**
+ * Abstract class of a scope manager that keeps a scope for each code path
+ * segment, i.e. a straight piece of code without branches. A segment starts
+ * with the metadata joined from the segments leading to it, so the metadata of
+ * the current scope describes the paths leading to the currently traversed
+ * node, whichever statements (if, switch, try-finally, labeled break etc.)
+ * they went through. Concrete scope managers implement "_join" to decide how
+ * the metadata of alternative paths is combined, i.e. max of the counts.
+ *
+ * Callbacks inside of intent handlers run after the code preceding them, so
+ * their code paths start with the metadata of the enclosing code, while
+ * other functions start with the default metadata.
+ *
+ * Loops are followed back once: the metadata at the end of the loop body is
+ * joined into the segments the loop goes back to, so the code following the
+ * loop accounts for its body.
+ */
+class CodePathScopeManager extends ScopeManager {
+  /**
+   * Constructor.
+   * @param {Object} eslintContext
+   * @param {Function} reporterFn called with the intent handler node once its
+   * code path was traversed, while the current scope holds the metadata joined
+   * from all the paths returning from the handler.
+   * @param {*=} defaultMetadata metadata of the code paths that don't inherit
+   * it. Concrete scope managers provide the value if omitted.
+   */
+  constructor(eslintContext, reporterFn, defaultMetadata) {
+    super(eslintContext, reporterFn);
+    this._defaultMetadata = defaultMetadata;
+    // code paths being traversed, innermost last.
+    this._codePaths = [];
+    // scopes of the traversed code path segments, by segment id.
+    this._segmentScopes = Object.create(null);
+    // scopes preceding the try statements being traversed, innermost last.
+    this._tryScopes = [];
+    // ids of the segments which were entered before any segment leading to
+    // them (i.e. the head of a for-of statement), so got the default metadata.
+    this._unjoinedSegments = Object.create(null);
+  }
+
+  /**
+   * Accounts for the code path event.
+   * @param {EslintNode} node currently traversed
+   * @param {string} event emitted by Eslint during traversal of the node,
+   * suffixed with ", Intent" if the code path is of an intent handler.
+   * @param {CodePath|CodePathSegment=} codePathOrSegment of the event, or the
+   * segment a loop goes back from.
+   * @param {CodePathSegment=} toSegment segment a loop goes back to.
+   */
+  account(node, event, codePathOrSegment, toSegment) {
+    if (event.startsWith('onCodePathStart')) {
+      this._enterCodePath(node, codePathOrSegment, event.includes('Intent'));
+    } else if (event === 'onCodePathSegmentStart') {
+      this._enterSegment(node, codePathOrSegment);
+    } else if (event === 'onCodePathSegmentLoop') {
+      this._handleLoop(codePathOrSegment, toSegment);
+    } else if (event === 'onCodePathEnd') {
+      this._exitCodePath(node);
+    } else if (event === 'TryStatement') {
+      this._tryScopes.push({
+        startScope: this._joinScopes([this.currentScope()]),
+        endScope: null,
+      });
+    } else if (event === 'TryStatement > BlockStatement:exit') {
+      this._handleTryBlockExit();
+    } else if (event === 'TryStatement:exit') {
+      this._tryScopes.pop();
+    }
+  }
+
+  /**
+   * Returns the scope of the current code path segment. When there are
+   * several current segments (i.e. in a "finally" block traversed both after
+   * the try block completes and after it throws), their scopes are joined into
+   * one, shared by all of them from then on.
+   * @return {Scope} current scope
+   * @override
+   */
+  currentScope() {
+    const codePath = last(this._codePaths);
+    if (!codePath) {
+      return super.currentScope();
+    }
+    if (codePath.finalScope) {
+      return codePath.finalScope;
+    }
+    const scopes = codePath.codePath.currentSegments.map((segment) =>
+      this._segmentScopes[segment.id]).filter(Boolean);
+    if (scopes.length === 0) {
+      return super.currentScope();
+    }
+    if (scopes.every((scope) => scope === scopes[0])) {
+      return scopes[0];
+    }
+    const scope = this._joinScopes(scopes);
+    for (const segment of codePath.codePath.currentSegments) {
+      this._segmentScopes[segment.id] = scope;
+    }
+    return scope;
+  }
+
+  /**
+   * Method that checks if scope is inside of the intent handler.
+   * @param {Scope} scope
+   * @return {bool} if scope is inside of intent handler.
+   */
+  isScopeInsideIntent(scope) {
+    return !!scope && scope.event.includes('Intent');
+  }
+
+  /**
+   * Checks if the item is present on the path leading to the currently
+   * traversed node. The metadata of the current scope already accounts for
+   * the paths leading to it.
+   * @return {bool}
+   */
+  isPresentOnPath() {
+    return !!this.currentScope().metadata;
+  }
+
+  /**
+   * Joins the metadata of alternative paths, each of them given in the
+   * array.
+   * Abstract method.
+   * @param {Array<*>} metadata of each path, at least one.
+   * @protected
+   */
+  _join(metadata) {
+    throw new Error('Override this class and implement the method.');
+  }
+
+  /**
+   * Returns the metadata of a code path that doesn't inherit it.
+   * @param {boolean} isInsideIntent whether the code path is inside of an
+   * intent handler.
+   * @return {*}
+   * @protected
+   */
+  _getDefaultMetadata(isInsideIntent) {
+    return this._defaultMetadata;
+  }
+
+  /**
+   * Returns the metadata at the start of a catch clause. The try block could
+   * have thrown before any of its statements, so by default it's the metadata
+   * preceding the try statement.
+   * @param {Scope} startScope scope preceding the try statement.
+   * @param {Scope?} endScope scope at the end of the try block, if the block
+   * completes normally.
+   * @return {*}
+   * @protected
+   */
+  _joinAtCatch(startScope, endScope) {
+    return startScope.metadata;
+  }
+
+  /**
+   * Performs housekeeping actions once the code path of a callback inside of
+   * an intent handler was traversed, while the current scope is the one the
+   * callback is in.
+   * @param {Scope} finalScope metadata joined from the paths returning from
+   * the callback.
+   * @param {EslintNode} callback function node.
+   * @protected
+   */
+  _handleCallbackExit(finalScope, callback) {}
+
+  /**
+   * Creates a scope with the metadata joined from the scopes. The last
+   * violating node is taken from a scope with the resulting metadata.
+   * @param {Array<Scope>} scopes at least one.
+   * @return {Scope}
+   * @private
+   */
+  _joinScopes(scopes) {
+    const metadata = this._join(scopes.map((scope) => scope.metadata));
+    const origin = scopes.find((scope) => scope.metadata === metadata) ||
+        scopes[0];
+    return this._createScopeObject({
+      event: scopes[0].event,
+      metadata: metadata,
+      lastViolatingNode: origin.lastViolatingNode,
+    });
+  }
+
+  /**
+   * Performs housekeeping actions when entering a code path, i.e. a function.
+   * @param {EslintNode} node Program or function node.
+   * @param {CodePath} codePath
+   * @param {boolean} isIntent whether the function is an intent handler.
+   * @private
+   */
+  _enterCodePath(node, codePath, isIntent) {
+    const upper = last(this._codePaths);
+    const isInsideIntent = isIntent || (!!upper && upper.isInsideIntent);
+    const isCallback = node.type === 'ArrowFunctionExpression' ||
+        (node.type === 'FunctionExpression' &&
+            node.parent.type !== 'MethodDefinition');
+    this._codePaths.push({
+      codePath,
+      node,
+      isIntent,
+      isInsideIntent,
+      // scope the callback is in, which its code path inherits.
+      upperScope: !isIntent && isCallback && !!upper &&
+          upper.isInsideIntent ? this.currentScope() : null,
+      finalScope: null,
+    });
+  }
+
+  /**
+   * Creates the scope of the code path segment with the metadata joined from
+   * the segments leading to it. Loops are not followed back.
+   * @param {EslintNode} node which starts the segment.
+   * @param {CodePathSegment} segment
+   * @private
+   */
+  _enterSegment(node, segment) {
+    const codePath = last(this._codePaths);
+    const event = codePath.isInsideIntent ?
+      'onCodePathSegmentStart, Intent' : 'onCodePathSegmentStart';
+    const prevScopes = segment.prevSegments.map((prev) =>
+      this._segmentScopes[prev.id]).filter(Boolean);
+    let metadata;
+    let lastViolatingNode = null;
+    if (segment === codePath.codePath.initialSegment && codePath.upperScope) {
+      metadata = codePath.upperScope.metadata;
+      lastViolatingNode = codePath.upperScope.lastViolatingNode;
+    } else if (node.type === 'CatchClause' && this._tryScopes.length > 0) {
+      const {startScope, endScope} = last(this._tryScopes);
+      metadata = this._joinAtCatch(startScope, endScope);
+    } else if (prevScopes.length > 0) {
+      const joined = this._joinScopes(prevScopes);
+      metadata = joined.metadata;
+      lastViolatingNode = joined.lastViolatingNode;
+    } else {
+      metadata = this._getDefaultMetadata(codePath.isInsideIntent);
+      if (segment !== codePath.codePath.initialSegment) {
+        this._unjoinedSegments[segment.id] = true;
+      }
+    }
+    this._segmentScopes[segment.id] =
+        this._createScopeObject({event, metadata, lastViolatingNode});
+  }
+
+  /**
+   * Joins the metadata of the segment a loop goes back from into the segment
+   * it goes back to, and into the segments following it that were already
+   * traversed, i.e. from the update to the test of a for-statement. A segment
+   * that got the default metadata takes the metadata instead.
+   * @param {CodePathSegment} fromSegment
+   * @param {CodePathSegment} toSegment
+   * @private
+   */
+  _handleLoop(fromSegment, toSegment) {
+    const fromScope = this._segmentScopes[fromSegment.id];
+    const visited = [];
+    const segments = [toSegment];
+    while (fromScope && segments.length > 0) {
+      const segment = segments.shift();
+      const scope = this._segmentScopes[segment.id];
+      if (!scope || visited.indexOf(segment) !== -1) {
+        continue;
+      }
+      visited.push(segment);
+      const joined = this._unjoinedSegments[segment.id] ? fromScope :
+        this._joinScopes([scope, fromScope]);
+      delete this._unjoinedSegments[segment.id];
+      Object.assign(scope, {
+        metadata: joined.metadata,
+        lastViolatingNode: joined.lastViolatingNode,
+      });
+      segments.push(...segment.nextSegments);
+    }
+  }
+
+  /**
+   * Keeps the scope at the end of the try block being exited, unless the
+   * block always exits (i.e. ends with a return statement).
+   * @private
+   */
+  _handleTryBlockExit() {
+    const codePath = last(this._codePaths);
+    const tryScope = last(this._tryScopes);
+    if (tryScope && codePath.codePath.currentSegments.some((segment) =>
+      segment.reachable)) {
+      tryScope.endScope = this._joinScopes([this.currentScope()]);
+    }
+  }
+
+  /**
+   * Joins the metadata of the paths returning from the function, and calls
+   * the reporterFn if the function is an intent handler. Paths that throw
+   * don't produce a response, so they are left out.
+   * @param {EslintNode} node Program or function node.
+   * @private
+   */
+  _exitCodePath(node) {
+    const codePath = last(this._codePaths);
+    const returnedScopes = codePath.codePath.returnedSegments.map((segment) =>
+      this._segmentScopes[segment.id]).filter(Boolean);
+    codePath.finalScope = returnedScopes.length > 0 ?
+      this._joinScopes(returnedScopes) : this._createScopeObject({
+        event: codePath.isInsideIntent ? 'onCodePathEnd, Intent' :
+          'onCodePathEnd',
+        metadata: this._getDefaultMetadata(codePath.isInsideIntent),
+      });
+    if (codePath.isIntent) {
+      this._reporterFn(node);
+    }
+    this._codePaths.pop();
+    if (codePath.upperScope) {
+      this._handleCallbackExit(codePath.finalScope, node);
+    }
+  }
+
+  /**
+   * Implementation of factory method for creation of scope object.
+   * Will auto-populate params with the following default values if missing:
+   *  - metadata: default metadata of code paths outside of intent handlers
+   *  - lastViolatingNode: null
+   *  - hasReturnStatement: false
+   * @param {Object} params
+   * @return {Scope}
+   * @private
+   */
+  _createScopeObject(params) {
+    if (!('metadata' in params)) {
+      params['metadata'] = this._getDefaultMetadata(false);
+    }
+    if (!('lastViolatingNode' in params)) {
+      params['lastViolatingNode'] = null;
+    }
+    if (!('hasReturnStatement' in params)) {
+      params['hasReturnStatement'] = false;
+    }
+    return new Scope(params);
+  }
+}
+
+module.exports.CodePathScopeManager = CodePathScopeManager;
@@ -0,0 +1,194 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview File containing the ESLint listeners that feed the AST
+ * traversal and code path events to the scope managers. Rules merge those
+ * with their own listeners, i.e.
+ *   return Object.assign(createCodePathScopeListeners(manager, classifier), {
+ *     'CallExpression': function(callExpression) { ... },
+ *   });
+ */
+
+'use strict';
+
+const {alwaysExits} = require('./../utils/ast-utils');
+
+/**
+ * Combines several scope managers into one that forwards the traversal events
+ * to each of them, in order.
+ * @param {Array<ScopeManager>} managers
+ * @return {{account: Function}}
+ */
+function combineManagers(managers) {
+  return {
+    account(...args) {
+      for (const manager of managers) {
+        manager.account(...args);
+      }
+    },
+  };
+}
+
+/**
+ * Creates the listeners needed by the code path scope managers, which follow
+ * the code path analysis of ESLint. Event names of the code paths of intent
+ * handlers are suffixed with ", Intent".
+ * @param {CodePathScopeManager|Array<CodePathScopeManager>} manager a rule
+ * can keep track of several items by passing a manager for each of them.
+ * @param {Classifier} classifier used to recognize intent handlers.
+ * @return {Object} eslint listeners
+ */
+function createCodePathScopeListeners(manager, classifier) {
+  if (Array.isArray(manager)) {
+    manager = combineManagers(manager);
+  }
+  return {
+    'onCodePathStart': function(codePath, node) {
+      manager.account(node, classifier.isFunctionIntentHandler(node) ?
+        'onCodePathStart, Intent' : 'onCodePathStart', codePath);
+    },
+    'onCodePathSegmentStart': function(segment, node) {
+      manager.account(node, 'onCodePathSegmentStart', segment);
+    },
+    'onCodePathSegmentLoop': function(fromSegment, toSegment, node) {
+      manager.account(node, 'onCodePathSegmentLoop', fromSegment, toSegment);
+    },
+    'onCodePathEnd': function(codePath, node) {
+      manager.account(node, 'onCodePathEnd', codePath);
+    },
+    // the catch clause can be reached before any statement of the try block.
+    'TryStatement': function(tryStatement) {
+      manager.account(tryStatement, 'TryStatement');
+    },
+    'TryStatement > BlockStatement:exit': function(blockStatement) {
+      if (blockStatement.parent.block === blockStatement) {
+        manager.account(blockStatement, 'TryStatement > BlockStatement:exit');
+      }
+    },
+    'TryStatement:exit': function(tryStatement) {
+      manager.account(tryStatement, 'TryStatement:exit');
+    },
+  };
+}
+
+/**
+ * Checks if the node is an arm of a conditional or a logical expression that
+ * is evaluated only when the condition holds, i.e.
+ *   conv.screen ? conv.ask(new BasicCard({})) : conv.ask('No screen');
+ *   conv.screen && conv.ask(new BasicCard({}));
+ *   !conv.screen || conv.ask(new BasicCard({}));
+ * @param {ASTNode} node
+ * @param {CapabilityClassifier} guardClassifier recognizes the condition.
+ * @return {boolean}
+ */
+function isGuardedArm(node, guardClassifier) {
+  const parent = node.parent;
+  if (!parent) {
+    return false;
+  }
+  if (parent.type === 'ConditionalExpression' && node !== parent.test) {
+    return node === parent.consequent ?
+      guardClassifier.isCapabilityCheck(parent.test) :
+      guardClassifier.isNegatedCapabilityCheck(parent.test);
+  }
+  if (parent.type === 'LogicalExpression' && node === parent.right) {
+    return parent.operator === '&&' ?
+      guardClassifier.isCapabilityCheck(parent.left) :
+      parent.operator === '||' &&
+          guardClassifier.isNegatedCapabilityCheck(parent.left);
+  }
+  return false;
+}
+
+/**
+ * Creates the listeners for a CodePathPresenceScopeManager that keeps track of
+ * whether the traversed code is guarded by a condition, i.e.
+ *   if (conv.screen) {
+ *     conv.ask(new BasicCard({})); // guarded
+ *   }
+ *   if (!conv.screen) {
+ *     return conv.close('Needs a screen');
+ *   }
+ *   conv.ask(new BasicCard({})); // guarded
+ *   conv.screen && conv.ask(new BasicCard({})); // guarded
+ * Metadata of the code path segment starting a branch is set when the
+ * condition holds in the branch, and the code path analysis propagates it.
+ * @param {CodePathPresenceScopeManager} manager
+ * @param {Classifier} classifier used to recognize intent handlers.
+ * @param {CapabilityClassifier} guardClassifier recognizes the condition.
+ * @return {Object} eslint listeners
+ */
+function createCodePathGuardScopeListeners(manager, classifier,
+    guardClassifier) {
+  return mergeListeners(createCodePathScopeListeners(manager, classifier), {
+    'IfStatement > *': function(branch) {
+      const ifStatement = branch.parent;
+      if (branch === ifStatement.test) {
+        return;
+      }
+      const isGuarded = branch === ifStatement.consequent ?
+        guardClassifier.isCapabilityCheck(ifStatement.test) :
+        guardClassifier.isNegatedCapabilityCheck(ifStatement.test);
+      if (isGuarded) {
+        Object.assign(manager.currentScope(), {metadata: true});
+      }
+    },
+    // branches of conditional and logical expressions can be a call, whose
+    // listeners run before the ones of a "ConditionalExpression > *"
+    // selector, so their segments are checked when they start.
+    'onCodePathSegmentStart': function(segment, node) {
+      if (isGuardedArm(node, guardClassifier)) {
+        Object.assign(manager.currentScope(), {metadata: true});
+      }
+    },
+    'IfStatement:exit': function(ifStatement) {
+      // code following "if (!condition) { return; }" is guarded.
+      if (guardClassifier.isNegatedCapabilityCheck(ifStatement.test) &&
+          alwaysExits(ifStatement.consequent)) {
+        Object.assign(manager.currentScope(), {metadata: true});
+      }
+    },
+  });
+}
+
+/**
+ * Merges several sets of listeners, calling the listeners registered for the
+ * same event in order, i.e. when a rule feeds both presence and guard
+ * managers.
+ * @param {...Object} listenerSets eslint listeners
+ * @return {Object} eslint listeners
+ */
+function mergeListeners(...listenerSets) {
+  const merged = {};
+  for (const listeners of listenerSets) {
+    for (const event of Object.keys(listeners)) {
+      const previous = merged[event];
+      const listener = listeners[event];
+      merged[event] = previous ? function(...args) {
+        previous(...args);
+        listener(...args);
+      } : listener;
+    }
+  }
+  return merged;
+}
+
+module.exports = {
+  mergeListeners,
+  createCodePathScopeListeners,
+  createCodePathGuardScopeListeners,
+};
@@ -115,7 +115,379 @@ function findVariableNodeValue(scope, identifierNode) {
   return val;
 }
 
+/**
+ * Finds the variable that is *defined* by the identifierNode. For example,
+ *   function f() {} // identifierNode is "f" of the function declaration
+ *   const g = () => {}; // identifierNode is "g" of the variable declarator
+ *
+ * Unlike findVariableNodeValue, the variable is matched by the definition
+ * node itself rather than by name, so shadowed variables are not confused.
+ *
+ * Will iteratively check enclosing scopes starting from the "scope". It will
+ * stop after the global scope has been checked.
+ *
+ * @param {RuleScope} scope
+ * @param {ASTNode} identifierNode
+ * @return {Variable?} eslint-scope variable defined by the identifierNode, or
+ * undefined if not found.
+ */
+function findVariableByDef(scope, identifierNode) {
+  while (scope) {
+    const variable = scope.variables.find((v) =>
+      v.defs.some((d) => d.name === identifierNode));
+    if (variable) {
+      return variable;
+    }
+    scope = scope.upper;
+  }
+  return undefined;
+}
+
+/**
+ * Finds the variable visible from the "scope" with the given name.
+ *
+ * Will iteratively check enclosing scopes starting from the "scope". It will
+ * stop after the global scope has been checked.
+ *
+ * @param {RuleScope} scope
+ * @param {string} name
+ * @return {Variable?} eslint-scope variable, or undefined if not found.
+ */
+function findVariableByName(scope, name) {
+  while (scope) {
+    const variable = scope.set ? scope.set.get(name) :
+      scope.variables.find((v) => v.name === name);
+    if (variable) {
+      return variable;
+    }
+    scope = scope.upper;
+  }
+  return undefined;
+}
+
+/**
+ * Checks if the node is a function (i.e. declaration, expression or lambda).
+ * @param {ASTNode} node
+ * @return {boolean}
+ */
+function isFunctionNode(node) {
+  return !!node && (node.type === 'FunctionDeclaration' ||
+      node.type === 'FunctionExpression' ||
+      node.type === 'ArrowFunctionExpression');
+}
+
+/**
+ * Finds the function of the file a call expression calls by its name.
+ * @example
+ * function greet(conv) {}
+ * greet(conv); // greet
+ * const ask = (conv) => {};
+ * ask(conv); // ask
+ * conv.ask('Hi'); // undefined
+ *
+ * @param {RuleScope} scope the call expression is in.
+ * @param {ASTNode} callExpression
+ * @return {ASTNode?} function node, or undefined if not found.
+ */
+function findCalledFunction(scope, callExpression) {
+  if (callExpression.callee.type !== 'Identifier') {
+    return undefined;
+  }
+  const def = findNodeDef(scope, callExpression.callee);
+  const func = def && def.type === 'VariableDeclarator' ? def.init : def;
+  return isFunctionNode(func) ? func : undefined;
+}
+
+/**
+ * Finds the innermost scope a node is in, as the scope of the rule context
+ * would be when the node is traversed.
+ * @param {ScopeManager} scopeManager eslint-scope scope manager of the file.
+ * @param {ASTNode} node
+ * @return {RuleScope}
+ */
+function findNodeScope(scopeManager, node) {
+  for (let current = node; current; current = current.parent) {
+    const scope = scopeManager.acquire(current, true);
+    if (scope) {
+      return scope.type === 'function-expression-name' ?
+        scope.childScopes[0] : scope;
+    }
+  }
+  return scopeManager.globalScope;
+}
+
+/**
+ * Finds the nodes of a type in the tree under the node, in source order.
+ * @param {ASTNode} node
+ * @param {string} type
+ * @param {Object<string, Array<string>>} visitorKeys keys of the child nodes
+ *     by node type, i.e. of the ESLint source code.
+ * @return {Array<ASTNode>}
+ */
+function findNodesOfType(node, type, visitorKeys) {
+  const nodes = [];
+  const visit = (current) => {
+    if (current.type === type) {
+      nodes.push(current);
+    }
+    for (const key of visitorKeys[current.type] || []) {
+      for (const child of [].concat(current[key])) {
+        if (child) {
+          visit(child);
+        }
+      }
+    }
+  };
+  visit(node);
+  return nodes;
+}
+
+/**
+ * Finds the Identifier node that names a function. Handles the following:
+ *   function f() {} // f
+ *   const f = function() {}; // f
+ *   const f = () => {}; // f
+ *
+ * @param {ASTNode} functionNode
+ * @return {ASTNode?} Identifier node, or undefined if function is anonymous.
+ */
+function getFunctionNameNode(functionNode) {
+  if (functionNode.type === 'FunctionDeclaration') {
+    return functionNode.id || undefined;
+  }
+  const parent = functionNode.parent;
+  if (parent && parent.type === 'VariableDeclarator' &&
+      parent.init === functionNode && parent.id.type === 'Identifier') {
+    return parent.id;
+  }
+  return undefined;
+}
+
+/**
+ * Checks if the statement always exits the function, i.e. every path through
+ * it ends with a return or throw statement.
+ * @example
+ * return; // yes
+ * { conv.close('bye'); return; } // yes
+ * if (a) { return; } // no
+ * if (a) { return; } else { throw e; } // yes
+ *
+ * @param {ASTNode} node statement
+ * @return {boolean}
+ */
+function alwaysExits(node) {
+  switch (node.type) {
+    case 'ReturnStatement':
+    case 'ThrowStatement':
+      return true;
+    case 'BlockStatement':
+      return node.body.some(alwaysExits);
+    case 'IfStatement':
+      return !!node.alternate && alwaysExits(node.consequent) &&
+          alwaysExits(node.alternate);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Gets the nodes which a conditional or a logical expression can evaluate to.
+ * @example
+ * a ? b : c // [b, c]
+ * a || b // [a, b]
+ * a && b // [a, b]
+ *
+ * @param {ASTNode} node ConditionalExpression or LogicalExpression
+ * @return {Array<ASTNode>}
+ */
+function getArms(node) {
+  return node.type === 'ConditionalExpression' ?
+    [node.consequent, node.alternate] : [node.left, node.right];
+}
+
+/**
+ * Gets the name of a non-computed property key.
+ * @example
+ * {a: 1} // 'a'
+ * {'b': 1} // 'b'
+ *
+ * @param {ASTNode} node
+ * @return {string?}
+ */
+function getPropertyName(node) {
+  if (node.type === 'Identifier') {
+    return node.name;
+  }
+  if (node.type === 'Literal' && typeof node.value === 'string') {
+    return node.value;
+  }
+  return undefined;
+}
+
+/**
+ * Finds the node the value of the node comes from, following variables.
+ * @example
+ * const a = [1, 2];
+ * const b = a;
+ * foo(b); // [1, 2] for node "b"
+ *
+ * @param {RuleScope} scope scope the node is evaluated in
+ * @param {ASTNode} node
+ * @return {ASTNode?} value node, or undefined if a variable has no value.
+ */
+function findValueNode(scope, node) {
+  const visited = [];
+  while (node && node.type === 'Identifier') {
+    if (visited.indexOf(node.name) !== -1) {
+      return undefined;
+    }
+    visited.push(node.name);
+    node = findVariableNodeValue(scope, node);
+  }
+  return node || undefined;
+}
+
+/**
+ * Finds the object literal the node evaluates to, following variables.
+ * @example
+ * const options = {title: 'a'};
+ * new BasicCard(options); // {title: 'a'} for node "options"
+ *
+ * @param {RuleScope} scope scope the node is evaluated in
+ * @param {ASTNode} node
+ * @return {ASTNode?} ObjectExpression, or undefined if it can't be found.
+ */
+function findObjectExpression(scope, node) {
+  const valueNode = findValueNode(scope, node);
+  return valueNode && valueNode.type === 'ObjectExpression' ?
+    valueNode : undefined;
+}
+
+/**
+ * Finds the last property of an object literal with the given name. Computed
+ * properties are skipped.
+ * @param {ASTNode} objectExpression
+ * @param {string} name
+ * @return {ASTNode?} Property node, or undefined if there is none.
+ */
+function findProperty(objectExpression, name) {
+  let result;
+  for (const property of objectExpression.properties) {
+    if (property.type === 'Property' && !property.computed &&
+        getPropertyName(property.key) === name) {
+      result = property;
+    }
+  }
+  return result;
+}
+
+/**
+ * Checks if all properties of an object literal are known statically, i.e.
+ * there are no spread or computed properties.
+ * @example
+ * {a: 1, 'b': 2} // yes
+ * {a: 1, ...others} // no
+ * {[key]: 1} // no
+ *
+ * @param {ASTNode} objectExpression
+ * @return {boolean}
+ */
+function hasStaticProperties(objectExpression) {
+  return objectExpression.properties.every((property) =>
+    property.type === 'Property' && !property.computed);
+}
+
+/**
+ * Evaluates the value of a node when it's a string or number known
+ * statically. Numbers are added, and only joined once a string is involved,
+ * the way JavaScript evaluates the "+" operator.
+ * @param {RuleScope} scope scope the node is evaluated in
+ * @param {ASTNode} node
+ * @param {Array<string>} visited names of the identifiers seen so far.
+ * @return {(string|number)?} value, or undefined if it can't be determined.
+ */
+function findStaticValue(scope, node, visited) {
+  switch (node.type) {
+    case 'Literal':
+      return typeof node.value === 'string' || typeof node.value === 'number' ?
+        node.value : undefined;
+    case 'TemplateLiteral': {
+      let value = node.quasis[0].value.cooked;
+      for (let i = 0; i < node.expressions.length; i++) {
+        const expressionValue =
+            findStaticValue(scope, node.expressions[i], visited);
+        if (expressionValue === undefined) {
+          return undefined;
+        }
+        value += expressionValue + node.quasis[i + 1].value.cooked;
+      }
+      return value;
+    }
+    case 'BinaryExpression': {
+      if (node.operator !== '+') {
+        return undefined;
+      }
+      const left = findStaticValue(scope, node.left, visited);
+      const right = findStaticValue(scope, node.right, visited);
+      return left === undefined || right === undefined ?
+        undefined : left + right;
+    }
+    case 'Identifier': {
+      if (visited.indexOf(node.name) !== -1) {
+        return undefined;
+      }
+      // only constants keep the value they were initialized with.
+      const variable = findVariableByName(scope, node.name);
+      const def = variable && variable.defs.length === 1 && variable.defs[0];
+      if (!def || def.type !== 'Variable' || def.parent.kind !== 'const' ||
+          !def.node.init) {
+        return undefined;
+      }
+      return findStaticValue(scope, def.node.init, visited.concat(node.name));
+    }
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Evaluates the string value of a node when it's known statically. Handles
+ * the following:
+ *   'abc' // 'abc'
+ *   `abc` // 'abc'
+ *   `a${b}` // value of a template with static expressions, i.e. const b = 'c';
+ *   'a' + b // concatenation of static strings and numbers
+ *   1 + 2 // '3', numbers are added before being turned into a string
+ *   b // value of the constant b, i.e. const b = 'abc';
+ *
+ * Variables declared with let or var are not followed, since they may be
+ * reassigned.
+ *
+ * @param {RuleScope} scope scope the node is evaluated in
+ * @param {ASTNode} node
+ * @return {string?} value, or undefined if it can't be determined.
+ */
+function findStaticStringValue(scope, node) {
+  const value = findStaticValue(scope, node, []);
+  return value === undefined ? undefined : String(value);
+}
+
 module.exports = {
   findNodeDef: findNodeDef,
   findVariableNodeValue: findVariableNodeValue,
+  findVariableByDef: findVariableByDef,
+  findVariableByName: findVariableByName,
+  isFunctionNode: isFunctionNode,
+  getFunctionNameNode: getFunctionNameNode,
+  findCalledFunction: findCalledFunction,
+  findNodeScope: findNodeScope,
+  findNodesOfType: findNodesOfType,
+  findStaticStringValue: findStaticStringValue,
+  getPropertyName: getPropertyName,
+  findValueNode: findValueNode,
+  findObjectExpression: findObjectExpression,
+  findProperty: findProperty,
+  hasStaticProperties: hasStaticProperties,
+  alwaysExits: alwaysExits,
+  getArms: getArms,
 };
@@ -0,0 +1,212 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * @fileoverview Utility functions to track bindings imported from the
+ * Actions on Google client library, either through "require" or "import".
+ */
+const {
+  findVariableByName,
+  findVariableNodeValue,
+  getPropertyName,
+} = require('./ast-utils');
+
+const LIBRARY_NAME = 'actions-on-google';
+
+// Name returned when a node refers to the whole library module, i.e.
+// const aog = require('actions-on-google');
+const NAMESPACE = '*';
+
+/**
+ * Checks if node is a call of the form require('actions-on-google').
+ * @param {ASTNode} node
+ * @return {boolean}
+ */
+function isLibraryRequire(node) {
+  return node.type === 'CallExpression' &&
+      node.callee.type === 'Identifier' &&
+      node.callee.name === 'require' &&
+      node.arguments.length === 1 &&
+      node.arguments[0].type === 'Literal' &&
+      node.arguments[0].value === LIBRARY_NAME;
+}
+
+/**
+ * Finds the key of an object pattern property that binds the identifier.
+ * @example
+ * const {dialogflow: df} = ...; // "dialogflow" for identifier df
+ *
+ * @param {ASTNode} pattern ObjectPattern
+ * @param {ASTNode} identifierNode
+ * @return {string?}
+ */
+function findPatternKey(pattern, identifierNode) {
+  for (const property of pattern.properties) {
+    if (property.type !== 'Property' || property.computed) {
+      continue;
+    }
+    const value = property.value.type === 'AssignmentPattern' ?
+      property.value.left : property.value;
+    if (value === identifierNode) {
+      return getPropertyName(property.key);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Resolves a variable definition to the library member it is bound to.
+ * @param {RuleScope} scope
+ * @param {Definition} def eslint-scope definition
+ * @param {Array<ASTNode>} visited
+ * @return {string?}
+ */
+function resolveDefinition(scope, def, visited) {
+  if (def.type === 'ImportBinding') {
+    if (def.parent.source.value !== LIBRARY_NAME) {
+      return undefined;
+    }
+    return def.node.type === 'ImportSpecifier' ?
+      def.node.imported.name : NAMESPACE;
+  }
+  if (def.type !== 'Variable' || !def.node.init) {
+    return undefined;
+  }
+  const id = def.node.id;
+  if (id.type === 'Identifier') {
+    return resolve(scope, def.node.init, visited);
+  }
+  if (id.type === 'ObjectPattern' &&
+      resolve(scope, def.node.init, visited) === NAMESPACE) {
+    return findPatternKey(id, def.name);
+  }
+  return undefined;
+}
+
+/**
+ * Recursively resolves the node to the library member it refers to.
+ * @param {RuleScope} scope
+ * @param {ASTNode} node
+ * @param {Array<ASTNode>} visited nodes seen so far, to avoid cycles.
+ * @return {string?}
+ */
+function resolve(scope, node, visited) {
+  if (!node || visited.indexOf(node) !== -1) {
+    return undefined;
+  }
+  visited.push(node);
+  switch (node.type) {
+    case 'CallExpression':
+      return isLibraryRequire(node) ? NAMESPACE : undefined;
+    case 'MemberExpression': {
+      if (node.computed ||
+          resolve(scope, node.object, visited) !== NAMESPACE) {
+        return undefined;
+      }
+      return getPropertyName(node.property);
+    }
+    case 'Identifier': {
+      const variable = findVariableByName(scope, node.name);
+      if (!variable || variable.defs.length !== 1) {
+        return undefined;
+      }
+      return resolveDefinition(variable.scope, variable.defs[0], visited);
+    }
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Finds which member of the Actions on Google client library the node refers
+ * to. Follows "require" and "import" bindings, including destructuring,
+ * aliases and namespace member access.
+ *
+ * @example
+ * const {dialogflow} = require('actions-on-google');
+ * dialogflow; // 'dialogflow'
+ *
+ * @example
+ * const aog = require('actions-on-google');
+ * aog; // '*'
+ * aog.dialogflow; // 'dialogflow'
+ *
+ * @example
+ * import {actionssdk as sdk} from 'actions-on-google';
+ * sdk; // 'actionssdk'
+ *
+ * @param {RuleScope} scope scope the node is referenced from
+ * @param {ASTNode} node
+ * @return {string?} name of the exported member, '*' if the node refers to
+ * the whole module, or undefined if node doesn't come from the library.
+ */
+function findLibraryImport(scope, node) {
+  return resolve(scope, node, []);
+}
+
+/**
+ * Factory call an app is created by.
+ * @typedef {Object} AppFactory
+ * @property {string?} name of the function called, i.e. "dialogflow".
+ * @property {boolean} isMember whether the function is a property of an
+ * object, i.e. utils.createApp().
+ * @property {string?} libraryMember member of the client library the function
+ * refers to, if any.
+ */
+
+/**
+ * Describes the call creating the value the identifier holds, so it can be
+ * told whether it creates an Actions app without keeping the AST around.
+ * @example
+ * const {dialogflow: df} = require('actions-on-google');
+ * const app = df();
+ * app; // {name: 'df', isMember: false, libraryMember: 'dialogflow'}
+ * const other = utils.createApp();
+ * other; // {name: 'createApp', isMember: true, libraryMember: undefined}
+ *
+ * @param {RuleScope} scope scope the identifier is referenced from
+ * @param {ASTNode} identifierNode
+ * @return {AppFactory?} undefined if the identifier doesn't hold a call.
+ */
+function findAppFactory(scope, identifierNode) {
+  const value = findVariableNodeValue(scope, identifierNode);
+  if (!value || value.type !== 'CallExpression') {
+    return undefined;
+  }
+  const callee = value.callee;
+  const isMember = callee.type === 'MemberExpression';
+  let name;
+  if (callee.type === 'Identifier') {
+    name = callee.name;
+  } else if (isMember && !callee.computed) {
+    name = getPropertyName(callee.property);
+  }
+  return {
+    name: name,
+    isMember: isMember,
+    libraryMember: findLibraryImport(scope, callee),
+  };
+}
+
+module.exports = {
+  LIBRARY_NAME: LIBRARY_NAME,
+  NAMESPACE: NAMESPACE,
+  findAppFactory: findAppFactory,
+  findLibraryImport: findLibraryImport,
+  findPatternKey: findPatternKey,
+};
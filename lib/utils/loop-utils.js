@@ -0,0 +1,329 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * @fileoverview Utility functions to reason about how many times a node is
+ * executed by the loops enclosing it, i.e. a response added in the body of a
+ * for-statement or of a forEach callback.
+ */
+const {
+  alwaysExits,
+  findVariableByName,
+  getPropertyName,
+  hasStaticProperties,
+  isFunctionNode,
+} = require('./ast-utils');
+
+// statements which execute their body repeatedly.
+const LOOP_TYPES = [
+  'ForStatement',
+  'ForInStatement',
+  'ForOfStatement',
+  'WhileStatement',
+  'DoWhileStatement',
+];
+
+// methods of an array that call the callback passed to them for each item.
+const ITERATION_METHODS = ['forEach', 'map', 'flatMap', 'filter', 'find',
+  'findIndex', 'some', 'every', 'reduce', 'reduceRight'];
+
+// iteration methods whose callback is first passed the accumulated value.
+const ACCUMULATING_METHODS = ['reduce', 'reduceRight'];
+
+// methods of an array that change its length.
+const RESIZING_METHODS = ['push', 'pop', 'shift', 'unshift', 'splice'];
+
+/**
+ * Checks if the function is a callback passed to an iteration method of an
+ * array, i.e. items.forEach((item) => {...}).
+ * @param {ASTNode} functionNode
+ * @return {boolean}
+ */
+function isIterationCallback(functionNode) {
+  const call = functionNode.parent;
+  return isFunctionNode(functionNode) && !!call &&
+      call.type === 'CallExpression' && call.arguments[0] === functionNode &&
+      call.callee.type === 'MemberExpression' &&
+      ITERATION_METHODS.indexOf(getPropertyName(call.callee.property)) !== -1;
+}
+
+/**
+ * Checks if the reference to an array may change its length, i.e.
+ * items.push('a').
+ * @param {Reference} reference eslint-scope reference
+ * @return {boolean}
+ */
+function isResizingReference(reference) {
+  const memberExpression = reference.identifier.parent;
+  return reference.isWrite() || (!!memberExpression &&
+      memberExpression.type === 'MemberExpression' &&
+      memberExpression.object === reference.identifier &&
+      memberExpression.parent.type === 'CallExpression' &&
+      memberExpression.parent.callee === memberExpression &&
+      RESIZING_METHODS.indexOf(getPropertyName(memberExpression.property)) !==
+          -1);
+}
+
+/**
+ * Finds the array literal the node evaluates to. Arrays held by a constant
+ * are followed, unless they're resized.
+ * @example
+ * ['a', 'b']; // ['a', 'b']
+ * const items = ['a', 'b'];
+ * items; // ['a', 'b']
+ *
+ * @param {RuleScope} scope scope the node is evaluated in
+ * @param {ASTNode} node
+ * @return {ASTNode?} ArrayExpression, or undefined if it can't be found.
+ */
+function findArrayExpression(scope, node) {
+  if (node.type === 'Identifier') {
+    const variable = findVariableByName(scope, node.name);
+    if (!variable || variable.defs.length !== 1 ||
+        variable.defs[0].type !== 'Variable' ||
+        variable.defs[0].parent.kind !== 'const' ||
+        variable.defs[0].node.id !== variable.defs[0].name ||
+        variable.references.some((reference) => reference.init !== true &&
+          isResizingReference(reference))) {
+      return undefined;
+    }
+    node = variable.defs[0].node.init;
+  }
+  if (!node || node.type !== 'ArrayExpression' ||
+      node.elements.some((element) => !!element &&
+        element.type === 'SpreadElement')) {
+    return undefined;
+  }
+  return node;
+}
+
+/**
+ * Finds the length of the array literal the node evaluates to. Arrays held
+ * by a constant are followed, unless they're resized.
+ * @example
+ * ['a', 'b']; // 2
+ * const items = ['a', 'b'];
+ * items; // 2
+ *
+ * @param {RuleScope} scope scope the node is evaluated in
+ * @param {ASTNode} node
+ * @return {number?} length, or undefined if it can't be determined.
+ */
+function findArrayLength(scope, node) {
+  const arrayExpression = findArrayExpression(scope, node);
+  return arrayExpression && arrayExpression.elements.length;
+}
+
+/**
+ * Finds the items taken by the variable of a loop over an array literal. The
+ * variable must not be assigned in the loop.
+ * @example
+ * for (const item of ['a', 'b']) {
+ *   item; // ['a', 'b']
+ * }
+ * ['a', 'b'].forEach((item) => {
+ *   item; // ['a', 'b']
+ * });
+ *
+ * @param {RuleScope} scope scope the identifier is in
+ * @param {ASTNode} identifier reference to the variable of the loop.
+ * @return {Array<ASTNode>?} items, or undefined if they can't be determined.
+ */
+function findLoopItems(scope, identifier) {
+  const variable = findVariableByName(scope, identifier.name);
+  if (!variable || variable.defs.length !== 1) {
+    return undefined;
+  }
+  const def = variable.defs[0];
+  if (variable.references.some((reference) => reference.isWrite() &&
+    reference.identifier !== def.name)) {
+    return undefined;
+  }
+  let array;
+  const loop = def.type === 'Variable' && def.parent.parent;
+  if (loop && loop.type === 'ForOfStatement' && loop.left === def.parent &&
+      def.node.id === def.name) {
+    array = loop.right;
+  } else if (def.type === 'Parameter' && def.node.params[0] === def.name &&
+      isIterationCallback(def.node) &&
+      ACCUMULATING_METHODS.indexOf(
+          getPropertyName(def.node.parent.callee.property)) === -1) {
+    array = def.node.parent.callee.object;
+  }
+  const arrayExpression = array && findArrayExpression(variable.scope, array);
+  if (!arrayExpression ||
+      arrayExpression.elements.some((element) => !element)) {
+    return undefined;
+  }
+  return arrayExpression.elements;
+}
+
+/**
+ * Finds the number of iterations of a for-statement counting up to a
+ * constant bound, i.e.
+ *   for (let i = 0; i < 3; i++) {...} // 3
+ *   for (let i = 0; i < items.length; i++) {...} // length of items
+ * The counter must not be assigned anywhere else.
+ * @param {RuleScope} scope scope the loop is in
+ * @param {ASTNode} forStatement
+ * @return {number?} iterations, or undefined if they can't be determined.
+ */
+function findForIterations(scope, forStatement) {
+  const {init, test, update} = forStatement;
+  if (!init || init.type !== 'VariableDeclaration' ||
+      init.declarations.length !== 1 ||
+      init.declarations[0].id.type !== 'Identifier' ||
+      !init.declarations[0].init ||
+      typeof init.declarations[0].init.value !== 'number') {
+    return undefined;
+  }
+  const counter = init.declarations[0].id.name;
+  const start = init.declarations[0].init.value;
+  const isCounter = (node) => !!node && node.type === 'Identifier' &&
+      node.name === counter;
+  const isIncrement = !!update && ((update.type === 'UpdateExpression' &&
+      update.operator === '++' && isCounter(update.argument)) ||
+      (update.type === 'AssignmentExpression' && update.operator === '+=' &&
+          isCounter(update.left) && update.right.value === 1));
+  if (!isIncrement || !test || test.type !== 'BinaryExpression' ||
+      (test.operator !== '<' && test.operator !== '<=') ||
+      !isCounter(test.left)) {
+    return undefined;
+  }
+  let end = test.right.value;
+  if (test.right.type === 'MemberExpression' && !test.right.computed &&
+      getPropertyName(test.right.property) === 'length') {
+    end = findArrayLength(scope, test.right.object);
+  }
+  if (typeof end !== 'number') {
+    return undefined;
+  }
+  const variable = findVariableByName(scope, counter);
+  // the counter is written by the declaration and by the update only.
+  if (!variable ||
+      variable.references.filter((reference) => reference.isWrite())
+          .length !== 2) {
+    return undefined;
+  }
+  return Math.max(0, end - start + (test.operator === '<=' ? 1 : 0));
+}
+
+/**
+ * Finds the number of iterations of the loop.
+ * @param {RuleScope} scope scope the loop is in
+ * @param {ASTNode} loop
+ * @return {number} iterations, or Infinity if they can't be determined.
+ */
+function findLoopIterations(scope, loop) {
+  let iterations;
+  switch (loop.type) {
+    case 'ForStatement':
+      iterations = findForIterations(scope, loop);
+      break;
+    case 'ForOfStatement':
+      iterations = findArrayLength(scope, loop.right);
+      break;
+    case 'ForInStatement':
+      if (loop.right.type === 'ObjectExpression' &&
+          hasStaticProperties(loop.right)) {
+        iterations = loop.right.properties.length;
+      }
+      break;
+    default:
+      break;
+  }
+  return iterations === undefined ? Infinity : iterations;
+}
+
+/**
+ * Checks if the child node of the loop is executed on each iteration, rather
+ * than once (i.e. the initializer of a for-statement).
+ * @param {ASTNode} loop
+ * @param {ASTNode} child
+ * @return {boolean}
+ */
+function isRepeatedByLoop(loop, child) {
+  return child === loop.body || child === loop.test ||
+      child === loop.update || child === loop.left;
+}
+
+/**
+ * Checks if the statement leaves the loop it's in, i.e. a break or a return.
+ * @param {ASTNode} statement
+ * @return {boolean}
+ */
+function leavesLoop(statement) {
+  return statement.type === 'BreakStatement' || alwaysExits(statement);
+}
+
+/**
+ * Finds how many times the node is executed each time the function enclosing
+ * it is, i.e. the product of the iterations of the loops and of the iteration
+ * callbacks (i.e. forEach) enclosing the node. Loops over array literals and
+ * for-statements counting up to a constant are counted precisely, while the
+ * iterations of other loops are unknown. A node in a block which leaves the
+ * loop is executed at most once by it.
+ * @example
+ * for (const item of ['a', 'b']) {
+ *   conv.ask(item); // 2
+ * }
+ * items.forEach((item) => {
+ *   conv.ask(item); // Infinity
+ * });
+ *
+ * @param {RuleScope} scope scope the node is in
+ * @param {ASTNode} node
+ * @return {number} number of executions, Infinity if it's unknown.
+ */
+function getIterationCount(scope, node) {
+  let count = 1;
+  // whether a block between the node and the loop being reached leaves it.
+  let isLeaving = false;
+  let child = node;
+  let parent = node.parent;
+  while (parent && count !== 0) {
+    if (parent.type === 'BlockStatement' && parent.body.some(leavesLoop)) {
+      isLeaving = true;
+    } else if (parent.type === 'SwitchStatement') {
+      // a break leaves the switch statement instead.
+      isLeaving = false;
+    } else if (LOOP_TYPES.indexOf(parent.type) !== -1) {
+      if (isRepeatedByLoop(parent, child) && !isLeaving) {
+        count *= findLoopIterations(scope, parent);
+      }
+      isLeaving = false;
+    } else if (isFunctionNode(parent)) {
+      if (!isIterationCallback(parent)) {
+        break;
+      }
+      const length = findArrayLength(scope, parent.parent.callee.object);
+      count *= length === undefined ? Infinity : length;
+    }
+    child = parent;
+    parent = parent.parent;
+  }
+  return count;
+}
+
+module.exports = {
+  LOOP_TYPES,
+  isIterationCallback,
+  findArrayLength,
+  findLoopItems,
+  getIterationCount,
+};
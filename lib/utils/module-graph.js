@@ -0,0 +1,587 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * @fileoverview Utility functions to follow the modules of a project, i.e. a
+ * function exported by one module and passed to a call in another one
+ * through a relative "require" or "import":
+ *   // index.js
+ *   app.intent('welcome', require('./intents/welcome'));
+ *   // intents/welcome.js
+ *   module.exports = (conv) => {...};
+ * ESLint only gives rules the file being linted, so the other modules of the
+ * project are read and parsed here. They're cached until they're modified,
+ * and only a description of the calls importing from other modules is kept,
+ * so large projects are parsed once and their ASTs are not held in memory.
+ */
+const fs = require('fs');
+const path = require('path');
+const espree = require('espree');
+const eslintScope = require('eslint-scope');
+const last = require('lodash.last');
+const logger = require('winston').loggers.get('DEFAULT_LOGGER');
+const {findVariableByName, getPropertyName} = require('./ast-utils');
+const {findAppFactory, findPatternKey} = require('./import-utils');
+
+// Name of the value a module exports as a whole, i.e. "module.exports" or
+// "export default".
+const DEFAULT_EXPORT = 'default';
+
+// Name returned when a node refers to the namespace of a module, i.e.
+// import * as intents from './intents';
+const NAMESPACE = '*';
+
+// extensions of the modules of a project, tried in order when a relative
+// path is resolved.
+const SOURCE_EXTENSIONS = ['.js', '.mjs'];
+
+// directories that don't hold the project's own modules, i.e. dependencies,
+// build outputs and coverage reports.
+const IGNORED_DIRECTORIES = ['node_modules', 'dist', 'build', 'coverage'];
+
+// larger files are most likely bundles, rather than modules of the project.
+const MAX_FILE_SIZE = 1024 * 1024;
+
+// how long the modules of a project are used before checking the files for
+// changes, so linting many files doesn't read the whole project each time.
+const REFRESH_INTERVAL_MS = 5000;
+
+const PARSER_OPTIONS = {
+  ecmaVersion: 2018,
+  sourceType: 'module',
+  range: true,
+  loc: true,
+};
+
+// parsed modules, by file name.
+const moduleCache = Object.create(null);
+// calls importing from each module of a project, by project root.
+const projectCache = Object.create(null);
+// project roots, by directory.
+const rootCache = Object.create(null);
+
+/**
+ * Checks if the path is a file.
+ * @param {string} file
+ * @return {boolean}
+ */
+function isFile(file) {
+  try {
+    return fs.statSync(file).isFile();
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Resolves a relative module path the way "require" does, i.e. trying the
+ * known extensions and index files. Packages are not part of the project, so
+ * they're not resolved.
+ * @example
+ * resolveModulePath('/app/index.js', './intents'); // '/app/intents/index.js'
+ * resolveModulePath('/app/index.js', 'actions-on-google'); // undefined
+ *
+ * @param {string} fromFile file of the module importing the path
+ * @param {string} specifier
+ * @return {string?} file name, or undefined if it's not a file of the project.
+ */
+function resolveModulePath(fromFile, specifier) {
+  if (typeof specifier !== 'string' || !/^\.\.?\//.test(specifier)) {
+    return undefined;
+  }
+  const base = path.resolve(path.dirname(fromFile), specifier);
+  const candidates = [base].concat(
+      SOURCE_EXTENSIONS.map((extension) => base + extension),
+      SOURCE_EXTENSIONS.map((extension) =>
+        path.join(base, `index${extension}`)));
+  return candidates.find(isFile);
+}
+
+/**
+ * Finds the path required by the call, i.e. require('./intents').
+ * @param {ASTNode} node
+ * @return {string?}
+ */
+function getRequiredPath(node) {
+  return node.type === 'CallExpression' &&
+      node.callee.type === 'Identifier' && node.callee.name === 'require' &&
+      node.arguments.length === 1 && node.arguments[0].type === 'Literal' &&
+      typeof node.arguments[0].value === 'string' ?
+    node.arguments[0].value : undefined;
+}
+
+/**
+ * Resolves a variable definition to the module member it is bound to.
+ * @param {RuleScope} scope
+ * @param {Definition} def eslint-scope definition
+ * @param {string} file of the module the definition is in
+ * @param {Array<ASTNode>} visited
+ * @return {{file: string, name: string}?}
+ */
+function resolveDefinition(scope, def, file, visited) {
+  if (def.type === 'ImportBinding') {
+    const source = resolveModulePath(file, def.parent.source.value);
+    if (!source) {
+      return undefined;
+    }
+    switch (def.node.type) {
+      case 'ImportSpecifier':
+        return {file: source, name: def.node.imported.name};
+      case 'ImportDefaultSpecifier':
+        return {file: source, name: DEFAULT_EXPORT};
+      default:
+        return {file: source, name: NAMESPACE};
+    }
+  }
+  if (def.type !== 'Variable' || !def.node.init) {
+    return undefined;
+  }
+  const id = def.node.id;
+  if (id.type === 'Identifier') {
+    return resolve(scope, def.node.init, file, visited);
+  }
+  const object = id.type === 'ObjectPattern' ?
+    resolve(scope, def.node.init, file, visited) : undefined;
+  const key = object && findPatternKey(id, def.name);
+  return isWholeModule(object) && key ?
+    {file: object.file, name: key} : undefined;
+}
+
+/**
+ * Checks if the resolved member is the module as a whole, so its properties
+ * are the members exported by the module.
+ * @param {{file: string, name: string}?} member
+ * @return {boolean}
+ */
+function isWholeModule(member) {
+  return !!member &&
+      (member.name === DEFAULT_EXPORT || member.name === NAMESPACE);
+}
+
+/**
+ * Recursively resolves the node to the module member it refers to.
+ * @param {RuleScope} scope
+ * @param {ASTNode} node
+ * @param {string} file of the module the node is in
+ * @param {Array<ASTNode>} visited nodes seen so far, to avoid cycles.
+ * @return {{file: string, name: string}?}
+ */
+function resolve(scope, node, file, visited) {
+  if (!node || visited.indexOf(node) !== -1) {
+    return undefined;
+  }
+  visited.push(node);
+  switch (node.type) {
+    case 'CallExpression': {
+      const source = resolveModulePath(file, getRequiredPath(node));
+      return source ? {file: source, name: DEFAULT_EXPORT} : undefined;
+    }
+    case 'MemberExpression': {
+      const object = node.computed ?
+        undefined : resolve(scope, node.object, file, visited);
+      return isWholeModule(object) ?
+        {file: object.file, name: getPropertyName(node.property)} :
+        undefined;
+    }
+    case 'Identifier': {
+      const variable = findVariableByName(scope, node.name);
+      if (!variable || variable.defs.length !== 1) {
+        return undefined;
+      }
+      return resolveDefinition(variable.scope, variable.defs[0], file,
+          visited);
+    }
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Finds which member of another module of the project the node refers to.
+ * Follows relative "require" and "import" bindings, including destructuring
+ * and namespace member access. The value exported as a whole, i.e.
+ * "module.exports", is named "default".
+ *
+ * @example
+ * require('./welcome'); // {file: '.../welcome.js', name: 'default'}
+ * const intents = require('./intents');
+ * intents.welcome; // {file: '.../intents/index.js', name: 'welcome'}
+ * import {welcome} from './intents';
+ * welcome; // {file: '.../intents/index.js', name: 'welcome'}
+ *
+ * @param {RuleScope} scope scope the node is referenced from
+ * @param {ASTNode} node
+ * @param {string} file of the module the node is in
+ * @return {{file: string, name: string}?} undefined if the node doesn't
+ * come from another module of the project.
+ */
+function findModuleImport(scope, node, file) {
+  return resolve(scope, node, file, []);
+}
+
+/**
+ * Checks if the node is "module.exports".
+ * @param {ASTNode} node
+ * @return {boolean}
+ */
+function isModuleExports(node) {
+  return node.type === 'MemberExpression' && !node.computed &&
+      node.object.type === 'Identifier' && node.object.name === 'module' &&
+      getPropertyName(node.property) === 'exports';
+}
+
+/**
+ * Finds the name of the export assigned to, i.e. "default" for
+ * "module.exports", or "welcome" for "exports.welcome".
+ * @param {ASTNode} node left side of an assignment
+ * @return {string?}
+ */
+function getExportTarget(node) {
+  if (isModuleExports(node)) {
+    return DEFAULT_EXPORT;
+  }
+  if (node.type === 'MemberExpression' && !node.computed &&
+      (isModuleExports(node.object) || (node.object.type === 'Identifier' &&
+          node.object.name === 'exports'))) {
+    return getPropertyName(node.property);
+  }
+  return undefined;
+}
+
+/**
+ * Finds the name the value is exported under by its position, if any.
+ * @param {ASTNode} node value, reference or declaration
+ * @return {string?}
+ */
+function getExportName(node) {
+  const parent = node.parent;
+  if (!parent) {
+    return undefined;
+  }
+  switch (parent.type) {
+    case 'AssignmentExpression':
+      return parent.right === node ? getExportTarget(parent.left) : undefined;
+    case 'Property':
+      // module.exports = {welcome: ...};
+      return parent.value === node && !parent.computed &&
+          getExportName(parent.parent) === DEFAULT_EXPORT ?
+        getPropertyName(parent.key) : undefined;
+    case 'ExportDefaultDeclaration':
+      return DEFAULT_EXPORT;
+    case 'ExportSpecifier':
+      return parent.local === node ? parent.exported.name : undefined;
+    case 'ExportNamedDeclaration':
+      return node.id ? node.id.name : undefined;
+    case 'VariableDeclaration':
+      return parent.parent.type === 'ExportNamedDeclaration' &&
+          node.id.type === 'Identifier' ? node.id.name : undefined;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Finds the names the function is exported under by its module, either
+ * directly or through the variable holding it.
+ * @example
+ * module.exports = (conv) => {}; // ['default']
+ * function welcome(conv) {}
+ * exports.welcome = welcome; // ['welcome']
+ * export const welcome = (conv) => {}; // ['welcome']
+ *
+ * @param {ASTNode} functionNode
+ * @param {Variable=} variable holding the function, if any.
+ * @return {Array<string>}
+ */
+function findExportNames(functionNode, variable) {
+  const nodes = [functionNode];
+  if (functionNode.parent &&
+      functionNode.parent.type === 'VariableDeclarator') {
+    nodes.push(functionNode.parent);
+  }
+  if (variable) {
+    nodes.push(...variable.references
+        .filter((reference) => !reference.init)
+        .map((reference) => reference.identifier));
+  }
+  const names = [];
+  for (const name of nodes.map(getExportName)) {
+    if (name && names.indexOf(name) === -1) {
+      names.push(name);
+    }
+  }
+  return names;
+}
+
+/**
+ * Sets the parent of each node, as ESLint does for the file being linted.
+ * @param {ASTNode} node
+ * @param {ASTNode?} parent
+ */
+function setParents(node, parent) {
+  node.parent = parent;
+  for (const key of espree.VisitorKeys[node.type] || []) {
+    for (const child of [].concat(node[key])) {
+      if (child) {
+        setParents(child, node);
+      }
+    }
+  }
+}
+
+/**
+ * Describes the call with the facts needed to tell whether it registers an
+ * intent handler, so the AST and the scopes of the module can be released.
+ * @param {ASTNode} callExpression
+ * @param {RuleScope} scope the call is in
+ * @param {string} file of the module the call is in
+ * @param {{file: string, name: string}} member passed to the call
+ * @return {ModuleCall}
+ */
+function describeCall(callExpression, scope, file, member) {
+  const callee = callExpression.callee;
+  const isMethodCall = callee.type === 'MemberExpression' &&
+      !callee.computed && callee.object.type === 'Identifier';
+  return {
+    file: file,
+    target: member.file,
+    name: member.name,
+    loc: callExpression.loc,
+    method: isMethodCall ? getPropertyName(callee.property) : undefined,
+    appFactory: isMethodCall ?
+      findAppFactory(scope, callee.object) : undefined,
+  };
+}
+
+/**
+ * Finds the calls of the module passed a member of another module of the
+ * project as their last argument, i.e. app.intent('a', require('./a')).
+ * @param {ScopeManager} scopeManager of the module
+ * @param {string} file of the module
+ * @return {Array<ModuleCall>}
+ */
+function findImportingCalls(scopeManager, file) {
+  const calls = [];
+  for (const scope of scopeManager.scopes) {
+    for (const reference of scope.references) {
+      // the argument starts with the referenced identifier, i.e. "require"
+      // of require('./a').a, or "intents" of intents.a.
+      let argument = reference.identifier;
+      while (argument.parent &&
+          ((argument.parent.type === 'MemberExpression' &&
+              argument.parent.object === argument) ||
+           (argument.parent.type === 'CallExpression' &&
+              argument.parent.callee === argument &&
+              getRequiredPath(argument.parent)))) {
+        argument = argument.parent;
+      }
+      const call = argument.parent;
+      if (!call || call.type !== 'CallExpression' ||
+          last(call.arguments) !== argument) {
+        continue;
+      }
+      const member = findModuleImport(reference.from, argument, file);
+      if (member) {
+        calls.push(describeCall(call, reference.from, file, member));
+      }
+    }
+  }
+  return calls;
+}
+
+/**
+ * Parses the module, and finds its calls importing from other modules.
+ * @param {string} file
+ * @param {string} text source code of the module
+ * @return {Array<ModuleCall>}
+ */
+function parseModule(file, text) {
+  // a shebang is not valid JavaScript.
+  text = text.replace(/^#!.*/, '');
+  let options = PARSER_OPTIONS;
+  let ast;
+  try {
+    ast = espree.parse(text, options);
+  } catch (e) {
+    // code which is not valid in strict mode can't be a module.
+    options = Object.assign({}, PARSER_OPTIONS, {sourceType: 'script'});
+    ast = espree.parse(text, options);
+  }
+  setParents(ast, null);
+  const scopeManager = eslintScope.analyze(ast, {
+    ecmaVersion: options.ecmaVersion,
+    sourceType: options.sourceType,
+    childVisitorKeys: espree.VisitorKeys,
+  });
+  return findImportingCalls(scopeManager, file);
+}
+
+/**
+ * Loads the calls of the module importing from other modules, reusing the
+ * ones found before unless the file was modified since.
+ * @param {string} file
+ * @return {Array<ModuleCall>}
+ */
+function loadModule(file) {
+  let stats;
+  try {
+    stats = fs.statSync(file);
+  } catch (e) {
+    return [];
+  }
+  const cached = moduleCache[file];
+  if (cached && cached.mtime === stats.mtime.getTime() &&
+      cached.size === stats.size) {
+    return cached.calls;
+  }
+  let calls = [];
+  if (stats.size <= MAX_FILE_SIZE) {
+    try {
+      calls = parseModule(file, fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      logger.debug(`Module ${file} could not be parsed: ${e.message}`);
+    }
+  }
+  moduleCache[file] = {mtime: stats.mtime.getTime(), size: stats.size, calls};
+  return calls;
+}
+
+/**
+ * Lists the modules of the project, leaving out dependencies, build outputs
+ * and hidden directories.
+ * @param {string} directory
+ * @param {Array<string>=} files found so far
+ * @return {Array<string>}
+ */
+function listModules(directory, files = []) {
+  let names;
+  try {
+    names = fs.readdirSync(directory);
+  } catch (e) {
+    return files;
+  }
+  for (const name of names) {
+    if (name.startsWith('.') || IGNORED_DIRECTORIES.indexOf(name) !== -1) {
+      continue;
+    }
+    const file = path.join(directory, name);
+    let stats;
+    try {
+      stats = fs.lstatSync(file);
+    } catch (e) {
+      continue;
+    }
+    if (stats.isDirectory()) {
+      listModules(file, files);
+    } else if (stats.isFile() &&
+        SOURCE_EXTENSIONS.indexOf(path.extname(name)) !== -1) {
+      files.push(file);
+    }
+  }
+  return files;
+}
+
+/**
+ * Finds the root of the project the directory is in, i.e. the closest
+ * directory with a package.json.
+ * @param {string} directory
+ * @return {string} the directory itself if it's not in a package.
+ */
+function findProjectRoot(directory) {
+  if (!rootCache[directory]) {
+    let root = directory;
+    while (!isFile(path.join(root, 'package.json'))) {
+      const parent = path.dirname(root);
+      if (parent === root) {
+        root = directory;
+        break;
+      }
+      root = parent;
+    }
+    rootCache[directory] = root;
+  }
+  return rootCache[directory];
+}
+
+/**
+ * Call passing a member of another module of the project.
+ * @typedef {Object} ModuleCall
+ * @property {string} file of the module the call is in.
+ * @property {string} target file of the module the member is exported by.
+ * @property {string} name of the member, "default" for the value exported as
+ * a whole.
+ * @property {SourceLocation} loc of the call in its module.
+ * @property {string?} method called, i.e. "intent" for app.intent(...).
+ * @property {AppFactory?} appFactory call creating the object the method is
+ * called on, see findAppFactory of import-utils.
+ */
+
+/**
+ * Finds the calls in the other modules of the project that are passed a
+ * member exported by the file, through a relative "require" or "import".
+ * @example
+ * // index.js
+ * app.intent('welcome', require('./intents/welcome'));
+ * // findCallsImporting('.../intents/welcome.js') finds app.intent(...),
+ * // passed the "default" member.
+ *
+ * @param {string} filename of the module, as given by context.getFilename()
+ * @return {Array<ModuleCall>}
+ */
+function findCallsImporting(filename) {
+  if (!path.isAbsolute(filename)) {
+    // i.e. "<input>" when the code doesn't come from a file.
+    return [];
+  }
+  const root = findProjectRoot(path.dirname(filename));
+  const now = Date.now();
+  let project = projectCache[root];
+  if (!project || now - project.time >= REFRESH_INTERVAL_MS) {
+    const callsByTarget = Object.create(null);
+    for (const file of listModules(root)) {
+      for (const call of loadModule(file)) {
+        callsByTarget[call.target] = (callsByTarget[call.target] || [])
+            .concat(call);
+      }
+    }
+    project = {time: now, callsByTarget};
+    projectCache[root] = project;
+  }
+  return project.callsByTarget[path.resolve(filename)] || [];
+}
+
+/**
+ * Forgets the modules read so far, i.e. when files are changed more often
+ * than they're checked for changes.
+ */
+function clearModuleCache() {
+  for (const cache of [moduleCache, projectCache, rootCache]) {
+    for (const key of Object.keys(cache)) {
+      delete cache[key];
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_EXPORT,
+  resolveModulePath,
+  findModuleImport,
+  findExportNames,
+  findCallsImporting,
+  clearModuleCache,
+};
@@ -0,0 +1,84 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * @fileoverview Reads the plugin configuration. Options can be set for all
+ * rules at once through ESLint shared settings, i.e.
+ *   "settings": { "actions-on-google": { "conversationNames": ["c"] } }
+ * or per rule, i.e.
+ *   "actions-on-google/rule-name": ["error", { "conversationNames": ["c"] }]
+ */
+
+const SETTINGS_KEY = 'actions-on-google';
+
+const STRING_LIST_SCHEMA = {
+  type: 'array',
+  items: {type: 'string'},
+  uniqueItems: true,
+};
+
+// options understood by every rule of the plugin.
+const SHARED_OPTIONS_SCHEMA = {
+  // extra names of the conversation object, besides "conv".
+  conversationNames: STRING_LIST_SCHEMA,
+  // extra functions that create an app instance, besides dialogflow() and
+  // actionssdk().
+  appFactories: STRING_LIST_SCHEMA,
+  // extra methods of the conversation object that build a response, besides
+  // ask(), close() and json().
+  responseMethods: STRING_LIST_SCHEMA,
+  // extra classes that create a helper response.
+  helperClasses: STRING_LIST_SCHEMA,
+  // extra classes that create a simple response.
+  simpleResponseClasses: STRING_LIST_SCHEMA,
+};
+
+/**
+ * Creates the JSON schema for rule options, i.e. "meta.schema" of a rule.
+ * @param {Object=} properties schema of the options specific to the rule.
+ * @return {Array<Object>} JSON schema
+ */
+function createOptionsSchema(properties) {
+  return [{
+    type: 'object',
+    properties: Object.assign({}, SHARED_OPTIONS_SCHEMA, properties),
+    additionalProperties: false,
+  }];
+}
+
+/**
+ * Gets the options for the rule being run. Rule options take precedence
+ * over the shared settings, except for lists which are merged.
+ * @param {EslintContext} context
+ * @return {Object} options
+ */
+function getOptions(context) {
+  const settings = (context.settings && context.settings[SETTINGS_KEY]) || {};
+  const ruleOptions = (context.options && context.options[0]) || {};
+  const options = Object.assign({}, settings, ruleOptions);
+  for (const key of Object.keys(SHARED_OPTIONS_SCHEMA)) {
+    options[key] = (settings[key] || []).concat(ruleOptions[key] || []);
+  }
+  return options;
+}
+
+module.exports = {
+  SETTINGS_KEY: SETTINGS_KEY,
+  createOptionsSchema: createOptionsSchema,
+  getOptions: getOptions,
+};
@@ -0,0 +1,353 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * @fileoverview Utility functions to reason about promises created inside of
+ * intent handlers, i.e. whether the intent handler waits for them by
+ * returning or awaiting them.
+ */
+const {
+  findVariableByDef,
+  findVariableByName,
+  getFunctionNameNode,
+  isFunctionNode,
+} = require('./ast-utils');
+
+// methods of a promise that create a new promise.
+const PROMISE_METHODS = ['then', 'catch', 'finally'];
+
+// static methods of Promise that create a promise.
+const PROMISE_STATIC_METHODS = ['all', 'allSettled', 'any', 'race',
+  'resolve', 'reject'];
+
+// static methods of Promise that create a promise settled by the promises
+// passed to them.
+const PROMISE_COMBINATORS = ['all', 'allSettled', 'any', 'race', 'resolve'];
+
+/**
+ * Checks if node is a call of a promise method, i.e. p.then(...).
+ * @param {ASTNode} node
+ * @return {boolean}
+ */
+function isPromiseMethodCall(node) {
+  return node.type === 'CallExpression' &&
+      node.callee.type === 'MemberExpression' && !node.callee.computed &&
+      PROMISE_METHODS.indexOf(node.callee.property.name) !== -1;
+}
+
+/**
+ * Checks if node is a call of a static method of Promise, i.e.
+ * Promise.all([...]).
+ * @param {ASTNode} node
+ * @param {Array<string>=} methods names of the static methods.
+ * @return {boolean}
+ */
+function isPromiseStaticCall(node, methods = PROMISE_STATIC_METHODS) {
+  return node.type === 'CallExpression' &&
+      node.callee.type === 'MemberExpression' && !node.callee.computed &&
+      node.callee.object.type === 'Identifier' &&
+      node.callee.object.name === 'Promise' &&
+      methods.indexOf(node.callee.property.name) !== -1;
+}
+
+/**
+ * Checks if node creates a promise with the Promise constructor.
+ * @param {ASTNode} node
+ * @return {boolean}
+ */
+function isPromiseConstruction(node) {
+  return node.type === 'NewExpression' &&
+      node.callee.type === 'Identifier' && node.callee.name === 'Promise';
+}
+
+/**
+ * Finds the function a callee refers to, if it's defined in the same file.
+ * @example
+ * async function load() {}
+ * load(); // function "load" for node "load"
+ *
+ * @param {RuleScope} scope scope the callee is referenced from
+ * @param {ASTNode} callee
+ * @return {ASTNode?} function node
+ */
+function findCalledFunction(scope, callee) {
+  if (isFunctionNode(callee)) {
+    return callee;
+  }
+  if (callee.type !== 'Identifier') {
+    return undefined;
+  }
+  const variable = findVariableByName(scope, callee.name);
+  if (!variable || variable.defs.length !== 1) {
+    return undefined;
+  }
+  const def = variable.defs[0];
+  if (def.type === 'FunctionName') {
+    return def.node;
+  }
+  return def.type === 'Variable' && isFunctionNode(def.node.init) ?
+    def.node.init : undefined;
+}
+
+/**
+ * Checks if node is a call of an async function defined in the same file.
+ * @param {RuleScope} scope scope the node is evaluated in
+ * @param {ASTNode} node
+ * @return {boolean}
+ */
+function isAsyncFunctionCall(scope, node) {
+  if (node.type !== 'CallExpression') {
+    return false;
+  }
+  const func = findCalledFunction(scope, node.callee);
+  return !!func && func.async;
+}
+
+/**
+ * Checks if node evaluates to a promise. Handles the following:
+ *   p.then(...), p.catch(...), p.finally(...)
+ *   new Promise(...)
+ *   Promise.all([...]), Promise.resolve(), etc.
+ *   load(), when load is an async function defined in the same file
+ *
+ * @param {RuleScope} scope scope the node is evaluated in
+ * @param {ASTNode} node
+ * @return {boolean}
+ */
+function isPromiseExpression(scope, node) {
+  return isPromiseMethodCall(node) || isPromiseConstruction(node) ||
+      isPromiseStaticCall(node) || isAsyncFunctionCall(scope, node);
+}
+
+/**
+ * Checks if the promise is passed on to another promise, i.e. it's the
+ * object of a promise method call, or among the promises passed to
+ * Promise.all and similar.
+ * @example
+ * load().then(() => {}); // yes, for "load()"
+ * Promise.all([load(), save()]); // yes, for "load()" and "save()"
+ * return load(); // no
+ *
+ * @param {ASTNode} node
+ * @return {boolean}
+ */
+function isChainedPromise(node) {
+  let parent = node.parent;
+  if (parent.type === 'MemberExpression') {
+    return parent.object === node && isPromiseMethodCall(parent.parent) &&
+        parent.parent.callee === parent;
+  }
+  if (parent.type === 'ArrayExpression') {
+    node = parent;
+    parent = parent.parent;
+  }
+  return isPromiseStaticCall(parent, PROMISE_COMBINATORS) &&
+      parent.arguments.indexOf(node) !== -1;
+}
+
+/**
+ * Finds the innermost function enclosing the node.
+ * @param {ASTNode} node
+ * @return {ASTNode?} function node
+ */
+function findEnclosingFunction(node) {
+  let current = node.parent;
+  while (current && !isFunctionNode(current)) {
+    current = current.parent;
+  }
+  return current;
+}
+
+/**
+ * Checks if the promise returned by a call of the function is waited for by
+ * the intent handler.
+ * @param {RuleScope} scope scope the function is referenced from
+ * @param {ASTNode} func
+ * @param {ASTNode} handler function of the intent handler
+ * @param {Array<ASTNode>} visited nodes seen so far, to avoid cycles.
+ * @return {boolean}
+ */
+function isFunctionResultHandledBy(scope, func, handler, visited) {
+  if (func === handler) {
+    return true;
+  }
+  const parent = func.parent;
+  if (parent.type === 'CallExpression') {
+    const callee = parent.callee;
+    // immediately invoked function, i.e. (async () => {...})();
+    // callback of a promise method, i.e. p.then(() => promise);
+    // or callback creating an array of promises, i.e. items.map(async ...);
+    if (callee === func || (parent.arguments.indexOf(func) !== -1 &&
+        (isPromiseMethodCall(parent) || (callee.type === 'MemberExpression' &&
+            !callee.computed && callee.property.name === 'map')))) {
+      return isPromiseHandledBy(scope, parent, handler, visited);
+    }
+    return false;
+  }
+  // named function, i.e. async function load() {...}; the promise is
+  // handled if every call is.
+  const nameNode = getFunctionNameNode(func);
+  const variable = nameNode && findVariableByDef(scope, nameNode);
+  if (!variable) {
+    return false;
+  }
+  return variable.references.every((reference) => {
+    const node = reference.identifier.parent;
+    return node.type !== 'CallExpression' ||
+        node.callee !== reference.identifier ||
+        isPromiseHandledBy(scope, node, handler, visited);
+  });
+}
+
+/**
+ * Checks if the promise the node evaluates to is waited for by the intent
+ * handler, i.e. returned or awaited by the handler, directly or through a
+ * chain of promises.
+ * @param {RuleScope} scope scope the node is evaluated in
+ * @param {ASTNode} node
+ * @param {ASTNode} handler function of the intent handler
+ * @param {Array<ASTNode>} visited nodes seen so far, to avoid cycles.
+ * @return {boolean}
+ */
+function isPromiseHandledBy(scope, node, handler, visited) {
+  while (node.parent) {
+    if (visited.indexOf(node) !== -1) {
+      return false;
+    }
+    visited.push(node);
+    const parent = node.parent;
+    switch (parent.type) {
+      // return p; or async () => { await p; }
+      case 'ReturnStatement':
+      case 'AwaitExpression':
+        return isFunctionResultHandledBy(scope,
+            findEnclosingFunction(parent), handler, visited);
+      // () => p
+      case 'ArrowFunctionExpression':
+        return parent.body === node &&
+            isFunctionResultHandledBy(scope, parent, handler, visited);
+      // p.then(...)
+      case 'MemberExpression': {
+        if (parent.object !== node || !isPromiseMethodCall(parent.parent) ||
+            parent.parent.callee !== parent) {
+          return false;
+        }
+        node = parent.parent;
+        break;
+      }
+      // Promise.all([p, ...])
+      case 'ArrayExpression':
+        node = parent;
+        break;
+      case 'CallExpression': {
+        if (!isPromiseStaticCall(parent, PROMISE_COMBINATORS) ||
+            parent.arguments.indexOf(node) === -1) {
+          return false;
+        }
+        node = parent;
+        break;
+      }
+      case 'ConditionalExpression': {
+        if (parent.test === node) {
+          return false;
+        }
+        node = parent;
+        break;
+      }
+      case 'LogicalExpression':
+      case 'SequenceExpression':
+        node = parent;
+        break;
+      // const p = load(); ... return p;
+      case 'VariableDeclarator': {
+        if (parent.init !== node || parent.id.type !== 'Identifier') {
+          return false;
+        }
+        const variable = findVariableByDef(scope, parent.id);
+        return !!variable && variable.references.some((reference) =>
+          !reference.init && isPromiseHandledBy(scope, reference.identifier,
+              handler, visited));
+      }
+      default:
+        return false;
+    }
+  }
+  return false;
+}
+
+/**
+ * Checks if the promise the node evaluates to is waited for by the intent
+ * handler. The promise is waited for when the handler returns or awaits it,
+ * directly, or through a chain of promises. Returning it from a nested
+ * callback is not enough, unless the callback belongs to such a chain.
+ * @example
+ * app.intent('a', (conv) => {
+ *   return load(); // yes
+ * });
+ * app.intent('b', async (conv) => {
+ *   const p = load();
+ *   await Promise.all([p, save()]); // yes, for "load()" and "save()"
+ * });
+ * app.intent('c', (conv) => {
+ *   return load().then(() => {
+ *     save(); // no
+ *   });
+ * });
+ *
+ * @param {RuleScope} scope scope the node is evaluated in
+ * @param {ASTNode} node
+ * @param {ASTNode} handler function of the intent handler
+ * @return {boolean}
+ */
+function isPromiseHandled(scope, node, handler) {
+  return isPromiseHandledBy(scope, node, handler, []);
+}
+
+/**
+ * Checks if the promise returned by a call of the function is waited for by
+ * the intent handler, the same way as isPromiseHandled. The intent handler
+ * itself is always waited for.
+ * @example
+ * app.intent('a', (conv) => {
+ *   return load().then(() => {}); // yes, for the callback
+ * });
+ * app.intent('b', (conv) => {
+ *   (async () => {})(); // no, for the async lambda
+ * });
+ *
+ * @param {RuleScope} scope scope the function is referenced from
+ * @param {ASTNode} func
+ * @param {ASTNode} handler function of the intent handler
+ * @return {boolean}
+ */
+function isFunctionResultHandled(scope, func, handler) {
+  return isFunctionResultHandledBy(scope, func, handler, []);
+}
+
+module.exports = {
+  PROMISE_METHODS: PROMISE_METHODS,
+  isPromiseMethodCall: isPromiseMethodCall,
+  isPromiseStaticCall: isPromiseStaticCall,
+  isPromiseConstruction: isPromiseConstruction,
+  isAsyncFunctionCall: isAsyncFunctionCall,
+  isPromiseExpression: isPromiseExpression,
+  isChainedPromise: isChainedPromise,
+  findEnclosingFunction: findEnclosingFunction,
+  isFunctionResultHandled: isFunctionResultHandled,
+  isPromiseHandled: isPromiseHandled,
+};
@@ -0,0 +1,246 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * @fileoverview Utility functions to check the SSML markup of a speech text,
+ * as supported by Actions on Google, i.e.
+ *   <speak>Hello <break time="1s"/> world</speak>
+ * See https://developers.google.com/actions/reference/ssml
+ */
+
+// elements supported by Actions on Google, mapped to their attributes.
+const SSML_ELEMENTS = {
+  'speak': [],
+  'break': ['time', 'strength'],
+  'say-as': ['interpret-as', 'format', 'detail'],
+  'audio': ['src', 'clipBegin', 'clipEnd', 'speed', 'repeatCount',
+    'repeatDur', 'soundLevel'],
+  'desc': [],
+  'p': [],
+  's': [],
+  'sub': ['alias'],
+  'mark': ['name'],
+  'prosody': ['rate', 'pitch', 'volume'],
+  'emphasis': ['level'],
+  'par': [],
+  'seq': [],
+  'media': ['xml:id', 'begin', 'end', 'repeatCount', 'repeatDur',
+    'soundLevel', 'fadeInDur', 'fadeOutDur'],
+};
+
+const ROOT_ELEMENT = 'speak';
+const MEDIA_ELEMENT = 'media';
+
+// start tag, end tag or empty element, i.e. <p>, </p>, <break time="1s"/>.
+const TAG_REGEX = new RegExp('^<(/?)([A-Za-z][\\w:.-]*)' +
+    '((?:\\s+[^\\s=/>]+\\s*=\\s*(?:"[^"]*"|\'[^\']*\'))*)\\s*(/?)>');
+const ATTRIBUTE_REGEX = /([^\s=]+)\s*=\s*(?:"[^"]*"|'[^']*')/g;
+// comments and XML declarations, which are skipped.
+const COMMENT_REGEX = /^<!--[\s\S]*?-->/;
+const DECLARATION_REGEX = /^<\?[\s\S]*?\?>/;
+const ENTITY_REGEX = /^&(?:amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);/;
+// entities are replaced by their characters in the text of the speech.
+const ENTITY_REGEX_GLOBAL = /&(amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);/g;
+const MAX_CODE_POINT = 0x10FFFF;
+const NAMED_ENTITIES = {amp: '&', lt: '<', gt: '>', quot: '"', apos: '\''};
+
+/**
+ * Checks if the text is meant to be SSML, i.e. it contains a <speak> tag.
+ * @param {string} text
+ * @return {boolean}
+ */
+function isSsml(text) {
+  return /<speak[\s/>]/.test(text);
+}
+
+/**
+ * Finds the names of the attributes of a tag.
+ * @param {string} attributes source of the attributes, i.e. ' time="1s"'.
+ * @return {Array<string>}
+ */
+function findAttributeNames(attributes) {
+  const names = [];
+  let match;
+  ATTRIBUTE_REGEX.lastIndex = 0;
+  while ((match = ATTRIBUTE_REGEX.exec(attributes))) {
+    names.push(match[1]);
+  }
+  return names;
+}
+
+/**
+ * Splits the text into tags and the text in between. Comments and XML
+ * declarations are skipped, and a "<" which does not start a tag is a token of
+ * its own.
+ * @example
+ * tokenizeSsml('<speak>Hi<break time="1s"/></speak>');
+ * // [{type: 'tag', source: '<speak>', name: 'speak', ...},
+ * //  {type: 'text', source: 'Hi'}, ...]
+ *
+ * @param {string} text
+ * @return {Array<{type: string, source: string, name: string?,
+ *     attributes: string?, closing: boolean?, selfClosing: boolean?}>}
+ *     tokens with a type of 'tag', 'text', 'skipped' or 'invalid'.
+ */
+function tokenizeSsml(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const rest = text.slice(i);
+    if (text[i] !== '<') {
+      const end = rest.indexOf('<');
+      const source = end === -1 ? rest : rest.slice(0, end);
+      tokens.push({type: 'text', source: source});
+      i += source.length;
+      continue;
+    }
+    const skipped = COMMENT_REGEX.exec(rest) || DECLARATION_REGEX.exec(rest);
+    const tag = !skipped && TAG_REGEX.exec(rest);
+    let token = {type: 'invalid', source: '<'};
+    if (skipped) {
+      token = {type: 'skipped', source: skipped[0]};
+    } else if (tag) {
+      const [source, closing, name, attributes, selfClosing] = tag;
+      token = {
+        type: 'tag',
+        source: source,
+        name: name,
+        attributes: attributes,
+        closing: Boolean(closing),
+        selfClosing: Boolean(selfClosing),
+      };
+    }
+    tokens.push(token);
+    i += token.source.length;
+  }
+  return tokens;
+}
+
+/**
+ * Finds the text of an SSML speech without its markup, i.e. the text of the
+ * chat bubble when the speech is displayed.
+ * @example
+ * findSsmlText('<speak>Salt &amp; <break time="1s"/>pepper</speak>');
+ * // 'Salt & pepper'
+ *
+ * @param {string} text
+ * @return {string}
+ */
+function findSsmlText(text) {
+  return tokenizeSsml(text)
+      .filter((token) => token.type === 'text' || token.type === 'invalid')
+      .map((token) => token.source.replace(ENTITY_REGEX_GLOBAL,
+          (entity, name) => {
+            if (name[0] !== '#') {
+              return NAMED_ENTITIES[name];
+            }
+            const code = name[1] === 'x' ?
+              parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return code <= MAX_CODE_POINT ? String.fromCodePoint(code) : entity;
+          }))
+      .join('');
+}
+
+/**
+ * Checks the SSML markup of the text. Problems are reported once, in the
+ * order they are found.
+ * @example
+ * validateSsml('<speak>Hello</speak>'); // []
+ * validateSsml('<speak><p>Hello</speak>'); // ['<p> is not closed.']
+ * validateSsml('<speak>Salt & pepper</speak>');
+ * // ['"&" must be escaped as "&amp;".']
+ *
+ * @param {string} text
+ * @return {Array<string>} messages describing the problems.
+ */
+function validateSsml(text) {
+  const problems = [];
+  const addProblem = (message) => {
+    if (problems.indexOf(message) === -1) {
+      problems.push(message);
+    }
+  };
+  // open elements, innermost last.
+  const stack = [];
+  let hasRoot = false;
+  for (const token of tokenizeSsml(text)) {
+    if (token.type === 'invalid') {
+      addProblem('"<" must be escaped as "&lt;".');
+      continue;
+    }
+    if (token.type === 'text') {
+      const source = token.source;
+      for (let i = 0; i < source.length; i++) {
+        if (source[i] === '&' && !ENTITY_REGEX.test(source.slice(i))) {
+          addProblem('"&" must be escaped as "&amp;".');
+        } else if (stack.length === 0 && !/\s/.test(source[i])) {
+          addProblem(`<${ROOT_ELEMENT}> must be the root element.`);
+        }
+      }
+      continue;
+    }
+    if (token.type !== 'tag') {
+      continue;
+    }
+    const name = token.name;
+    if (token.closing) {
+      const index = stack.lastIndexOf(name);
+      if (index === -1) {
+        addProblem(`</${name}> has no matching start tag.`);
+        continue;
+      }
+      for (const unclosed of stack.splice(index).slice(1)) {
+        addProblem(`<${unclosed}> is not closed.`);
+      }
+      continue;
+    }
+    // a <media> element of <par> or <seq> can hold a speech of its own.
+    const isRootMisplaced = stack.length === 0 ?
+      hasRoot || name !== ROOT_ELEMENT :
+      name === ROOT_ELEMENT && stack[stack.length - 1] !== MEDIA_ELEMENT;
+    if (isRootMisplaced) {
+      addProblem(`<${ROOT_ELEMENT}> must be the root element.`);
+    }
+    hasRoot = true;
+    if (!SSML_ELEMENTS.hasOwnProperty(name)) {
+      addProblem(`<${name}> is not supported.`);
+    } else {
+      for (const attribute of findAttributeNames(token.attributes)) {
+        if (SSML_ELEMENTS[name].indexOf(attribute) === -1) {
+          addProblem(`Attribute "${attribute}" of <${name}> is not ` +
+              'supported.');
+        }
+      }
+    }
+    if (!token.selfClosing) {
+      stack.push(name);
+    }
+  }
+  for (const unclosed of stack) {
+    addProblem(`<${unclosed}> is not closed.`);
+  }
+  return problems;
+}
+
+module.exports = {
+  SSML_ELEMENTS: SSML_ELEMENTS,
+  isSsml: isSsml,
+  tokenizeSsml: tokenizeSsml,
+  findSsmlText: findSsmlText,
+  validateSsml: validateSsml,
+};
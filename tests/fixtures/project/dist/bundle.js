@@ -0,0 +1,9 @@
+'use strict';
+
+const {dialogflow} = require('actions-on-google');
+
+const app = dialogflow();
+
+app.intent('unused', require('../intents/unused'));
+
+module.exports = app;
@@ -0,0 +1,8 @@
+import {dialogflow} from 'actions-on-google';
+import {fallback} from './intents/fallback';
+
+const app = dialogflow();
+
+app.fallback(fallback);
+
+export default app;
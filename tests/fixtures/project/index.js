@@ -0,0 +1,13 @@
+'use strict';
+
+const {dialogflow} = require('actions-on-google');
+const intents = require('./intents');
+const {goodbye} = require('./intents/goodbye');
+
+const app = dialogflow();
+
+app.intent('welcome', require('./intents/welcome'));
+app.intent('help', intents.help);
+app.intent('goodbye', goodbye);
+
+module.exports = app;
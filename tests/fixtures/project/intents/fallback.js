@@ -0,0 +1,3 @@
+export function fallback(conv) {
+  conv.ask('Sorry, what was that?');
+}
@@ -0,0 +1,7 @@
+'use strict';
+
+function goodbye(conv) {
+  conv.close('Goodbye!');
+}
+
+module.exports = {goodbye};
@@ -0,0 +1,5 @@
+'use strict';
+
+exports.help = (conv) => {
+  conv.ask('I can tell you the weather.');
+};
@@ -0,0 +1,5 @@
+'use strict';
+
+module.exports = (conv) => {
+  conv.ask('Nobody registers this handler.');
+};
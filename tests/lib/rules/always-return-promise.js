@@ -43,6 +43,21 @@ ruleTester.run('always-return-promise', rule, {
     {
       code: `
 const app = dialogflow();
+const handleFoo = (conv) => {
+  return doAsync().then(res => {
+    conv.ask('hello');
+  });
+};
+function notAHandler(conv) {
+  doAsync().then(res => {
+    conv.ask('hello');
+  });
+}
+app.intent('foo', handleFoo);`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
 app.intent('foo', (conv) => {
   return doAsync().then(res => {
     conv.ask('hello');
@@ -61,21 +76,55 @@ app.intent('foo', (conv) => {
     },
     {
       code: `
-const app = actionssdk();
+const app = dialogflow();
+app.intent('foo', async (conv) => {
+  const data = await load();
+  await Promise.all([save(data), notify()]);
+  conv.ask('Done');
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
 app.intent('foo', (conv) => {
-  return asyncFoo().then(res => {
-    anotherAsyncFoo().then(res => {
-      conv.ask(res);
-    });
-  });
-});
-`, parserOptions: parserOptions},
+  const saving = save().catch(() => {});
+  return load().then(() => saving).finally(() => conv.ask('Done'));
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  return Promise.all(items.map((item) => save(item).then(() => item)));
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+async function load() {}
+app.intent('foo', async (conv) => {
+  conv.ask(await load());
+  return new Promise((resolve) => setTimeout(resolve, 100));
+});`, parserOptions: parserOptions,
+    },
   ],
 
   invalid: [
     {
       code: `
 const app = dialogflow();
+app.intent('foo', handleFoo);
+function handleFoo(conv) {
+  doAsync().then(res => {
+    conv.ask('hello');
+  });
+}`,
+      parserOptions: parserOptions,
+      errors: [err],
+    },
+    {
+      code: `
+const app = dialogflow();
 app.intent('foo', (conv) => {
   doAsync().then(res => {
     conv.ask('hello');
@@ -98,5 +147,61 @@ app.intent('foo', (conv) => {
       parserOptions: parserOptions,
       errors: [err, err],
     },
+    {
+      code: `
+const app = actionssdk();
+app.intent('foo', (conv) => {
+  return asyncFoo().then(res => {
+    anotherAsyncFoo().then(res => {
+      conv.ask(res);
+    });
+  });
+});
+`,
+      parserOptions: parserOptions,
+      errors: [err],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  load().catch((e) => conv.close('Something went wrong'));
+  fetch('https://example.com').finally(() => {});
+});`,
+      parserOptions: parserOptions,
+      errors: [err, err],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  Promise.all([load(), save()]);
+  new Promise((resolve) => setTimeout(resolve, 100));
+});`,
+      parserOptions: parserOptions,
+      errors: [err, err],
+    },
+    {
+      code: `
+const app = dialogflow();
+const load = async () => {};
+app.intent('foo', async (conv) => {
+  load();
+  conv.ask('Loading');
+});`,
+      parserOptions: parserOptions,
+      errors: [err],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  items.forEach((item) => {
+    return save(item).then(() => {});
+  });
+});`,
+      parserOptions: parserOptions,
+      errors: [err],
+    },
   ],
 });
@@ -0,0 +1,155 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Tests for lib/rules/at-most-eight-suggestion-chips
+ */
+'use strict';
+
+// -----------------------------------------------------------------------------
+// Requirements
+// -----------------------------------------------------------------------------
+
+const rule = require('../../../lib/rules/at-most-eight-suggestion-chips');
+
+const RuleTester = require('eslint').RuleTester;
+
+const error = {
+  message: 'At most 8 suggestion chips are allowed.',
+};
+
+const parserOptions = {ecmaVersion: 8};
+
+// -----------------------------------------------------------------------------
+// Tests
+// -----------------------------------------------------------------------------
+
+const ruleTester = new RuleTester();
+ruleTester.run('at-most-eight-suggestion-chips', rule, {
+  valid: [
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Which one?');
+  conv.ask(new Suggestions(['1', '2', '3', '4', '5', '6', '7', '8']));
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Which one?');
+  if (conv.data.expert) {
+    conv.ask(new Suggestions(['1', '2', '3', '4', '5', '6', '7', '8']));
+  } else {
+    conv.ask(new Suggestions('1', '2'));
+  }
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  if (a) {
+    conv.ask(new Suggestions(['1', '2', '3', '4', '5', '6']));
+    return;
+  }
+  conv.ask(new Suggestions(['1', '2', '3', '4', '5', '6']));
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask(new Suggestions(getChips()));
+  conv.ask(new Suggestions(['1', '2', '3', '4', '5', '6', '7', '8']));
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask(new Suggestions(['1', '2', '3', '4', '5', '6']));
+});
+app.intent('bar', (conv) => {
+  conv.ask(new Suggestions(['1', '2', '3', '4', '5', '6']));
+});`, parserOptions: parserOptions,
+    },
+  ],
+  invalid: [
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Which one?');
+  ['a', 'b', 'c'].forEach((group) => {
+    conv.ask(new Suggestions(['1', '2', '3']));
+  });
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Which one?');
+  conv.ask(new Suggestions(['1', '2', '3', '4', '5', '6', '7', '8', '9']));
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask(new Suggestions(['1', '2', '3', '4', '5']));
+  conv.ask(new Suggestions('6', '7').add('8', '9'));
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const chips = ['1', '2', '3', '4', '5'];
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Which one?', new Suggestions(chips));
+  if (a) {
+    conv.ask(new Suggestions('6', '7', '8', '9'));
+  }
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  try {
+    conv.ask(new Suggestions(['1', '2', '3', '4', '5']));
+  } catch (e) {
+    conv.ask(new Suggestions(['1', '2']));
+  }
+  const more = new Suggestions(['6', '7', '8', '9']);
+  conv.ask(more);
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+  ],
+});
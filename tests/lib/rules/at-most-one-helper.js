@@ -0,0 +1,148 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Tests for lib/rules/at-most-one-helper
+ */
+'use strict';
+
+// -----------------------------------------------------------------------------
+// Requirements
+// -----------------------------------------------------------------------------
+
+const rule = require('../../../lib/rules/at-most-one-helper');
+
+const RuleTester = require('eslint').RuleTester;
+
+const err = {
+  'at-most-one-helper': {
+    message: 'At most one helper is allowed.',
+  },
+  'final-response': {
+    message: 'Helpers are not allowed in the final response.',
+  },
+};
+
+const parserOptions = {ecmaVersion: 8};
+
+// -----------------------------------------------------------------------------
+// Tests
+// -----------------------------------------------------------------------------
+
+const ruleTester = new RuleTester();
+ruleTester.run('at-most-one-helper', rule, {
+  valid: [
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('To get your location');
+  conv.ask(new Permission({context: 'a', permissions: 'NAME'}));
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Pick one');
+  if (a) {
+    conv.ask(new List({items: {}}));
+  } else {
+    conv.ask(new Carousel({items: {}}));
+  }
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  if (conv.user.verification !== 'VERIFIED') {
+    conv.ask(new SignIn());
+    return;
+  }
+  conv.ask(new DateTime({prompts: {}}));
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.close('Bye!', new BasicCard({text: 'card'}));
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+function askToSignIn(conv) {
+  conv.ask('Sign in', new SignIn());
+}
+app.intent('foo', (conv) => {
+  if (a) {
+    askToSignIn(conv);
+  } else {
+    conv.ask(new Confirmation('Are you sure?'));
+  }
+});`, parserOptions: parserOptions,
+    },
+  ],
+  invalid: [
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask(new Confirmation('Are you sure?'));
+  conv.ask(new Permission({context: 'a', permissions: 'NAME'}));
+});`,
+      parserOptions: parserOptions,
+      errors: [err['at-most-one-helper']],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  const signIn = new SignIn();
+  conv.ask('Sign in', signIn);
+  if (a) {
+    conv.ask(new Place({prompt: 'Where?', context: 'To find'}));
+  }
+});`,
+      parserOptions: parserOptions,
+      errors: [err['at-most-one-helper']],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.close('Pick one', new List({items: {}}));
+});`,
+      parserOptions: parserOptions,
+      errors: [err['final-response']],
+    },
+    {
+      code: `
+const app = dialogflow();
+function askToSignIn(conv) {
+  conv.ask('Sign in', new SignIn());
+}
+app.intent('foo', (conv) => {
+  askToSignIn(conv);
+  conv.ask(new Confirmation('Are you sure?'));
+});`,
+      parserOptions: parserOptions,
+      errors: [err['at-most-one-helper']],
+    },
+  ],
+});
@@ -0,0 +1,146 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Tests for lib/rules/at-most-one-rich-card
+ */
+'use strict';
+
+// -----------------------------------------------------------------------------
+// Requirements
+// -----------------------------------------------------------------------------
+
+const rule = require('../../../lib/rules/at-most-one-rich-card');
+
+const RuleTester = require('eslint').RuleTester;
+
+const error = {
+  message: 'At most one rich card is allowed.',
+};
+
+const parserOptions = {ecmaVersion: 8};
+
+// -----------------------------------------------------------------------------
+// Tests
+// -----------------------------------------------------------------------------
+
+const ruleTester = new RuleTester();
+ruleTester.run('at-most-one-rich-card', rule, {
+  valid: [
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Here is a card', new BasicCard({text: 'card'}));
+  conv.ask(new Suggestions('a'), new Image({url: 'a', alt: 'b'}));
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Here is a card');
+  if (a) {
+    conv.ask(new BasicCard({text: 'card'}));
+  } else {
+    conv.ask(new Table({rows: []}));
+  }
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Here is a card');
+  if (a) {
+    conv.ask(new BasicCard({text: 'card'}));
+    return;
+  }
+  conv.ask(new MediaObject({url: 'a'}));
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Here is a card', new BasicCard({}), new Table({}));
+});`,
+      parserOptions: parserOptions,
+      options: [{richCardClasses: ['BasicCard']}],
+    },
+    {
+      code: `
+const app = dialogflow();
+function showCard(conv) {
+  conv.ask(new BasicCard({text: 'card'}));
+}
+app.intent('foo', (conv) => {
+  conv.ask('Here is a card');
+  showCard(conv);
+  conv.ask(new Image({url: 'a', alt: 'b'}));
+});`, parserOptions: parserOptions,
+    },
+  ],
+  invalid: [
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Here is a card', new BasicCard({}), new Table({}));
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  const card = new BasicCard({text: 'card'});
+  conv.ask('Here is a card', card);
+  if (a) {
+    conv.ask(new BrowseCarousel({items: []}));
+  }
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Here is an image', new Image({url: 'a', alt: 'b'}));
+  conv.ask(new Image({url: 'c', alt: 'd'}));
+});`,
+      parserOptions: parserOptions,
+      options: [{richCardClasses: ['Image']}],
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+function showCard(conv) {
+  conv.ask(new BasicCard({text: 'card'}));
+}
+app.intent('foo', (conv) => {
+  conv.ask('Here are the cards');
+  showCard(conv);
+  conv.ask(new BasicCard({text: 'another card'}));
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+  ],
+});
@@ -23,6 +23,7 @@
 // Requirements
 // -----------------------------------------------------------------------------
 
+const path = require('path');
 const rule = require('../../../lib/rules/at-most-two-simple-responses');
 
 const RuleTester = require('eslint').RuleTester;
@@ -34,6 +35,7 @@ const err = {
 };
 
 const parserOptions = {ecmaVersion: 8};
+const project = path.join(__dirname, '../../fixtures/project');
 
 // -----------------------------------------------------------------------------
 // Tests
@@ -42,6 +44,24 @@ const parserOptions = {ecmaVersion: 8};
 const ruleTester = new RuleTester();
 ruleTester.run('at-most-two-simple-responses', rule, {
   valid: [
+    {
+      code:
+`
+const app = dialogflow();
+function greet(conv) {
+  if (conv.user.last.seen) {
+    conv.ask('Welcome back!');
+  } else {
+    conv.ask('Welcome!');
+  }
+}
+app.intent('a', (conv) => {
+  greet(conv);
+  conv.ask('What now?');
+});
+`,
+      parserOptions: parserOptions,
+    },
     {
       code: `game.ask(conv, null, 'ssmlPrompt', true);`,
       parserOptions: parserOptions,
@@ -413,10 +433,225 @@ const getMoment = (timestamp) => moment(timestamp).tz(timezone);
     conversation.close('two');
     conversation.close('three');
   })
+`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+app.intent('a', (conv) => {
+  greeting: {
+    if (conv.user.last.seen) {
+      conv.ask('Welcome back!');
+      conv.ask('Nice to see you again.');
+      break greeting;
+    }
+    conv.ask('Welcome!');
+  }
+});
+`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+app.intent('option', (conv, params, option) => {
+  switch (option) {
+    case 'red':
+      conv.ask('Red it is.');
+      conv.ask('Anything else?');
+      break;
+    case 'green':
+      conv.ask('Green it is.');
+      conv.ask('Anything else?');
+      break;
+    default:
+      conv.ask('Which color?');
+  }
+});
+`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+app.intent('welcome', (conv) => {
+  conv.user.last.seen ? conv.ask('Welcome back!') : conv.ask('Welcome!');
+  conv.user.last.seen || conv.ask('Nice to meet you.');
+});
+`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+app.intent('colors', (conv) => {
+  for (const color of ['red', 'green']) {
+    conv.ask(\`\${color} is available.\`);
+  }
+});
+`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+app.intent('colors', (conv, {color}) => {
+  for (const item of conv.data.items) {
+    if (item.color === color) {
+      conv.ask('Found it.');
+      break;
+    }
+  }
+  conv.ask('Anything else?');
+});
+`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+app.intent('cards', (conv) => {
+  for (const card of [new BasicCard({}), new BasicCard({})]) {
+    conv.ask(card);
+  }
+  conv.ask('Which one?');
+});
 `, parserOptions: parserOptions,
     },
   ],
   invalid: [
+    {
+      code: `
+app.intent('items', (conv) => {
+  for (const item of ['x', 'y', 'z']) {
+    conv.ask(item);
+  }
+});
+`,
+      parserOptions: parserOptions,
+      errors: [err['at-most-two-simple-responses']],
+    },
+    {
+      code: `
+const ITEMS = ['x', 'y', 'z'];
+app.intent('items', (conv) => {
+  ITEMS.forEach((item) => conv.ask(item));
+});
+`,
+      parserOptions: parserOptions,
+      errors: [err['at-most-two-simple-responses']],
+    },
+    {
+      code: `
+app.intent('items', (conv) => {
+  for (const item of [getX(), getY(), getZ()]) {
+    conv.ask(item.name);
+  }
+});
+`,
+      parserOptions: parserOptions,
+      errors: [err['at-most-two-simple-responses']],
+    },
+    {
+      code: `
+app.intent('items', (conv) => {
+  conv.data.items.forEach((item) => conv.ask(item.name));
+});
+`,
+      parserOptions: parserOptions,
+      errors: [err['at-most-two-simple-responses']],
+    },
+    {
+      code: `
+app.intent('items', (conv) => {
+  for (let i = 0; i < conv.data.items.length; i++) {
+    conv.ask('Next one.');
+  }
+});
+`,
+      parserOptions: parserOptions,
+      errors: [err['at-most-two-simple-responses']],
+    },
+    {
+      code: `
+app.intent('colors', (conv) => {
+  for (const color of ['red', 'green']) {
+    conv.ask(\`\${color} is available.\`);
+  }
+  conv.ask('Which one?');
+});
+`,
+      parserOptions: parserOptions,
+      errors: [err['at-most-two-simple-responses']],
+    },
+    {
+      code: `
+app.intent('welcome', (conv) => {
+  conv.ask('Hi!');
+  conv.ask('How are you?');
+  conv.ask(conv.user.last.seen ? 'Welcome back!' : 'Welcome!');
+});
+`,
+      parserOptions: parserOptions,
+      errors: [err['at-most-two-simple-responses']],
+    },
+    {
+      code: `
+app.intent('option', (conv, params, option) => {
+  switch (option) {
+    case 'red':
+      conv.ask('Red it is.');
+    case 'green':
+      conv.ask('Green it is.');
+      conv.ask('Anything else?');
+      break;
+    default:
+      conv.ask('Which color?');
+  }
+});
+`,
+      parserOptions: parserOptions,
+      errors: [err['at-most-two-simple-responses']],
+    },
+    {
+      code: `
+const app = createAssistantApp();
+app.intent('foo', (conv) => {
+  conv.ask(new Speech('one'));
+  conv.ask('two');
+  conv.ask('three');
+});`,
+      parserOptions: parserOptions,
+      options: [{simpleResponseClasses: ['Speech']}],
+      settings: {'actions-on-google': {appFactories: ['createAssistantApp']}},
+      errors: [err['at-most-two-simple-responses']],
+    },
+    {
+      code: `
+const aog = require('actions-on-google');
+const app = aog.dialogflow({debug: true});
+app.intent('foo', (c) => {
+  c.ask('one');
+  c.ask('two');
+  c.close('three');
+});`,
+      parserOptions: parserOptions,
+      errors: [err['at-most-two-simple-responses']],
+    },
+    {
+      code: `
+import {dialogflow as df} from 'actions-on-google';
+const app = df();
+const handleFoo = (conversation) => {
+  conversation.ask('one');
+  conversation.ask('two');
+  conversation.ask('three');
+};
+app.intent('foo', handleFoo);`,
+      parserOptions: {ecmaVersion: 8, sourceType: 'module'},
+      errors: [err['at-most-two-simple-responses']],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', handleFoo);
+function handleFoo(conv) {
+  conv.ask('one');
+  conv.ask('two');
+  conv.ask('three');
+}`,
+      parserOptions: parserOptions,
+      errors: [err['at-most-two-simple-responses']],
+    },
     {
       code:
 `
@@ -669,5 +904,65 @@ app.intent('a', (conv) => {
       parserOptions: parserOptions,
       errors: [err['at-most-two-simple-responses']],
     },
+    {
+      code:
+`
+const app = dialogflow();
+function greet(conv) {
+  conv.ask('Hi');
+  conv.ask('Hello');
+}
+app.intent('a', (conv) => {
+  greet(conv);
+  conv.ask('What now?');
+});
+`,
+      parserOptions: parserOptions,
+      errors: [err['at-most-two-simple-responses']],
+    },
+    {
+      code:
+`
+const app = dialogflow();
+function greet(c) {
+  c.ask('Hi');
+  c.ask('Hello');
+}
+app.intent('a', (c) => {
+  greet(c);
+  c.ask('x');
+});
+`,
+      parserOptions: parserOptions,
+      errors: [err['at-most-two-simple-responses']],
+    },
+    {
+      code:
+`
+const app = dialogflow();
+const greet = (conv) => conv.ask('Hi');
+app.intent('a', (conv) => {
+  greet(conv);
+  greet(conv);
+  greet(conv);
+});
+`,
+      parserOptions: parserOptions,
+      errors: [err['at-most-two-simple-responses']],
+    },
+    {
+      // registered by index.js of the project, so "c" is the conversation.
+      code:
+`
+exports.help = (c) => {
+  c.ask('first');
+  c.ask('second');
+  c.ask('third');
+};
+`,
+      filename: path.join(project, 'intents/index.js'),
+      parserOptions: parserOptions,
+      errors: [err['at-most-two-simple-responses']],
+    },
   ]}
 );
@@ -42,6 +42,16 @@ const error = {
 const ruleTester = new RuleTester();
 ruleTester.run('first-item-simple-or-helper-response', rule, {
   valid: [
+    {
+      code: `
+conversation.ask(new AccountLinking());
+conversation.ask(new BasicCard({}));
+`,
+      settings: {'actions-on-google': {
+        conversationNames: ['conversation'],
+        helperClasses: ['AccountLinking'],
+      }},
+    },
     {
       code: `conv.ask('Hello World')`,
     },
@@ -110,6 +120,27 @@ function foo(conv) {
   invalid: [
     {
       code: `
+conversation.ask(new BasicCard({}));
+conversation.ask(new AccountLinking());
+`,
+      settings: {'actions-on-google': {
+        conversationNames: ['conversation'],
+        helperClasses: ['AccountLinking'],
+      }},
+      errors: [error],
+    },
+    {
+      code: `
+import * as aog from 'actions-on-google';
+const app = aog.actionssdk();
+app.intent('foo', (c) => {
+  c.ask(new BasicCard({}));
+});`,
+      parserOptions: {ecmaVersion: 8, sourceType: 'module'},
+      errors: [error],
+    },
+    {
+      code: `
 conv.ask(new BasicCard({}));
 conv.ask('Hello');
 `,
@@ -120,6 +151,31 @@ conv.ask('Hello');
 const app = dialogflow();
 app.intent((conv) => {
   conv.ask(new BasicCard({}));
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+function notAHandler(conv) {
+  conv.ask('Hello');
+}
+const handleFoo = (conv) => {
+  conv.ask(new BasicCard({}));
+};
+app.intent('foo', handleFoo);`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  items.map(function(item) {
+    return item;
+  });
+  conv.ask(new BasicCard({text: 'card'}));
 });`,
       parserOptions: parserOptions,
       errors: [error],
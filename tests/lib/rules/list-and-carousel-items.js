@@ -0,0 +1,138 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Tests for lib/rules/list-and-carousel-items
+ */
+'use strict';
+
+// -----------------------------------------------------------------------------
+// Requirements
+// -----------------------------------------------------------------------------
+
+const rule = require('../../../lib/rules/list-and-carousel-items');
+
+const RuleTester = require('eslint').RuleTester;
+
+const err = {
+  'list': {
+    message: 'List must have between 2 and 30 items.',
+  },
+  'carousel': {
+    message: 'Carousel must have between 2 and 10 items.',
+  },
+  'duplicate': {
+    message: 'Duplicate item key "A".',
+  },
+};
+
+const parserOptions = {ecmaVersion: 2018};
+
+/**
+ * Creates the source of an items object literal.
+ * @param {number} count number of items.
+ * @return {string}
+ */
+function createItems(count) {
+  const items = [];
+  for (let i = 0; i < count; i++) {
+    items.push(`KEY_${i}: {title: '${i}'}`);
+  }
+  return `{${items.join(', ')}}`;
+}
+
+// -----------------------------------------------------------------------------
+// Tests
+// -----------------------------------------------------------------------------
+
+const ruleTester = new RuleTester();
+ruleTester.run('list-and-carousel-items', rule, {
+  valid: [
+    {
+      code: `conv.ask(new List({title: 'a', items: ${createItems(2)}}));`,
+      parserOptions: parserOptions,
+    },
+    {
+      code: `conv.ask(new List({items: ${createItems(30)}}));`,
+      parserOptions: parserOptions,
+    },
+    {
+      code: `conv.ask(new Carousel({items: ${createItems(10)}}));`,
+      parserOptions: parserOptions,
+    },
+    {
+      code: `
+const items = [
+  {optionInfo: {key: 'A'}, title: 'a'},
+  {optionInfo: {key: 'B'}, title: 'b'},
+];
+conv.ask(new Carousel({items}));`,
+      parserOptions: parserOptions,
+    },
+    {
+      code: `conv.ask(new List({items: {A: {title: 'a'}, ...others}}));`,
+      parserOptions: parserOptions,
+    },
+    {
+      code: `conv.ask(new List({items: {A: {title: 'a'}, [key]: {}}}));`,
+      parserOptions: parserOptions,
+    },
+    {
+      code: `conv.ask(new List({items: getItems()}));`,
+      parserOptions: parserOptions,
+    },
+    {
+      code: `conv.ask(new List({items: [{optionInfo: {key: 'A'}}, ...more]}));`,
+      parserOptions: parserOptions,
+    },
+  ],
+  invalid: [
+    {
+      code: `conv.ask(new List({items: ${createItems(1)}}));`,
+      parserOptions: parserOptions,
+      errors: [err['list']],
+    },
+    {
+      code: `conv.ask(new List({items: ${createItems(31)}}));`,
+      parserOptions: parserOptions,
+      errors: [err['list']],
+    },
+    {
+      code: `
+const options = {items: ${createItems(11)}};
+conv.ask(new Carousel(options));`,
+      parserOptions: parserOptions,
+      errors: [err['carousel']],
+    },
+    {
+      code: `
+conv.ask(new List({items: {A: {title: 'a'}, 'A': {title: 'b'}}}));`,
+      parserOptions: parserOptions,
+      errors: [err['list'], err['duplicate']],
+    },
+    {
+      code: `
+const KEY = 'A';
+conv.ask(new Carousel({items: [
+  {optionInfo: {key: KEY}, title: 'a'},
+  {optionInfo: {key: 'B'}, title: 'b'},
+  {optionInfo: {key: \`A\`}, title: 'c'},
+]}));`,
+      parserOptions: parserOptions,
+      errors: [err['duplicate']],
+    },
+  ],
+});
@@ -0,0 +1,129 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Tests for lib/rules/max-simple-response-length
+ */
+'use strict';
+
+// -----------------------------------------------------------------------------
+// Requirements
+// -----------------------------------------------------------------------------
+
+const rule = require('../../../lib/rules/max-simple-response-length');
+
+const RuleTester = require('eslint').RuleTester;
+
+const textError = {
+  message: 'Display text of a simple response is longer than 640 characters.',
+};
+
+const speechError = {
+  message: 'Speech of a simple response is longer than 5000 characters.',
+};
+
+const parserOptions = {ecmaVersion: 8};
+
+// -----------------------------------------------------------------------------
+// Tests
+// -----------------------------------------------------------------------------
+
+const ruleTester = new RuleTester();
+ruleTester.run('max-simple-response-length', rule, {
+  valid: [
+    {
+      code: `conv.ask('${'a'.repeat(640)}');`,
+      parserOptions: parserOptions,
+    },
+    {
+      code: `
+conv.ask(new SimpleResponse({
+  speech: '${'a'.repeat(1000)}',
+  text: 'Short text',
+}));`,
+      parserOptions: parserOptions,
+    },
+    {
+      code: `conv.ask(getHelp() + '${'a'.repeat(640)}');`,
+      parserOptions: parserOptions,
+    },
+    {
+      code: `foo('${'a'.repeat(641)}');`,
+      parserOptions: parserOptions,
+    },
+    {
+      // 241 displayed characters, in 1169 characters of speech.
+      code: `
+conv.ask(new SimpleResponse({
+  speech: '<speak>${
+  '<p><s>aaaaaaaaaaaaaaaaaaaa</s></p><break time="500ms"/>'.repeat(12)}' +
+      '<prosody rate="slow" pitch="low" volume="soft">&amp;</prosody>' +
+      '${'<break time="1s"/>'.repeat(24)}</speak>',
+}));`,
+      parserOptions: parserOptions,
+    },
+  ],
+  invalid: [
+    {
+      code: `conv.ask('${'a'.repeat(641)}');`,
+      parserOptions: parserOptions,
+      errors: [textError],
+    },
+    {
+      code: `
+const help = '${'a'.repeat(400)}';
+conv.ask(\`\${help} ${'b'.repeat(300)}\`);
+conv.close(help + ' ${'c'.repeat(300)}');`,
+      parserOptions: parserOptions,
+      errors: [textError, textError],
+    },
+    {
+      code: `
+conv.ask(new SimpleResponse({
+  speech: 'Short speech',
+  text: '${'a'.repeat(641)}',
+}));`,
+      parserOptions: parserOptions,
+      errors: [textError],
+    },
+    {
+      code: `
+conv.ask(new SimpleResponse({
+  speech: '<speak>${'a'.repeat(5000)}</speak>',
+  text: 'Short text',
+}));`,
+      parserOptions: parserOptions,
+      errors: [speechError],
+    },
+    {
+      code: `
+conv.ask('<speak>${'a'.repeat(321)}<break/>${'a'.repeat(320)}</speak>');`,
+      parserOptions: parserOptions,
+      errors: [textError],
+    },
+    {
+      code: `conv.ask(new SimpleResponse('${'a'.repeat(21)}'));`,
+      parserOptions: parserOptions,
+      options: [{maxTextLength: 20, maxSpeechLength: 20}],
+      errors: [{
+        message: 'Display text of a simple response is longer than 20 ' +
+            'characters.',
+      }, {
+        message: 'Speech of a simple response is longer than 20 characters.',
+      }],
+    },
+  ],
+});
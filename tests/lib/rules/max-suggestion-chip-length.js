@@ -0,0 +1,126 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Tests for lib/rules/max-suggestion-chip-length
+ */
+'use strict';
+
+// -----------------------------------------------------------------------------
+// Requirements
+// -----------------------------------------------------------------------------
+
+const rule = require('../../../lib/rules/max-suggestion-chip-length');
+
+const RuleTester = require('eslint').RuleTester;
+
+const LONG_CHIP = 'This chip is way too long!';
+
+const error = {
+  message: `Suggestion chip "${LONG_CHIP}" is longer than 25 characters.`,
+};
+
+const parserOptions = {ecmaVersion: 8};
+
+// -----------------------------------------------------------------------------
+// Tests
+// -----------------------------------------------------------------------------
+
+const ruleTester = new RuleTester();
+ruleTester.run('max-suggestion-chip-length', rule, {
+  valid: [
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Which one?', new Suggestions(['Exactly 25 characters....', 'b']));
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Which one?', new Suggestions(getChips(), \`\${name} rocks\`));
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Which one?', new Suggestions('${LONG_CHIP}'));
+});`,
+      parserOptions: parserOptions,
+      options: [{max: 30}],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Which one?', new Suggestions('${LONG_CHIP}'));
+});`,
+      parserOptions: parserOptions,
+      settings: {'actions-on-google': {max: 30}},
+    },
+  ],
+  invalid: [
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Which one?', new Suggestions('${LONG_CHIP}', 'b'));
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Which one?', new Suggestions('a').add(['b', \`${LONG_CHIP}\`]));
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const TOO_LONG = 'way too long!';
+const chips = ['a', 'This chip is ' + TOO_LONG];
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Which one?', new Suggestions(chips));
+});
+app.intent('bar', (conv) => {
+  conv.ask('Which one?', new Suggestions(chips));
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  const chip = \`\${'This chip'} is too long\`;
+  conv.ask('Which one?', new Suggestions(chip));
+});`,
+      parserOptions: parserOptions,
+      options: [{max: 20}],
+      errors: [{
+        message: 'Suggestion chip "This chip is too long" is longer than ' +
+            '20 characters.',
+      }],
+    },
+  ],
+});
@@ -0,0 +1,195 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Tests for lib/rules/media-response-requirements
+ */
+'use strict';
+
+// -----------------------------------------------------------------------------
+// Requirements
+// -----------------------------------------------------------------------------
+
+const rule = require('../../../lib/rules/media-response-requirements');
+
+const RuleTester = require('eslint').RuleTester;
+
+const simpleResponseError = {
+  message: 'MediaObject must be accompanied by a simple response.',
+};
+
+const suggestionsError = {
+  message: 'MediaObject must be accompanied by suggestions, unless the ' +
+      'conversation is closed.',
+};
+
+const capabilityError = {
+  message: 'MediaObject must be guarded by a check of the ' +
+      'MEDIA_RESPONSE_AUDIO capability.',
+};
+
+const parserOptions = {ecmaVersion: 8};
+
+// -----------------------------------------------------------------------------
+// Tests
+// -----------------------------------------------------------------------------
+
+const ruleTester = new RuleTester();
+ruleTester.run('media-response-requirements', rule, {
+  valid: [
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Here is a song');
+  conv.ask(new MediaObject({url: 'a'}));
+  conv.ask(new Suggestions('Next'));
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.close('Here is a song', new MediaObject({url: 'a'}));
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask(new MediaObject({url: 'a'}));
+  if (a) {
+    conv.ask('Here is a song', new Suggestions('Next'));
+  } else {
+    conv.ask('Here is another song', new Suggestions('Stop'));
+  }
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Here is a song', new Suggestions('Next'));
+  return fetchSong().then((song) => {
+    conv.ask(new MediaObject(song));
+  });
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  addCompanions(conv);
+  conv.ask(new MediaObject({url: 'a'}));
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  const audio = 'actions.capability.MEDIA_RESPONSE_AUDIO';
+  if (!conv.surface.capabilities.has(audio)) {
+    return conv.close('Sorry, no audio here');
+  }
+  conv.ask('Here is a song', new MediaObject({url: 'a'}), chips);
+});`,
+      parserOptions: parserOptions,
+      options: [{requireCapabilityCheck: true}],
+    },
+    {
+      code: `
+function addSong(conv) {
+  conv.ask(new MediaObject({url: 'a'}));
+}`, parserOptions: parserOptions,
+    },
+  ],
+  invalid: [
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask(new MediaObject({url: 'a'}), new Suggestions('Next'));
+});`,
+      parserOptions: parserOptions,
+      errors: [simpleResponseError],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Here is a song', new MediaObject({url: 'a'}));
+});`,
+      parserOptions: parserOptions,
+      errors: [suggestionsError],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask(new MediaObject({url: 'a'}));
+});`,
+      parserOptions: parserOptions,
+      errors: [simpleResponseError, suggestionsError],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Here is a song', new MediaObject({url: 'a'}));
+  if (a) {
+    conv.ask(new Suggestions('Next'));
+  }
+});`,
+      parserOptions: parserOptions,
+      errors: [suggestionsError],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  if (a) {
+    conv.ask('Here is a song', new Suggestions('Next'));
+  } else {
+    conv.ask(new MediaObject({url: 'a'}));
+  }
+});`,
+      parserOptions: parserOptions,
+      errors: [simpleResponseError, suggestionsError],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Here is a song', new MediaObject({url: 'a'}), chips);
+});`,
+      parserOptions: parserOptions,
+      options: [{requireCapabilityCheck: true}],
+      errors: [capabilityError],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  if (conv.screen) {
+    conv.ask('Here is a song', new MediaObject({url: 'a'}), chips);
+  }
+});`,
+      parserOptions: parserOptions,
+      options: [{requireCapabilityCheck: true}],
+      errors: [capabilityError],
+    },
+  ],
+});
@@ -23,11 +23,13 @@
 // Requirements
 // -----------------------------------------------------------------------------
 
+const path = require('path');
 const rule = require('../../../lib/rules/must-return-response');
 
 const RuleTester = require('eslint').RuleTester;
 
 const parserOptions = {ecmaVersion: 8};
+const project = path.join(__dirname, '../../fixtures/project');
 const error = {
   message: 'Must return a response from the intent handler.',
 };
@@ -39,6 +41,79 @@ const error = {
 const ruleTester = new RuleTester();
 ruleTester.run('must-return-response', rule, {
   valid: [
+    {
+      // not registered by any module of the project.
+      code: `
+module.exports = (conv) => {
+};`,
+      filename: path.join(project, 'intents/unused.js'),
+      parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+function greet(conv) {
+  if (conv.user.last.seen) {
+    return conv.ask('Welcome back!');
+  }
+  conv.ask('Welcome!');
+}
+app.intent('foo', (conv) => {
+  greet(conv);
+});`,
+      parserOptions: parserOptions,
+    },
+    {
+      // the helpers are declared after their calls, so they are not summarized.
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  h1(conv);
+});
+function h1(conv) { h2(conv); }
+function h2(conv) { h3(conv); }
+function h3(conv) { h4(conv); }
+function h4(conv) { h5(conv); }
+function h5(conv) { conv.ask('Hi!'); }`,
+      parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+function h5(conv) { conv.ask('Hi!'); }
+function h4(conv) { h5(conv); }
+function h3(conv) { h4(conv); }
+function h2(conv) { h3(conv); }
+function h1(conv) { h2(conv); }
+app.intent('foo', (conv) => {
+  h1(conv);
+});`,
+      parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('option', (conv, params, option) => {
+  switch (option) {
+    case 'red':
+    case 'green':
+      conv.ask('Nice color!');
+      break;
+    default:
+      conv.ask('Which color?');
+  }
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', handleFoo);
+function handleFoo(conv) {
+  conv.ask('hello');
+}
+function notAHandler(conv) {
+}`, parserOptions: parserOptions,
+    },
     // no errors because console.log is still a function call,
     // so per linters policy it's better to be less vocal.
     {
@@ -114,6 +189,52 @@ app.intent('Initiate the Purchase', async (conv, {SKU}) => {
   invalid: [
     {
       code: `
+const app = dialogflow();
+app.intent('option', (conv, params, option) => {
+  switch (option) {
+    case 'red':
+      conv.ask('Nice color!');
+      break;
+    case 'green':
+      conv.ask('Nice color too!');
+      break;
+  }
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  if (!conv.user.verification) {
+    return;
+  }
+  conv.ask('Welcome back!');
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = createAssistantApp();
+app.intent('foo', (conv) => {
+});`,
+      parserOptions: parserOptions,
+      options: [{appFactories: ['createAssistantApp']}],
+      errors: [error],
+    },
+    {
+      code: `
+const {dialogflow: createApp} = require('actions-on-google');
+const app = createApp();
+app.intent('foo', (conv) => {
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
 const app = actionssdk();
 app.intent('foo', (conv) => {
 })`, parserOptions: parserOptions, errors: [error],
@@ -145,5 +266,61 @@ app.intent('z', (conv) => {
       parserOptions: parserOptions,
       errors: [error],
     },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', handleFoo);
+function handleFoo(conv) {
+  if (a) {
+    conv.ask('hello');
+  }
+}`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+const handleFoo = (conv) => {
+};
+const handleBar = function(conv) {
+};
+app.intent('foo', handleFoo);
+app.intent('bar', handleBar);`,
+      parserOptions: parserOptions,
+      errors: [error, error],
+    },
+    {
+      code: `
+const app = dialogflow();
+function greet(conv) {
+  if (conv.user.last.seen) {
+    conv.ask('Welcome back!');
+  }
+}
+app.intent('foo', (conv) => {
+  greet(conv);
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      // registered by index.js of the project.
+      code: `
+module.exports = (conv) => {
+};`,
+      filename: path.join(project, 'intents/welcome.js'),
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      // registered by esm.js of the project.
+      code: `
+export function fallback(conv) {
+}`,
+      filename: path.join(project, 'intents/fallback.js'),
+      parserOptions: {ecmaVersion: 8, sourceType: 'module'},
+      errors: [error],
+    },
   ],
 });
@@ -0,0 +1,259 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Tests for lib/rules/no-response-after-close
+ */
+'use strict';
+
+// -----------------------------------------------------------------------------
+// Requirements
+// -----------------------------------------------------------------------------
+
+const rule = require('../../../lib/rules/no-response-after-close');
+
+const RuleTester = require('eslint').RuleTester;
+
+const error = {
+  message: `Response can't be added after the conversation is closed.`,
+};
+
+const parserOptions = {ecmaVersion: 8};
+
+// -----------------------------------------------------------------------------
+// Tests
+// -----------------------------------------------------------------------------
+
+const ruleTester = new RuleTester();
+ruleTester.run('no-response-after-close', rule, {
+  valid: [
+    {
+      code: `
+const app = dialogflow();
+function greet(conv) {
+  conv.ask('Hi');
+}
+function bye(conv) {
+  conv.close('Bye');
+}
+app.intent('foo', (conv) => {
+  greet(conv);
+  bye(conv);
+});`,
+      parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Hello');
+  conv.close('Bye');
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  if (a) {
+    return conv.close('Bye');
+  }
+  conv.ask('Anything else?');
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  if (a) return conv.close('Bye');
+  conv.ask('Anything else?');
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  if (a) {
+    conv.close('Bye');
+  } else {
+    conv.ask('Anything else?');
+  }
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  try {
+    conv.close('Bye');
+    return;
+  } catch (e) {
+    conv.ask('Something went wrong. Anything else?');
+  }
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  function ask() {
+    conv.ask('Anything else?');
+  }
+  if (a) {
+    return ask();
+  }
+  conv.close('Bye');
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+function respond(conv) {
+  conv.close('Bye');
+  conv.ask('Anything else?');
+}`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv, {items}) => {
+  for (const item of items) {
+    if (item.last) {
+      conv.close(item.name);
+      return;
+    }
+    conv.ask(item.name);
+  }
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv, {items}) => {
+  for (const item of items) {
+    conv.ask(item.name);
+    if (item.last) {
+      conv.close('Bye');
+      break;
+    }
+  }
+});`, parserOptions: parserOptions,
+    },
+  ],
+  invalid: [
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  for (const item of conv.data.items) {
+    if (!item.available) {
+      conv.close('Sold out.');
+    }
+  }
+  conv.ask('Anything else?');
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  done && conv.close('Bye');
+  conv.ask('Anything else?');
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.close('Bye');
+  conv.ask('Anything else?');
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  if (a) {
+    conv.close('Bye');
+  }
+  conv.ask('Anything else?');
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  try {
+    conv.close('Bye');
+  } catch (e) {
+    console.error(e);
+  }
+  conv.json({});
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.close('Bye');
+  return save().then(() => {
+    conv.close('Saved');
+  });
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+function bye(conv) {
+  conv.close('Bye');
+}
+function greet(conv) {
+  conv.ask('Hi');
+}
+app.intent('foo', (conv) => {
+  bye(conv);
+  greet(conv);
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv, {items}) => {
+  for (const item of items) {
+    if (item.last) {
+      conv.close('Bye');
+    } else {
+      conv.ask(item.name);
+    }
+  }
+});`,
+      parserOptions: parserOptions,
+      errors: [Object.assign({line: 8}, error)],
+    },
+  ],
+});
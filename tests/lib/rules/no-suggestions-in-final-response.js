@@ -0,0 +1,220 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Tests for lib/rules/no-suggestions-in-final-response
+ */
+'use strict';
+
+// -----------------------------------------------------------------------------
+// Requirements
+// -----------------------------------------------------------------------------
+
+const rule = require('../../../lib/rules/no-suggestions-in-final-response');
+
+const RuleTester = require('eslint').RuleTester;
+
+const error = {
+  message: 'Suggestions are not allowed in the final response.',
+};
+
+const parserOptions = {ecmaVersion: 8};
+
+// -----------------------------------------------------------------------------
+// Tests
+// -----------------------------------------------------------------------------
+
+const ruleTester = new RuleTester();
+ruleTester.run('no-suggestions-in-final-response', rule, {
+  valid: [
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Which one?');
+  conv.ask(new Suggestions(['a', 'b']));
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.close('Bye!');
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  if (conv.data.done) {
+    conv.close('Bye!');
+  } else {
+    conv.ask('Which one?', new Suggestions(['a', 'b']));
+  }
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  if (conv.data.done) {
+    conv.close('Bye!');
+    return;
+  }
+  conv.ask('Which one?', new LinkOutSuggestion({name: 'a', url: 'b'}));
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Which one?', new Suggestions(['a', 'b']));
+});
+app.intent('bar', (conv) => {
+  conv.close('Bye!');
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Which one?', getSuggestions());
+  conv.close('Bye!');
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  if (conv.data.done) {
+    conv.ask('Which one?', new Suggestions(['a', 'b']));
+  } else {
+    conv.close('Bye!');
+  }
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  if (conv.data.pending) return conv.ask('Which one?', new Suggestions('a'));
+  conv.close('Bye!');
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+function suggest(conv) {
+  if (a) {
+    conv.ask(new Suggestions('a'));
+  }
+}
+app.intent('foo', (conv) => {
+  suggest(conv);
+  conv.close('Bye!');
+});`, parserOptions: parserOptions,
+    },
+  ],
+  invalid: [
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.close('Bye!', new Suggestions(['a', 'b']));
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask(new Suggestions('a').add('b'));
+  conv.close('Bye!');
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  const link = new LinkOutSuggestion({name: 'a', url: 'b'});
+  conv.ask(link);
+  if (conv.data.done) {
+    conv.close('Bye!');
+  }
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  if (a) {
+    conv.ask(new Suggestions('a'));
+  } else {
+    conv.ask(new Suggestions('b'));
+  }
+  conv.close('Bye!');
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  try {
+    conv.ask(new Suggestions('a'));
+  } catch (e) {
+    conv.ask(new Suggestions('b'));
+  } finally {
+    conv.close('Bye!');
+  }
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+function suggest(conv) {
+  conv.ask(new Suggestions('a'));
+}
+app.intent('foo', (conv) => {
+  suggest(conv);
+  conv.close('Bye!');
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+function sayBye(conv) {
+  conv.close('Bye!');
+}
+app.intent('foo', (conv) => {
+  conv.ask(new Suggestions('a'));
+  sayBye(conv);
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+  ],
+});
@@ -0,0 +1,214 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Tests for lib/rules/no-unhandled-async-response
+ */
+'use strict';
+
+// -----------------------------------------------------------------------------
+// Requirements
+// -----------------------------------------------------------------------------
+
+const rule = require('../../../lib/rules/no-unhandled-async-response');
+
+const RuleTester = require('eslint').RuleTester;
+
+const error = {
+  message: `Response must not be added in a callback the intent handler ` +
+      `doesn't wait for.`,
+};
+
+const parserOptions = {ecmaVersion: 2018};
+
+// -----------------------------------------------------------------------------
+// Tests
+// -----------------------------------------------------------------------------
+
+const ruleTester = new RuleTester();
+ruleTester.run('no-unhandled-async-response', rule, {
+  valid: [
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  return load().then((data) => {
+    conv.ask(data.text);
+  });
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  const loading = load().catch(() => conv.close('Something went wrong'));
+  return loading;
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', async (conv) => {
+  await load().then((data) => conv.ask(data.text));
+  conv.ask('Done');
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  return new Promise((resolve) => {
+    setTimeout(() => {
+      conv.ask('Done');
+      resolve();
+    }, 100);
+  });
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  return Promise.all([load(), save()]).then(() => conv.ask('Done'));
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', async (conv) => {
+  async function respond() {
+    const data = await load();
+    conv.ask(data.text);
+  }
+  await respond();
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  (async () => {
+    conv.ask('Loading');
+    await load();
+  })();
+  items.forEach((item) => conv.ask(item));
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+function respond(conv) {
+  setTimeout(() => conv.ask('Done'), 100);
+}`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+async function load(conv) {
+  await fetch();
+  conv.ask('Loaded');
+}
+app.intent('foo', (conv) => {
+  return load(conv);
+});
+app.intent('bar', async (conv) => {
+  await load(conv);
+});`, parserOptions: parserOptions,
+    },
+  ],
+  invalid: [
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  setTimeout(() => {
+    conv.ask('Done');
+  }, 100);
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  load().then((data) => {
+    conv.ask(data.text);
+  });
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  return load().then(() => {
+    save().finally(() => conv.close('Saved'));
+  });
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  stream.on('data', (chunk) => conv.ask(chunk.text));
+  return Promise.resolve();
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  async function respond() {
+    const data = await load();
+    conv.ask(data.text);
+  }
+  respond();
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', async (conv) => {
+  (async () => {
+    await load();
+    conv.ask('Done');
+  })();
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+async function load(conv) {
+  await fetch();
+  conv.ask('Loaded');
+}
+app.intent('foo', (conv) => {
+  load(conv);
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+  ],
+});
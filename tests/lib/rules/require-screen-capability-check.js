@@ -0,0 +1,216 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Tests for lib/rules/require-screen-capability-check
+ */
+'use strict';
+
+// -----------------------------------------------------------------------------
+// Requirements
+// -----------------------------------------------------------------------------
+
+const rule = require('../../../lib/rules/require-screen-capability-check');
+
+const RuleTester = require('eslint').RuleTester;
+
+const error = {
+  message: 'Visual response must be guarded by a check of the ' +
+      'SCREEN_OUTPUT capability.',
+};
+
+const parserOptions = {ecmaVersion: 8};
+
+// -----------------------------------------------------------------------------
+// Tests
+// -----------------------------------------------------------------------------
+
+const ruleTester = new RuleTester();
+ruleTester.run('require-screen-capability-check', rule, {
+  valid: [
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Here is a card');
+  if (conv.screen) {
+    conv.ask(new BasicCard({text: 'card'}));
+  }
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  if (!conv.surface.capabilities.has('actions.capability.SCREEN_OUTPUT')) {
+    return conv.close('Sorry, this device has no screen.');
+  }
+  conv.ask('Here is a list', new List({items: {}}));
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  const SCREEN = 'actions.capability.SCREEN_OUTPUT';
+  if (conv.available.surfaces.capabilities.has(SCREEN) && a) {
+    conv.ask('Here is an image', new Image({url: 'a', alt: 'b'}));
+  }
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  if (!conv.screen) {
+    conv.ask('Sorry, this device has no screen.');
+  } else {
+    conv.ask('Here is a table', new Table({rows: []}));
+  }
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  if (conv.screen) {
+    return fetchCard().then((card) => {
+      conv.ask('Here is a card', new BasicCard(card));
+    });
+  }
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Here is a song', new MediaObject({url: 'a'}));
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+function addCard(conv) {
+  conv.ask(new BasicCard({text: 'card'}));
+}`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.screen ? conv.ask('Here is a card', new BasicCard({text: 'card'})) :
+    conv.ask('Sorry, this device has no screen.');
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Hello');
+  conv.screen && conv.ask(new BasicCard({text: 'card'}));
+  !conv.screen || conv.ask(new Image({url: 'a', alt: 'b'}));
+});`, parserOptions: parserOptions,
+    },
+  ],
+  invalid: [
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Here is a card', new BasicCard({text: 'card'}));
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  if (conv.screen) {
+    conv.ask('Here is a card');
+  }
+  conv.ask(new Carousel({items: {}}));
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  if (conv.screen) {
+    conv.ask('Sorry, this device has no screen.');
+  } else {
+    conv.ask('Here is a table', new Table({rows: []}));
+  }
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  if (conv.screen || a) {
+    conv.ask('Here is a list', new List({items: {}}));
+  }
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  if (!conv.screen) {
+    conv.ask('Sorry, this device has no screen.');
+  }
+  conv.ask(new BasicCard({text: 'card'}));
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Here is a song', new MediaObject({url: 'a'}));
+});`,
+      parserOptions: parserOptions,
+      options: [{visualResponseClasses: ['MediaObject']}],
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.screen ? conv.ask('Sorry, no card.') :
+    conv.ask('Here is a card', new BasicCard({text: 'card'}));
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Hello');
+  conv.screen || conv.ask(new BasicCard({text: 'card'}));
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+  ],
+});
@@ -0,0 +1,213 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Tests for lib/rules/simple-response-before-rich-response
+ */
+'use strict';
+
+// -----------------------------------------------------------------------------
+// Requirements
+// -----------------------------------------------------------------------------
+
+const rule = require('../../../lib/rules/simple-response-before-rich-response');
+
+const RuleTester = require('eslint').RuleTester;
+
+const error = {
+  message: 'Rich response must be preceded by a simple response.',
+};
+
+const parserOptions = {ecmaVersion: 8};
+
+// -----------------------------------------------------------------------------
+// Tests
+// -----------------------------------------------------------------------------
+
+const ruleTester = new RuleTester();
+ruleTester.run('simple-response-before-rich-response', rule, {
+  valid: [
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Here is a card');
+  conv.ask(new BasicCard({text: 'card'}));
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask(new SimpleResponse({speech: 'a', text: 'b'}), new Table({}));
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  if (a) {
+    conv.ask('Here is a card');
+  } else {
+    conv.ask('Here is another card');
+  }
+  conv.ask(new BasicCard({text: 'card'}));
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask(getGreeting());
+  conv.ask(new Image({url: 'a', alt: 'b'}));
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  greet(conv);
+  conv.ask(new BrowseCarousel({items: []}));
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask('Here is a card');
+  return fetchCard().then((card) => {
+    conv.ask(new BasicCard(card));
+  });
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+function addCard(conv) {
+  conv.ask(new BasicCard({text: 'card'}));
+}`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask(conv.user.last.seen ? 'Welcome back!' : 'Welcome!',
+      new BasicCard({text: 'card'}));
+});`, parserOptions: parserOptions,
+    },
+    {
+      code: `
+const app = dialogflow();
+function greet(conv) {
+  conv.ask('Hi!');
+}
+function showCard(conv) {
+  conv.ask(new BasicCard({text: 'card'}));
+}
+app.intent('foo', (conv) => {
+  greet(conv);
+  showCard(conv);
+});`, parserOptions: parserOptions,
+    },
+  ],
+  invalid: [
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  conv.ask(new BasicCard({text: 'card'}));
+  conv.ask('Here is a card');
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  const media = new MediaObject({url: 'a'});
+  conv.ask(media, 'Here is a song');
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  if (a) {
+    conv.ask('Here is a card');
+  }
+  conv.ask(new BasicCard({text: 'card'}));
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  try {
+    conv.ask('Here is a card');
+  } catch (e) {
+    conv.ask(new LinkOutSuggestion({name: 'a', url: 'b'}));
+  }
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+app.intent('foo', (conv) => {
+  if (a) {
+    conv.ask('Here is a card');
+  } else {
+    conv.ask(new BasicCard({text: 'card'}));
+  }
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+function showCard(conv) {
+  conv.ask(new BasicCard({text: 'card'}));
+}
+app.intent('foo', (conv) => {
+  showCard(conv);
+  conv.ask('Here is a card');
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+    {
+      code: `
+const app = dialogflow();
+function greet(conv) {
+  if (a) {
+    conv.ask('Hi!');
+  }
+}
+app.intent('foo', (conv) => {
+  greet(conv);
+  conv.ask(new BasicCard({text: 'card'}));
+});`,
+      parserOptions: parserOptions,
+      errors: [error],
+    },
+  ],
+});
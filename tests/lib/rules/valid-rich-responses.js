@@ -0,0 +1,149 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Tests for lib/rules/valid-rich-responses
+ */
+'use strict';
+
+// -----------------------------------------------------------------------------
+// Requirements
+// -----------------------------------------------------------------------------
+
+const rule = require('../../../lib/rules/valid-rich-responses');
+
+const RuleTester = require('eslint').RuleTester;
+
+/**
+ * Creates an error for a missing required option.
+ * @param {string} className
+ * @param {string} field
+ * @return {Object}
+ */
+function missing(className, field) {
+  return {
+    message: `${className} is missing the required "${field}" option.`,
+  };
+}
+
+const err = {
+  'card-content': {
+    message: 'BasicCard must have an image or text.',
+  },
+  'card-buttons': {
+    message: 'BasicCard must have at most one button.',
+  },
+  'button-action': {
+    message: 'Button must have either "url" or "action".',
+  },
+  'carousel-items': {
+    message: 'BrowseCarousel must have between 2 and 10 items.',
+  },
+};
+
+const parserOptions = {ecmaVersion: 2018};
+
+// -----------------------------------------------------------------------------
+// Tests
+// -----------------------------------------------------------------------------
+
+const ruleTester = new RuleTester();
+ruleTester.run('valid-rich-responses', rule, {
+  valid: [
+    {
+      code: `
+conv.ask(new BasicCard({
+  title: 'Title',
+  text: 'Text',
+  buttons: new Button({title: 'Open', url: 'https://example.com'}),
+}));`,
+      parserOptions: parserOptions,
+    },
+    {
+      code: `
+const image = new Image({url: 'https://example.com/a.png', alt: 'A'});
+conv.ask(new BasicCard({image, buttons: [
+  new Button({title: 'Open', action: {url: 'https://example.com'}}),
+]}));`,
+      parserOptions: parserOptions,
+    },
+    {
+      code: `conv.ask(new BasicCard({...defaults, title: 'Title'}));`,
+      parserOptions: parserOptions,
+    },
+    {
+      code: `conv.ask(new BasicCard(getOptions()));`,
+      parserOptions: parserOptions,
+    },
+    {
+      code: `
+conv.ask(new BrowseCarousel({items: [
+  new BrowseCarouselItem({title: 'a', url: 'https://example.com/a'}),
+  {title: 'b', url: 'https://example.com/b'},
+]}));`,
+      parserOptions: parserOptions,
+    },
+    {
+      code: `conv.ask(new BrowseCarousel({items: [first, ...others]}));`,
+      parserOptions: parserOptions,
+    },
+  ],
+  invalid: [
+    {
+      code: `conv.ask(new BasicCard({title: 'Title'}));`,
+      parserOptions: parserOptions,
+      errors: [err['card-content']],
+    },
+    {
+      code: `
+const buttons = [
+  new Button({title: 'a', url: 'https://example.com/a'}),
+  new Button({title: 'b', url: 'https://example.com/b'}),
+];
+conv.ask(new BasicCard({text: 'Text', buttons}));`,
+      parserOptions: parserOptions,
+      errors: [err['card-buttons']],
+    },
+    {
+      code: `conv.ask(new BasicCard({text: 'Text', buttons: new Button({})}));`,
+      parserOptions: parserOptions,
+      errors: [missing('Button', 'title'), err['button-action']],
+    },
+    {
+      code: `
+conv.ask(new BrowseCarousel({items: [
+  new BrowseCarouselItem({title: 'a'}),
+]}));`,
+      parserOptions: parserOptions,
+      errors: [err['carousel-items'], missing('BrowseCarouselItem', 'url')],
+    },
+    {
+      code: `
+const items = [
+  {title: 'a', url: 'https://example.com/a'},
+  {url: 'https://example.com/b'},
+];
+conv.ask(new BrowseCarousel(items));`,
+      parserOptions: parserOptions,
+      errors: [missing('BrowseCarouselItem', 'title')],
+    },
+    {
+      code: `conv.ask(new Image({url: 'https://example.com/a.png'}));`,
+      parserOptions: parserOptions,
+      errors: [missing('Image', 'alt')],
+    },
+  ],
+});
@@ -0,0 +1,114 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Tests for lib/rules/valid-ssml
+ */
+'use strict';
+
+// -----------------------------------------------------------------------------
+// Requirements
+// -----------------------------------------------------------------------------
+
+const rule = require('../../../lib/rules/valid-ssml');
+
+const RuleTester = require('eslint').RuleTester;
+
+const parserOptions = {ecmaVersion: 8};
+
+// -----------------------------------------------------------------------------
+// Tests
+// -----------------------------------------------------------------------------
+
+const ruleTester = new RuleTester();
+ruleTester.run('valid-ssml', rule, {
+  valid: [
+    {
+      code: `conv.ask('<speak>Hello <break time="1s"/> world</speak>');`,
+      parserOptions: parserOptions,
+    },
+    {
+      code: `conv.ask('Salt & pepper < 3');`,
+      parserOptions: parserOptions,
+    },
+    {
+      code: `
+conv.ask('<speak><par>' +
+    '<media xml:id="question"><speak>Who invented the telephone?</speak>' +
+    '</media>' +
+    '<media begin="question.end+2.0s"><audio src="https://example.com/a.mp3"/>' +
+    '</media>' +
+    '</par></speak>');`,
+      parserOptions: parserOptions,
+    },
+    {
+      code: `
+conv.ask(new SimpleResponse({
+  speech: '<speak><emphasis level="strong">Hello</emphasis></speak>',
+  text: 'Hello & welcome',
+}));`,
+      parserOptions: parserOptions,
+    },
+    {
+      code: 'conv.ask(`<speak>Hello ${name} & <voice>${x}</speak>`);',
+      parserOptions: parserOptions,
+    },
+    {
+      code: `foo('<speak><p>Hello</speak>');`,
+      parserOptions: parserOptions,
+    },
+  ],
+  invalid: [
+    {
+      code: `conv.ask('<speak><p>Hello</speak>');`,
+      parserOptions: parserOptions,
+      errors: [{message: 'Invalid SSML: <p> is not closed.'}],
+    },
+    {
+      code: `conv.ask('<speak>Salt & pepper</speak>');`,
+      parserOptions: parserOptions,
+      errors: [{message: 'Invalid SSML: "&" must be escaped as "&amp;".'}],
+    },
+    {
+      code: `conv.ask('<speak>1 < 2</speak>');`,
+      parserOptions: parserOptions,
+      errors: [{message: 'Invalid SSML: "<" must be escaped as "&lt;".'}],
+    },
+    {
+      code: `
+const speech = 'Hello <speak>world</speak>';
+conv.ask(new SimpleResponse({speech, text: 'Hello world'}));`,
+      parserOptions: parserOptions,
+      errors: [{message: 'Invalid SSML: <speak> must be the root element.'}],
+    },
+    {
+      code: `
+const name = 'Ada';
+conv.ask(new SimpleResponse(
+    '<speak><voice gender="female">Hi ' + name + '</voice></speak>'));`,
+      parserOptions: parserOptions,
+      errors: [{message: 'Invalid SSML: <voice> is not supported.'}],
+    },
+    {
+      code: 'conv.close(`<speak><break duration="1s"/></speak>`);',
+      parserOptions: parserOptions,
+      errors: [{
+        message: 'Invalid SSML: Attribute "duration" of <break> is not ' +
+            'supported.',
+      }],
+    },
+  ],
+});
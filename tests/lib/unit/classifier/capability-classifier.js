@@ -0,0 +1,130 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Unit tests for
+ * .../js/lib/classifier/capability-classifier.js
+ */
+
+/* eslint require-jsdoc: 0 */
+'use strict';
+
+const {
+  CapabilityClassifier,
+  SCREEN_OUTPUT,
+} = require('./../../../../lib/classifier/capability-classifier');
+const {describe, it} = require('mocha');
+const {expect} = require('chai');
+const espree = require('espree');
+const eslintScope = require('eslint-scope');
+const assert = console.assert; // eslint-disable-line no-console
+// Okay to use vanilla JS object because that's how Eslint defines it.
+// https://github.com/eslint/eslint/blob/219aecb78bc646d44bad27dc775a9b3d3dc58232/lib/linter/linter.js#L635
+class MockContext {
+  constructor(scope) {
+    this._scope = scope;
+  }
+  getAncestors() { }
+  getScope() {
+    return this._scope;
+  }
+}
+
+const DEFAULT_ESPREE_CONFIG = {
+  ecmaVersion: 8,
+  // need to specify module; otherwise, parse doesn't resolve variables
+  sourceType: 'module',
+  // create a top-level tokens array containing all tokens
+  tokens: true,
+  comment: true,
+  loc: true,
+  range: true,
+};
+
+describe('CapabilityClassifier', function() {
+  function createScope(ast) {
+    const scopeManager = eslintScope.analyze(ast, DEFAULT_ESPREE_CONFIG);
+    const scope = scopeManager.acquire(ast,
+        DEFAULT_ESPREE_CONFIG);
+    assert(scope);
+    return scope;
+  }
+
+  // parses the code, and returns the classifier along with the test of the
+  // last if-statement.
+  function parse(code) {
+    const ast = espree.parse(code, DEFAULT_ESPREE_CONFIG);
+    const classifier = new CapabilityClassifier(
+        new MockContext(createScope(ast)), SCREEN_OUTPUT, ['screen']);
+    return {classifier, test: ast.body[ast.body.length - 1].test};
+  }
+
+  function isCapabilityCheck(code) {
+    const {classifier, test} = parse(code);
+    return classifier.isCapabilityCheck(test);
+  }
+
+  function isNegatedCapabilityCheck(code) {
+    const {classifier, test} = parse(code);
+    return classifier.isNegatedCapabilityCheck(test);
+  }
+
+  describe('#isCapabilityCheck', function() {
+    it('Check capabilities.has classified as Yes', function() {
+      expect(isCapabilityCheck(`if (conv.surface.capabilities.has(
+        'actions.capability.SCREEN_OUTPUT')) {}`)).to.be.true;
+      expect(isCapabilityCheck(`if (conv.available.surfaces.capabilities.has(
+        'actions.capability.SCREEN_OUTPUT')) {}`)).to.be.true;
+    });
+    it('Check property of the conversation classified as Yes', function() {
+      expect(isCapabilityCheck(`if (conv.screen) {}`)).to.be.true;
+    });
+    it('Check capability in a variable classified as Yes', function() {
+      expect(isCapabilityCheck(`
+        const screen = 'actions.capability.SCREEN_OUTPUT';
+        if (conv.surface.capabilities.has(screen)) {}
+      `)).to.be.true;
+      expect(isCapabilityCheck(`
+        const hasScreen = conv.screen;
+        if (hasScreen) {}
+      `)).to.be.true;
+    });
+    it('Check other capability classified as No', function() {
+      expect(isCapabilityCheck(`if (conv.surface.capabilities.has(
+        'actions.capability.AUDIO_OUTPUT')) {}`)).to.be.false;
+      expect(isCapabilityCheck(`if (user.screen) {}`)).to.be.false;
+    });
+    it('Check logical expressions', function() {
+      expect(isCapabilityCheck(`if (conv.screen && a) {}`)).to.be.true;
+      expect(isCapabilityCheck(`if (conv.screen || a) {}`)).to.be.false;
+      expect(isCapabilityCheck(`if (!conv.screen) {}`)).to.be.false;
+    });
+  });
+
+  describe('#isNegatedCapabilityCheck', function() {
+    it('Check negation classified as Yes', function() {
+      expect(isNegatedCapabilityCheck(`if (!conv.screen) {}`)).to.be.true;
+      expect(isNegatedCapabilityCheck(`if (!conv.screen || a) {}`))
+          .to.be.true;
+    });
+    it('Check check without negation classified as No', function() {
+      expect(isNegatedCapabilityCheck(`if (conv.screen) {}`)).to.be.false;
+      expect(isNegatedCapabilityCheck(`if (!conv.screen && a) {}`))
+          .to.be.false;
+    });
+  });
+});
@@ -0,0 +1,290 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Unit tests for
+ * .../js/lib/classifier/function-summarizer.js
+ */
+
+/* eslint require-jsdoc: 0 */
+'use strict';
+
+const {Linter} = require('eslint');
+
+const {FunctionSummarizer} =
+    require('./../../../../lib/classifier/function-summarizer');
+const {mergeListeners} = require('./../../../../lib/scope/scope-listeners');
+const {describe, it} = require('mocha');
+const {expect} = require('chai');
+
+// The summarizer follows the traversal of the code by ESLint, and the summaries
+// of the calls inside of the "welcome" intent handler are collected.
+function summarize(code) {
+  const linter = new Linter();
+  const summaries = [];
+  linter.defineRule('test', {
+    create(context) {
+      const summarizer = new FunctionSummarizer(context);
+      return mergeListeners(summarizer.createListeners(), {
+        'CallExpression[arguments.0.value="welcome"] CallExpression':
+          function(node) {
+            summaries.push(summarizer.summarizeCall(node));
+          },
+      });
+    },
+  });
+  const messages = linter.verify(`
+  const app = dialogflow();
+  ${code}
+  `, {
+    parserOptions: {ecmaVersion: 8},
+    rules: {test: 'error'},
+  });
+  expect(messages).to.deep.equal([]);
+  return summaries;
+}
+
+// summary of a function which adds no response, for the tests to override.
+const EMPTY_SUMMARY = {
+  simpleResponses: 0,
+  richCards: 0,
+  helpers: 0,
+  kinds: [],
+  alwaysKinds: [],
+  alwaysResponds: false,
+  richBeforeSimple: false,
+};
+
+function createSummary(summary) {
+  return Object.assign({}, EMPTY_SUMMARY, summary);
+}
+
+describe('FunctionSummarizer', function() {
+  it('counts the simple responses of a helper', function() {
+    expect(summarize(`
+    function greet(conv) {
+      conv.ask('Hi!');
+      conv.ask('How are you?');
+    }
+    app.intent('welcome', (conv) => {
+      greet(conv);
+    });
+    `)).to.deep.equal([createSummary({
+      simpleResponses: 2,
+      kinds: ['simple'],
+      alwaysKinds: ['simple'],
+      alwaysResponds: true,
+    })]);
+  });
+  it('takes the highest count of alternative paths', function() {
+    expect(summarize(`
+    const greet = (conv) => {
+      if (conv.user.verification === 'VERIFIED') {
+        conv.ask('Welcome back!');
+        conv.ask('What now?');
+        return;
+      }
+      conv.ask(new Suggestions('Sign in'));
+    };
+    app.intent('welcome', (conv) => {
+      greet(conv);
+    });
+    `)).to.deep.equal([createSummary({
+      simpleResponses: 2,
+      kinds: ['simple', 'suggestions'],
+      alwaysResponds: true,
+    })]);
+  });
+  it('does not always respond if some path has no response', function() {
+    expect(summarize(`
+    function greet(conv) {
+      switch (conv.input.type) {
+        case 'VOICE':
+          conv.ask('Hi!');
+          break;
+        case 'KEYBOARD':
+          conv.close('Bye!');
+      }
+    }
+    app.intent('welcome', (conv) => {
+      greet(conv);
+    });
+    `)).to.deep.equal([createSummary({
+      simpleResponses: 1,
+      kinds: ['simple', 'final'],
+    })]);
+  });
+  it('counts the responses for each iteration of a loop', function() {
+    expect(summarize(`
+    function list(conv, items) {
+      for (const item of ['a', 'b']) {
+        conv.ask(\`Item \${item}\`);
+      }
+      items.forEach((item) => conv.ask(\`Item \${item}\`));
+    }
+    app.intent('welcome', (conv) => {
+      list(conv, []);
+    });
+    `)).to.deep.equal([createSummary({
+      simpleResponses: Infinity,
+      kinds: ['simple'],
+    })]);
+  });
+  it('classifies the item of a loop over an array literal', function() {
+    expect(summarize(`
+    function list(conv) {
+      ['x', 'y', 'z'].forEach((item) => conv.ask(item));
+    }
+    app.intent('welcome', (conv) => {
+      list(conv);
+    });
+    `)).to.deep.equal([createSummary({
+      simpleResponses: 3,
+      kinds: ['simple'],
+    })]);
+  });
+  it('may not respond in a loop of unknown iterations', function() {
+    expect(summarize(`
+    function list(conv, items) {
+      for (const item of items) {
+        conv.ask(item.name);
+      }
+    }
+    app.intent('welcome', (conv) => {
+      list(conv, []);
+    });
+    `)).to.deep.equal([createSummary({
+      simpleResponses: Infinity,
+      kinds: ['other'],
+    })]);
+  });
+  it('counts the rich cards and helpers of a helper', function() {
+    expect(summarize(`
+    function show(conv) {
+      conv.ask(new BasicCard({text: 'Hi'}));
+      conv.ask(new Table({rows: []}));
+      conv.ask(new Confirmation('Sure?'));
+    }
+    app.intent('welcome', (conv) => {
+      show(conv);
+    });
+    `)).to.deep.equal([createSummary({
+      richCards: 2,
+      helpers: 1,
+      kinds: ['rich', 'helper'],
+      alwaysResponds: true,
+      richBeforeSimple: true,
+    })]);
+  });
+  it('keeps track of the kinds added on every path', function() {
+    expect(summarize(`
+    function end(conv) {
+      conv.ask(new Suggestions('Yes'));
+      if (conv.screen) {
+        conv.ask('Bye!', new BasicCard({text: 'Bye'}));
+        conv.close('See you!');
+        return;
+      }
+      conv.close('Bye!');
+    }
+    app.intent('welcome', (conv) => {
+      end(conv);
+    });
+    `)).to.deep.equal([createSummary({
+      simpleResponses: 2,
+      richCards: 1,
+      kinds: ['suggestions', 'simple', 'rich', 'final'],
+      alwaysKinds: ['simple', 'suggestions', 'final'],
+      alwaysResponds: true,
+    })]);
+  });
+  it('includes the helpers called by the helper', function() {
+    expect(summarize(`
+    function ask(conv) {
+      conv.ask('How are you?');
+    }
+    function greet(conv) {
+      conv.ask('Hi!');
+      ask(conv);
+      greet(conv);
+    }
+    app.intent('welcome', (conv) => {
+      greet(conv);
+    });
+    `)).to.deep.equal([createSummary({
+      simpleResponses: 2,
+      kinds: ['simple'],
+      alwaysKinds: ['simple'],
+      alwaysResponds: true,
+    })]);
+  });
+  it('includes the helpers with any name of the parameter', function() {
+    expect(summarize(`
+    function greet(c) {
+      c.ask('Hi!');
+      c.ask('Hello!');
+    }
+    app.intent('welcome', (conv) => {
+      greet(conv);
+    });
+    `)).to.deep.equal([createSummary({
+      simpleResponses: 2,
+      kinds: ['simple'],
+      alwaysKinds: ['simple'],
+      alwaysResponds: true,
+    })]);
+  });
+  it('leaves out the helpers declared after the call', function() {
+    expect(summarize(`
+    app.intent('welcome', (conv) => {
+      greet(conv);
+    });
+    function greet(conv) {
+      conv.ask('Hi!');
+    }
+    `)).to.deep.equal([undefined]);
+  });
+  it('leaves out the helpers calling ones declared after them', function() {
+    expect(summarize(`
+    function ping(conv) {
+      conv.ask('Ping');
+      pong(conv);
+    }
+    function pong(conv) {
+      conv.ask('Pong');
+      ping(conv);
+    }
+    app.intent('welcome', (conv) => {
+      ping(conv);
+    });
+    `)).to.deep.equal([undefined]);
+  });
+  it('skips calls which are not passed the conversation object', function() {
+    expect(summarize(`
+    function greet(conv) {
+      conv.ask('Hi!');
+    }
+    function log(text) {
+      console.log(text);
+    }
+    app.intent('welcome', (conv) => {
+      greet('conv');
+      log(conv);
+      fetch(conv);
+    });
+    `)).to.deep.equal([undefined, EMPTY_SUMMARY, undefined]);
+  });
+});
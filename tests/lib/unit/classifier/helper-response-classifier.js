@@ -140,6 +140,22 @@ describe('SimpleResponseClassifier', function() {
       });
     });
 
+    it(`Check a configured helper class is classified as Yes`, function() {
+      const context = new MockContext(null);
+      context.settings = {
+        'actions-on-google': {helperClasses: ['MyHelper']},
+      };
+      const classifier = new HelperResponseClassifier(context);
+      const ast = espree.parse(`
+        conv.ask(new MyHelper({}));
+      `, DEFAULT_ESPREE_CONFIG);
+      const helper = ast.body[0].expression.arguments[0];
+      expect(classifier.classify(helper)).to.deep.equal({
+        certain: true,
+        result: true,
+      });
+    });
+
     it(`Check List is classified as Yes`, function() {
       const classifier = new HelperResponseClassifier(new MockContext(null));
       const ast = espree.parse(`
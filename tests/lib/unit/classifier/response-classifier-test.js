@@ -90,6 +90,19 @@ describe('Classifier', function() {
       callExpression = ast.body[0].expression;
       expect(classifier.doesReturnActionResponse(callExpression)).to.be.true;
     });
+    it('Pass configured conversation name and method', function() {
+      const context = new MockContext(null);
+      context.settings = {'actions-on-google': {
+        conversationNames: ['conversation'],
+        responseMethods: ['add'],
+      }};
+      const configured = new Classifier(context);
+      const ast = espree.parse('conversation.add("hello");',
+          DEFAULT_ESPREE_CONFIG);
+      const callExpression = ast.body[0].expression;
+      expect(configured.doesReturnActionResponse(callExpression)).to.be.true;
+      expect(classifier.doesReturnActionResponse(callExpression)).to.be.false;
+    });
     it('Pass invalid CallExpression', function() {
       const ast = espree.parse('foo(foobar());', DEFAULT_ESPREE_CONFIG);
       const callExpression = ast.body[0].expression;
@@ -100,6 +113,19 @@ describe('Classifier', function() {
       expect(classifier.doesReturnActionResponse(ast.body[0])).to.be.false;
     });
   });
+  describe('#doesReturnFinalResponse', function() {
+    const classifier = new Classifier(new MockContext(null));
+    it('Pass conv.close', function() {
+      const ast = espree.parse('conv.close("bye");', DEFAULT_ESPREE_CONFIG);
+      expect(classifier.doesReturnFinalResponse(ast.body[0].expression))
+          .to.be.true;
+    });
+    it('Pass conv.ask', function() {
+      const ast = espree.parse('conv.ask("hello");', DEFAULT_ESPREE_CONFIG);
+      expect(classifier.doesReturnFinalResponse(ast.body[0].expression))
+          .to.be.false;
+    });
+  });
   describe('#isNodeIntentHandler', function() {
     function createGlobalScope(ast) {
       const scopeManager = eslintScope.analyze(ast, DEFAULT_ESPREE_CONFIG);
@@ -191,5 +217,165 @@ describe('Classifier', function() {
       expect(callExpression.type).to.equal('CallExpression');
       expect(classifier.isNodeIntentHandler(callExpression)).to.be.false;
     });
+    it('App created from a required library namespace', function() {
+      const code = `
+      const aog = require('actions-on-google');
+      const app = aog.dialogflow({debug: true});
+      app.intent('foo', (conv) => {});`;
+      const ast = espree.parse(code, DEFAULT_ESPREE_CONFIG);
+      const classifier = new Classifier(
+          new MockContext(createGlobalScope(ast)));
+      const callExpression = ast.body[2].expression;
+      expect(classifier.isNodeIntentHandler(callExpression)).to.be.true;
+    });
+    it('App created from a renamed import', function() {
+      const code = `
+      import {actionssdk as sdk} from 'actions-on-google';
+      const app = sdk();
+      app.intent('foo', (conv) => {});`;
+      const ast = espree.parse(code, DEFAULT_ESPREE_CONFIG);
+      const classifier = new Classifier(
+          new MockContext(createGlobalScope(ast)));
+      const callExpression = ast.body[2].expression;
+      expect(classifier.isNodeIntentHandler(callExpression)).to.be.true;
+    });
+    it('App created from a configured factory', function() {
+      const code = `
+      const utils = require('./utils');
+      const app = utils.createAssistantApp();
+      app.intent('foo', (conv) => {});`;
+      const ast = espree.parse(code, DEFAULT_ESPREE_CONFIG);
+      const context = new MockContext(createGlobalScope(ast));
+      context.options = [{appFactories: ['createAssistantApp']}];
+      const callExpression = ast.body[2].expression;
+      expect(new Classifier(context).isNodeIntentHandler(callExpression))
+          .to.be.true;
+      expect(new Classifier(new MockContext(createGlobalScope(ast)))
+          .isNodeIntentHandler(callExpression)).to.be.false;
+    });
+    it('App created from another library', function() {
+      const code = `
+      const other = require('other-library');
+      const app = other.dialogflow();
+      app.intent('foo', (conv) => {});`;
+      const ast = espree.parse(code, DEFAULT_ESPREE_CONFIG);
+      const classifier = new Classifier(
+          new MockContext(createGlobalScope(ast)));
+      const callExpression = ast.body[2].expression;
+      expect(classifier.isNodeIntentHandler(callExpression)).to.be.false;
+    });
+    it('Intent handler refers to a function declaration', function() {
+      const code = `
+      const app = actionssdk();
+      app.intent('intent1', handler);
+      function handler(conv) {
+        conv.ask('hello');
+      }`;
+      const ast = espree.parse(code, DEFAULT_ESPREE_CONFIG);
+      const classifier = new Classifier(
+          new MockContext(createGlobalScope(ast)));
+      const callExpression = ast.body[1].expression;
+      expect(classifier.isNodeIntentHandler(callExpression)).to.be.true;
+    });
+    it('Intent handler refers to a lambda stored in a variable', function() {
+      const code = `
+      const app = dialogflow();
+      const handler = (conv) => {
+        conv.ask('hello');
+      };
+      app.intent('intent1', handler);`;
+      const ast = espree.parse(code, DEFAULT_ESPREE_CONFIG);
+      const classifier = new Classifier(
+          new MockContext(createGlobalScope(ast)));
+      const callExpression = ast.body[2].expression;
+      expect(classifier.isNodeIntentHandler(callExpression)).to.be.true;
+    });
+    it('Intent handler refers to a variable that is not a function',
+        function() {
+          const code = `
+      const app = dialogflow();
+      const handler = 'handler';
+      app.intent('intent1', handler);`;
+          const ast = espree.parse(code, DEFAULT_ESPREE_CONFIG);
+          const classifier = new Classifier(
+              new MockContext(createGlobalScope(ast)));
+          const callExpression = ast.body[2].expression;
+          expect(classifier.isNodeIntentHandler(callExpression)).to.be.false;
+        });
+  });
+  describe('#isFunctionIntentHandler', function() {
+    function analyze(ast) {
+      const scopeManager = eslintScope.analyze(ast, DEFAULT_ESPREE_CONFIG);
+      const programScope = scopeManager.acquire(ast,
+          DEFAULT_ESPREE_CONFIG);
+      assert(programScope);
+      // eslint populates parents during traversal, so do it here manually.
+      for (const statement of ast.body) {
+        statement.parent = ast;
+        if (statement.type === 'ExpressionStatement') {
+          statement.expression.parent = statement;
+          for (const arg of statement.expression.arguments) {
+            arg.parent = statement.expression;
+          }
+        } else if (statement.type === 'VariableDeclaration') {
+          for (const declarator of statement.declarations) {
+            declarator.parent = statement;
+            declarator.init.parent = declarator;
+          }
+        }
+      }
+      return programScope;
+    }
+    it('Function declaration registered after its definition', function() {
+      const code = `
+      const app = dialogflow();
+      function handler(conv) {
+        conv.ask('hello');
+      }
+      app.intent('intent1', handler);`;
+      const ast = espree.parse(code, DEFAULT_ESPREE_CONFIG);
+      const classifier = new Classifier(new MockContext(analyze(ast)));
+      expect(classifier.isFunctionIntentHandler(ast.body[1])).to.be.true;
+    });
+    it('Lambda registered before its definition', function() {
+      const code = `
+      const app = dialogflow();
+      app.intent('intent1', handler);
+      const handler = (conv) => {
+        conv.ask('hello');
+      };`;
+      const ast = espree.parse(code, DEFAULT_ESPREE_CONFIG);
+      const classifier = new Classifier(new MockContext(analyze(ast)));
+      const lambda = ast.body[2].declarations[0].init;
+      expect(classifier.isFunctionIntentHandler(lambda)).to.be.true;
+    });
+    it('Lambda declared inline', function() {
+      const code = `
+      const app = dialogflow();
+      app.intent('intent1', (conv) => {
+        conv.ask('hello');
+      });`;
+      const ast = espree.parse(code, DEFAULT_ESPREE_CONFIG);
+      const classifier = new Classifier(new MockContext(analyze(ast)));
+      const lambda = ast.body[1].expression.arguments[1];
+      expect(classifier.isFunctionIntentHandler(lambda)).to.be.true;
+    });
+    it('Function that is not registered as a handler', function() {
+      const code = `
+      const app = dialogflow();
+      function helper(conv) {
+        conv.ask('hello');
+      }
+      helper(conv);`;
+      const ast = espree.parse(code, DEFAULT_ESPREE_CONFIG);
+      const classifier = new Classifier(new MockContext(analyze(ast)));
+      expect(classifier.isFunctionIntentHandler(ast.body[1])).to.be.false;
+    });
+    it('Not a function', function() {
+      const code = `const app = dialogflow();`;
+      const ast = espree.parse(code, DEFAULT_ESPREE_CONFIG);
+      const classifier = new Classifier(new MockContext(analyze(ast)));
+      expect(classifier.isFunctionIntentHandler(ast.body[0])).to.be.false;
+    });
   });
 });
@@ -0,0 +1,106 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Unit tests for
+ * .../js/lib/classifier/rich-response-classifier.js
+ */
+
+/* eslint require-jsdoc: 0 */
+'use strict';
+
+const {RichResponseClassifier} =
+    require('./../../../../lib/classifier/rich-response-classifier');
+const {describe, it} = require('mocha');
+const {expect} = require('chai');
+const espree = require('espree');
+const eslintScope = require('eslint-scope');
+const assert = console.assert; // eslint-disable-line no-console
+// Okay to use vanilla JS object because that's how Eslint defines it.
+// https://github.com/eslint/eslint/blob/219aecb78bc646d44bad27dc775a9b3d3dc58232/lib/linter/linter.js#L635
+class MockContext {
+  constructor(scope) {
+    this._scope = scope;
+  }
+  getAncestors() { }
+  getScope() {
+    return this._scope;
+  }
+}
+
+const DEFAULT_ESPREE_CONFIG = {
+  ecmaVersion: 8,
+  // need to specify module; otherwise, parse doesn't resolve variables
+  sourceType: 'module',
+  // create a top-level tokens array containing all tokens
+  tokens: true,
+  comment: true,
+  loc: true,
+  range: true,
+};
+
+describe('RichResponseClassifier', function() {
+  describe('#classify', function() {
+    function createScope(ast) {
+      const scopeManager = eslintScope.analyze(ast, DEFAULT_ESPREE_CONFIG);
+      const scope = scopeManager.acquire(ast,
+          DEFAULT_ESPREE_CONFIG);
+      assert(scope);
+      return scope;
+    }
+
+    function classify(code, classes) {
+      const ast = espree.parse(code, DEFAULT_ESPREE_CONFIG);
+      const classifier = new RichResponseClassifier(
+          new MockContext(createScope(ast)), classes);
+      return classifier.classify(
+          ast.body[ast.body.length - 1].expression.arguments[0]);
+    }
+
+    it('Check BasicCard classified as Yes', function() {
+      expect(classify(`conv.ask(new BasicCard({text: 'foo'}));`))
+          .to.deep.equal({certain: true, result: true});
+    });
+    it('Check Image in a variable classified as Yes', function() {
+      expect(classify(`
+        const image = new Image({url: 'foo', alt: 'bar'});
+        conv.ask(image);
+      `)).to.deep.equal({certain: true, result: true});
+    });
+    it('Check simple response classified as No', function() {
+      expect(classify(`conv.ask('Hello World');`))
+          .to.deep.equal({certain: true, result: false});
+      expect(classify(`conv.ask(new SimpleResponse({text: 'foo'}));`))
+          .to.deep.equal({certain: true, result: false});
+    });
+    it('Check function call classified as No and not certain', function() {
+      expect(classify(`conv.ask(foo());`))
+          .to.deep.equal({certain: false, result: false});
+    });
+    it('Check conditional expression classified by both arms', function() {
+      expect(classify(`conv.ask(a ? new BasicCard({}) : new Table({}));`))
+          .to.deep.equal({certain: true, result: true});
+      expect(classify(`conv.ask(a ? new BasicCard({}) : 'foo');`))
+          .to.deep.equal({certain: false, result: false});
+    });
+    it('Check classes passed to the constructor', function() {
+      expect(classify(`conv.ask(new List({}));`, ['List']))
+          .to.deep.equal({certain: true, result: true});
+      expect(classify(`conv.ask(new BasicCard({}));`, ['List']))
+          .to.deep.equal({certain: true, result: false});
+    });
+  });
+});
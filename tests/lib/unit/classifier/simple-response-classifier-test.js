@@ -115,6 +115,45 @@ describe('SimpleResponseClassifier', function() {
       });
     });
 
+    it('Check conditional and logical expressions classified by both arms',
+        function() {
+          const classifier =
+              new SimpleResponseClassifier(new MockContext(null));
+          const ast = espree.parse(`
+            conv.ask(isNew ? 'Welcome!' : 'Hi!');
+            conv.ask(isNew ? 'Welcome!' : new BasicCard({}));
+            conv.ask(name || 'stranger');
+          `, DEFAULT_ESPREE_CONFIG);
+          const [both, mixed, logical] = ast.body.map((statement) =>
+            statement.expression.arguments[0]);
+          expect(classifier.classify(both)).to.deep.equal({
+            certain: true,
+            result: true,
+          });
+          expect(classifier.classify(mixed)).to.deep.equal({
+            certain: false,
+            result: false,
+          });
+          expect(classifier.classify(logical)).to.deep.equal({
+            certain: false,
+            result: false,
+          });
+        });
+
+    it('Check a configured type classified as Yes', function() {
+      const context = new MockContext(null);
+      context.options = [{simpleResponseClasses: ['MyType']}];
+      const classifier = new SimpleResponseClassifier(context);
+      const ast = espree.parse(`
+        conv.ask(new MyType({text: 'foo', displayText: 'bar'}));
+      `, DEFAULT_ESPREE_CONFIG);
+      const simpleResponseNode = ast.body[0].expression.arguments[0];
+      expect(classifier.classify(simpleResponseNode)).to.deep.equal({
+        certain: true,
+        result: true,
+      });
+    });
+
     it(`Check function call to be classified as No
       and not certain`, function() {
       const classifier = new SimpleResponseClassifier(new MockContext(null));
@@ -198,4 +237,65 @@ describe('SimpleResponseClassifier', function() {
       });
     });
   });
+  describe('#findSpeech', function() {
+    function findSpeech(code) {
+      const ast = espree.parse(code, DEFAULT_ESPREE_CONFIG);
+      const scopeManager = eslintScope.analyze(ast, DEFAULT_ESPREE_CONFIG);
+      const classifier = new SimpleResponseClassifier(
+          new MockContext(scopeManager.acquire(ast, true)));
+      const speech = classifier.findSpeech(
+          ast.body[ast.body.length - 1].expression.arguments[0]);
+      return speech && speech.value;
+    }
+
+    it('Check string is the speech', function() {
+      expect(findSpeech(`conv.ask('foo');`)).to.equal('foo');
+    });
+    it('Check speech of SimpleResponse', function() {
+      expect(findSpeech(`conv.ask(new SimpleResponse('foo'));`))
+          .to.equal('foo');
+      expect(findSpeech(`
+        conv.ask(new SimpleResponse({speech: 'foo', text: 'bar'}));
+      `)).to.equal('foo');
+    });
+    it('Check speech in a variable', function() {
+      expect(findSpeech(`
+        const options = {speech: 'foo'};
+        conv.ask(new SimpleResponse(options));
+      `)).to.equal('foo');
+    });
+    it('Check unknown speech', function() {
+      expect(findSpeech(`conv.ask(new SimpleResponse(foo()));`))
+          .to.be.undefined;
+      expect(findSpeech(`conv.ask(new BasicCard({speech: 'foo'}));`))
+          .to.be.undefined;
+      expect(findSpeech(`conv.ask(foo());`)).to.be.undefined;
+    });
+  });
+  describe('#findDisplayText', function() {
+    function findDisplayText(code) {
+      const ast = espree.parse(code, DEFAULT_ESPREE_CONFIG);
+      const scopeManager = eslintScope.analyze(ast, DEFAULT_ESPREE_CONFIG);
+      const classifier = new SimpleResponseClassifier(
+          new MockContext(scopeManager.acquire(ast, true)));
+      const text = classifier.findDisplayText(
+          ast.body[ast.body.length - 1].expression.arguments[0]);
+      return text && text.value;
+    }
+
+    it('Check string is the text', function() {
+      expect(findDisplayText(`conv.ask('foo');`)).to.equal('foo');
+      expect(findDisplayText(`conv.ask(new SimpleResponse('foo'));`))
+          .to.equal('foo');
+    });
+    it('Check text of SimpleResponse', function() {
+      expect(findDisplayText(`
+        conv.ask(new SimpleResponse({speech: 'foo', text: 'bar'}));
+      `)).to.equal('bar');
+    });
+    it('Check text defaults to the speech', function() {
+      expect(findDisplayText(`conv.ask(new SimpleResponse({speech: 'foo'}));`))
+          .to.equal('foo');
+    });
+  });
 });
@@ -0,0 +1,155 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Unit tests for
+ * .../js/lib/classifier/suggestions-classifier.js
+ */
+
+/* eslint require-jsdoc: 0 */
+'use strict';
+
+const {SuggestionsClassifier} =
+    require('./../../../../lib/classifier/suggestions-classifier');
+const {describe, it} = require('mocha');
+const {expect} = require('chai');
+const espree = require('espree');
+const eslintScope = require('eslint-scope');
+const assert = console.assert; // eslint-disable-line no-console
+// Okay to use vanilla JS object because that's how Eslint defines it.
+// https://github.com/eslint/eslint/blob/219aecb78bc646d44bad27dc775a9b3d3dc58232/lib/linter/linter.js#L635
+class MockContext {
+  constructor(scope) {
+    this._scope = scope;
+  }
+  getAncestors() { }
+  getScope() {
+    return this._scope;
+  }
+}
+
+const DEFAULT_ESPREE_CONFIG = {
+  ecmaVersion: 8,
+  // need to specify module; otherwise, parse doesn't resolve variables
+  sourceType: 'module',
+  // create a top-level tokens array containing all tokens
+  tokens: true,
+  comment: true,
+  loc: true,
+  range: true,
+};
+
+describe('SuggestionsClassifier', function() {
+  function createScope(ast) {
+    const scopeManager = eslintScope.analyze(ast, DEFAULT_ESPREE_CONFIG);
+    const scope = scopeManager.acquire(ast, DEFAULT_ESPREE_CONFIG);
+    assert(scope);
+    return scope;
+  }
+
+  function findChips(code) {
+    const ast = espree.parse(code, DEFAULT_ESPREE_CONFIG);
+    const classifier = new SuggestionsClassifier(
+        new MockContext(createScope(ast)));
+    const node = ast.body[ast.body.length - 1].expression.arguments[0];
+    const {certain, result} = classifier.findChips(node);
+    return {certain, result: result.map((chip) => chip.value)};
+  }
+
+  describe('#findChips', function() {
+    it('Variadic chips', function() {
+      expect(findChips(`conv.ask(new Suggestions('a', 'b'));`))
+          .to.deep.equal({certain: true, result: ['a', 'b']});
+    });
+    it('Array of chips', function() {
+      expect(findChips(`conv.ask(new Suggestions(['a', 'b'], 'c'));`))
+          .to.deep.equal({certain: true, result: ['a', 'b', 'c']});
+    });
+    it('Chips added with add()', function() {
+      expect(findChips(`
+        conv.ask(new Suggestions('a').add('b').add(['c', 'd']));
+      `)).to.deep.equal({certain: true, result: ['a', 'b', 'c', 'd']});
+    });
+    it('Chips defined in a variable', function() {
+      expect(findChips(`
+        const chips = ['a', 'b'];
+        const suggestions = new Suggestions(chips);
+        conv.ask(suggestions);
+      `)).to.deep.equal({certain: true, result: ['a', 'b']});
+    });
+    it('Chips returned by a function call', function() {
+      expect(findChips(`conv.ask(new Suggestions(getChips()));`))
+          .to.deep.equal({certain: false, result: []});
+    });
+    it('Chips spread in an array', function() {
+      expect(findChips(`conv.ask(new Suggestions(['a', ...chips]));`))
+          .to.deep.equal({certain: false, result: ['a']});
+    });
+    it('Chips of either arm of a conditional expression', function() {
+      expect(findChips(`
+        conv.ask(a ? new Suggestions('a', 'b') : new Suggestions('c', 'd'));
+      `)).to.deep.equal({certain: true, result: ['a', 'b']});
+      expect(findChips(`
+        conv.ask(a ? new Suggestions('a', 'b') : new Suggestions('c'));
+      `)).to.deep.equal({certain: false, result: ['c']});
+    });
+    it('Not suggestion chips', function() {
+      expect(findChips(`conv.ask('hello');`))
+          .to.deep.equal({certain: true, result: []});
+      expect(findChips(`conv.ask(new BasicCard({}));`))
+          .to.deep.equal({certain: true, result: []});
+    });
+  });
+  describe('#classify', function() {
+    function classify(code) {
+      const ast = espree.parse(code, DEFAULT_ESPREE_CONFIG);
+      const classifier = new SuggestionsClassifier(
+          new MockContext(createScope(ast)));
+      return classifier.classify(
+          ast.body[ast.body.length - 1].expression.arguments[0]);
+    }
+
+    it('Suggestions classified as Yes', function() {
+      expect(classify(`conv.ask(new Suggestions('a'));`))
+          .to.deep.equal({certain: true, result: true});
+      expect(classify(`conv.ask(new Suggestions('a').add('b'));`))
+          .to.deep.equal({certain: true, result: true});
+    });
+    it('LinkOutSuggestion classified as Yes', function() {
+      expect(classify(`
+        const link = new LinkOutSuggestion({name: 'a', url: 'b'});
+        conv.ask(link);
+      `)).to.deep.equal({certain: true, result: true});
+    });
+    it('Other responses classified as No', function() {
+      expect(classify(`conv.ask('hello');`))
+          .to.deep.equal({certain: true, result: false});
+      expect(classify(`conv.ask(new BasicCard({}));`))
+          .to.deep.equal({certain: true, result: false});
+    });
+    it('Conditional expression classified by both arms', function() {
+      expect(classify(`
+        conv.ask(a ? new Suggestions('a') : new LinkOutSuggestion({}));
+      `)).to.deep.equal({certain: true, result: true});
+      expect(classify(`conv.ask(a ? new Suggestions('a') : 'foo');`))
+          .to.deep.equal({certain: false, result: false});
+    });
+    it('Unknown values classified as uncertain No', function() {
+      expect(classify(`conv.ask(getSuggestions());`))
+          .to.deep.equal({certain: false, result: false});
+    });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Unit tests for the shareable configs in .../js/lib/index.js
+ */
+
+'use strict';
+
+const plugin = require('./../../../../lib/index');
+const {describe, it} = require('mocha');
+const {expect} = require('chai');
+
+const ruleNames = Object.keys(plugin.rules);
+
+describe('Plugin', function() {
+  describe('#configs', function() {
+    it('Exports recommended, all and strict configs', function() {
+      expect(plugin.configs).to.have.all.keys('recommended', 'all', 'strict');
+      for (const name of Object.keys(plugin.configs)) {
+        expect(plugin.configs[name].plugins).to.deep.equal(
+            ['actions-on-google']);
+      }
+    });
+    it('Recommended config is driven by rule metadata', function() {
+      const recommended = ruleNames.filter((name) =>
+        plugin.rules[name].meta.docs.recommended);
+      expect(Object.keys(plugin.configs.recommended.rules)).to.deep.equal(
+          recommended.map((name) => `actions-on-google/${name}`));
+    });
+    it('Recommended config contains the core rules', function() {
+      expect(plugin.configs.recommended.rules).to.include({
+        'actions-on-google/always-return-promise': 'error',
+        'actions-on-google/at-most-two-simple-responses': 'error',
+        'actions-on-google/first-item-simple-or-helper-response': 'warn',
+        'actions-on-google/must-return-response': 'error',
+      });
+    });
+    it('Recommended config leaves out the advisory rules', function() {
+      expect(plugin.configs.recommended.rules).to.not.have.any.keys(
+          'actions-on-google/max-suggestion-chip-length',
+          'actions-on-google/require-screen-capability-check');
+    });
+    it('All config warns about suggestions and errors on problems',
+        function() {
+          expect(plugin.configs.all.rules).to.include({
+            'actions-on-google/at-most-two-simple-responses': 'error',
+            'actions-on-google/max-suggestion-chip-length': 'warn',
+            'actions-on-google/simple-response-before-rich-response': 'warn',
+          });
+        });
+    it('All config enables every rule', function() {
+      expect(Object.keys(plugin.configs.all.rules)).to.have.lengthOf(
+          ruleNames.length);
+    });
+    it('Strict config reports every rule as an error', function() {
+      const severities = Object.keys(plugin.configs.strict.rules)
+          .map((name) => plugin.configs.strict.rules[name]);
+      expect(severities).to.have.lengthOf(ruleNames.length);
+      expect(severities.every((s) => s === 'error')).to.be.true;
+    });
+  });
+});
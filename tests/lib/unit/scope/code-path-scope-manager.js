@@ -0,0 +1,474 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Unit tests for the scope managers driven by the code path
+ * analysis, .../js/lib/scope/code-path-*-scope-manager.js
+ */
+
+/* eslint require-jsdoc: 0 */
+'use strict';
+
+const {Linter} = require('eslint');
+
+const {CodePathCountScopeManager} =
+    require('../../../../lib/scope/code-path-count-scope-manager');
+const {CodePathPresenceScopeManager} =
+    require('../../../../lib/scope/code-path-presence-scope-manager');
+const {CodePathPossiblePresenceScopeManager} =
+    require('../../../../lib/scope/code-path-possible-presence-scope-manager');
+const {CodePathPendingScopeManager} =
+    require('../../../../lib/scope/code-path-pending-scope-manager');
+const {createCodePathScopeListeners} =
+    require('../../../../lib/scope/scope-listeners');
+const {Classifier} =
+    require('../../../../lib/classifier/response-classifier');
+const {describe, it} = require('mocha');
+const {expect} = require('chai');
+
+// Code path events are emitted by ESLint itself, so the managers are fed by
+// a rule which calls "mark()" to set the metadata of the current scope, and
+// "check()" to record it.
+function traverse(code, createManager, mark) {
+  const linter = new Linter();
+  const checks = [];
+  const reports = [];
+  linter.defineRule('test', {
+    create(context) {
+      const manager = createManager(context, (node) =>
+        reports.push(manager.currentScope().metadata));
+      return Object.assign(
+          createCodePathScopeListeners(manager, new Classifier(context)), {
+            'CallExpression[callee.name="mark"]': function(node) {
+              mark(manager, node);
+            },
+            'CallExpression[callee.name="check"]': function() {
+              checks.push(manager.currentScope().metadata);
+            },
+          });
+    },
+  });
+  const messages = linter.verify(code, {
+    parserOptions: {ecmaVersion: 8},
+    rules: {test: 'error'},
+  });
+  expect(messages).to.deep.equal([]);
+  return {checks, reports};
+}
+
+function count(code) {
+  return traverse(code,
+      (context, reporterFn) =>
+        new CodePathCountScopeManager(context, reporterFn),
+      (manager) => Object.assign(manager.currentScope(),
+          {metadata: manager.currentScope().metadata + 1}));
+}
+
+function presence(code, ManagerClass = CodePathPresenceScopeManager) {
+  return traverse(code,
+      (context, reporterFn) => new ManagerClass(context, reporterFn, false),
+      (manager) => Object.assign(manager.currentScope(), {metadata: true}));
+}
+
+describe('CodePathCountScopeManager', function() {
+  it('counts on a straight path', function() {
+    const {checks} = count(`
+    mark();
+    mark();
+    check();
+    `);
+    expect(checks).to.deep.equal([2]);
+  });
+  it('takes the highest count of if-else branches', function() {
+    const {checks} = count(`
+    mark();
+    if (a) {
+      mark();
+      mark();
+    } else if (b) {
+      mark();
+    }
+    check();
+    `);
+    expect(checks).to.deep.equal([3]);
+  });
+  it('leaves out branches which return', function() {
+    const {checks} = count(`
+    function f() {
+      if (a) {
+        mark();
+        mark();
+        return;
+      }
+      mark();
+      check();
+    }
+    `);
+    expect(checks).to.deep.equal([1]);
+  });
+  it('follows labeled breaks', function() {
+    const {checks} = count(`
+    done: {
+      if (a) {
+        mark();
+        mark();
+        break done;
+      }
+      mark();
+      check();
+    }
+    check();
+    `);
+    expect(checks).to.deep.equal([1, 2]);
+  });
+  it('counts the finally block on every path', function() {
+    const {checks} = count(`
+    try {
+      mark();
+    } catch (e) {
+      check();
+    } finally {
+      mark();
+      check();
+    }
+    `);
+    expect(checks).to.deep.equal([0, 2]);
+  });
+  it('takes the highest count of switch cases, with fallthrough', function() {
+    const {checks} = count(`
+    switch (a) {
+      case 1:
+        mark();
+      case 2:
+        mark();
+        break;
+      case 3:
+        mark();
+        mark();
+        mark();
+        throw e;
+      default:
+        mark();
+    }
+    check();
+    `);
+    expect(checks).to.deep.equal([2]);
+  });
+  it('takes the highest count of conditional and logical expressions',
+      function() {
+        const {checks} = count(`
+        mark();
+        a ? mark() : (mark(), mark());
+        check();
+        b && mark();
+        check();
+        `);
+        expect(checks).to.deep.equal([3, 4]);
+      });
+  it('counts the body of a loop on the path following it', function() {
+    const {checks} = count(`
+    mark();
+    while (a) {
+      mark();
+      check();
+    }
+    check();
+    for (const b of c) {
+      check();
+      mark();
+    }
+    check();
+    `);
+    expect(checks).to.deep.equal([2, 2, 2, 3]);
+  });
+  it('adds the items for each iteration of the loops', function() {
+    const {checks} = traverse(`
+    const app = dialogflow();
+    app.intent('a', (conv) => {
+      for (const a of ['a', 'b']) {
+        mark();
+      }
+      check();
+      ['a', 'b', 'c'].forEach(() => mark());
+      check();
+      items.forEach(() => mark());
+      check();
+    });
+    `, (context, reporterFn) =>
+      new CodePathCountScopeManager(context, reporterFn),
+    (manager, node) => manager.add(node));
+    expect(checks).to.deep.equal([2, 5, Infinity]);
+  });
+  it('callbacks inside of an intent handler inherit the count', function() {
+    const {checks} = count(`
+    const app = dialogflow();
+    app.intent('a', (conv) => {
+      mark();
+      fetch().then(() => {
+        mark();
+        check();
+      });
+      check();
+    });
+    `);
+    expect(checks).to.deep.equal([2, 1]);
+  });
+  it('declared functions start from zero', function() {
+    const {checks} = count(`
+    const app = dialogflow();
+    app.intent('a', (conv) => {
+      mark();
+      function f() {
+        check();
+      }
+    });
+    `);
+    expect(checks).to.deep.equal([0]);
+  });
+});
+
+describe('CodePathPresenceScopeManager', function() {
+  it('is present if present on every branch', function() {
+    const {checks} = presence(`
+    if (a) {
+      mark();
+    } else {
+      mark();
+    }
+    check();
+    `);
+    expect(checks).to.deep.equal([true]);
+  });
+  it('is not present if missing on some branch', function() {
+    const {checks} = presence(`
+    if (a) {
+      mark();
+    }
+    check();
+    `);
+    expect(checks).to.deep.equal([false]);
+  });
+  it('is present after a switch if present in every case', function() {
+    const {checks} = presence(`
+    switch (a) {
+      case 1:
+        foo();
+      case 2:
+        mark();
+        break;
+      default:
+        mark();
+    }
+    check();
+    switch (a) {
+      case 1:
+        mark();
+        break;
+    }
+    check();
+    `);
+    expect(checks).to.deep.equal([true, true]);
+  });
+  it('is present after a conditional expression if present in both arms',
+      function() {
+        const {checks} = presence(`
+        a ? mark() : foo();
+        check();
+        a ? mark() : mark();
+        check();
+        `);
+        expect(checks).to.deep.equal([false, true]);
+      });
+  it('is not present if only in the right operand of a logical expression',
+      function() {
+        const {checks} = presence(`
+        a || mark();
+        check();
+        `);
+        expect(checks).to.deep.equal([false]);
+      });
+  it('is not present after a switch without default case', function() {
+    const {checks} = presence(`
+    switch (a) {
+      case 1:
+        mark();
+        break;
+      case 2:
+        mark();
+    }
+    check();
+    `);
+    expect(checks).to.deep.equal([false]);
+  });
+  it('is not present in a catch clause of a try block that has it',
+      function() {
+        const {checks} = presence(`
+        try {
+          mark();
+        } catch (e) {
+          check();
+        }
+        check();
+        `);
+        expect(checks).to.deep.equal([false, false]);
+      });
+  it('reports the intent handler with the metadata of returning paths',
+      function() {
+        const {reports} = presence(`
+        const app = dialogflow();
+        app.intent('a', (conv) => {
+          if (a) {
+            throw new Error('a');
+          }
+          mark();
+        });
+        app.intent('b', (conv) => {
+          if (a) {
+            return;
+          }
+          mark();
+        });
+        `);
+        expect(reports).to.deep.equal([true, false]);
+      });
+  it('defaults to whether the code path is outside of intent handler',
+      function() {
+        const checks = [];
+        const linter = new Linter();
+        linter.defineRule('test', {
+          create(context) {
+            const manager =
+                new CodePathPresenceScopeManager(context, () => {});
+            return Object.assign(createCodePathScopeListeners(manager,
+                new Classifier(context)), {
+              'CallExpression[callee.name="check"]': function() {
+                checks.push(manager.currentScope().metadata);
+                checks.push(
+                    manager.isScopeInsideIntent(manager.currentScope()));
+              },
+            });
+          },
+        });
+        linter.verify(`
+        check();
+        const app = dialogflow();
+        app.intent('a', (conv) => {
+          check();
+        });
+        `, {parserOptions: {ecmaVersion: 8}, rules: {test: 'error'}});
+        expect(checks).to.deep.equal([true, false, false, true]);
+      });
+});
+
+describe('CodePathPossiblePresenceScopeManager', function() {
+  it('is present if present on some branch', function() {
+    const {checks} = presence(`
+    if (a) {
+      mark();
+    }
+    check();
+    `, CodePathPossiblePresenceScopeManager);
+    expect(checks).to.deep.equal([true]);
+  });
+  it('leaves out branches which return', function() {
+    const {checks} = presence(`
+    function f() {
+      try {
+        mark();
+        return;
+      } catch (e) {
+        check();
+      }
+      check();
+    }
+    `, CodePathPossiblePresenceScopeManager);
+    expect(checks).to.deep.equal([false, false]);
+  });
+  it('is present after a loop if present in its body', function() {
+    const {checks} = presence(`
+    for (let i = 0; i < a; i++) {
+      check();
+      if (b) {
+        mark();
+      }
+    }
+    check();
+    `, CodePathPossiblePresenceScopeManager);
+    expect(checks).to.deep.equal([false, true]);
+  });
+  it('catch clause may follow the try block', function() {
+    const {checks} = presence(`
+    try {
+      mark();
+    } catch (e) {
+      check();
+    }
+    `, CodePathPossiblePresenceScopeManager);
+    expect(checks).to.deep.equal([true]);
+  });
+});
+
+describe('CodePathPendingScopeManager', function() {
+  function pending(code) {
+    return traverse(code,
+        (context, reporterFn) =>
+          new CodePathPendingScopeManager(context, reporterFn),
+        (manager) => manager.clearPending()).reports;
+  }
+  it('keeps the nodes pending on some path', function() {
+    const linter = new Linter();
+    const reports = [];
+    linter.defineRule('test', {
+      create(context) {
+        const manager = new CodePathPendingScopeManager(context, () =>
+          reports.push(manager.currentScope().metadata.map((node) =>
+            node.arguments[0].value)));
+        return Object.assign(createCodePathScopeListeners(manager,
+            new Classifier(context)), {
+          'CallExpression[callee.name="wait"]': function(node) {
+            manager.addPending(node);
+          },
+          'CallExpression[callee.name="mark"]': function() {
+            manager.clearPending();
+          },
+        });
+      },
+    });
+    linter.verify(`
+    const app = dialogflow();
+    app.intent('a', (conv) => {
+      wait('a');
+      if (a) {
+        mark();
+      }
+      wait('b');
+      mark();
+      fetch().then(() => {
+        wait('c');
+      });
+    });
+    `, {parserOptions: {ecmaVersion: 8}, rules: {test: 'error'}});
+    expect(reports).to.deep.equal([['c']]);
+  });
+  it('starts with no pending nodes', function() {
+    expect(pending(`
+    const app = dialogflow();
+    app.intent('a', (conv) => {
+      mark();
+    });
+    `)).to.deep.equal([[]]);
+  });
+});
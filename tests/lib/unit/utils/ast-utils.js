@@ -20,11 +20,23 @@
  * @fileoverview Unit tests for the .../lib/utils/ast-utils.js
  */
 const {findNodeDef,
-  findVariableNodeValue} = require('../../../../lib/utils/ast-utils');
+  findVariableNodeValue,
+  findVariableByDef,
+  getFunctionNameNode,
+  findCalledFunction,
+  findNodesOfType,
+  findStaticStringValue,
+  findValueNode,
+  findObjectExpression,
+  findProperty,
+  hasStaticProperties,
+  alwaysExits,
+  getArms} = require('../../../../lib/utils/ast-utils');
 const {describe, it, xit} = require('mocha');
 const {expect} = require('chai');
 const espree = require('espree');
 const eslintScope = require('eslint-scope');
+const last = require('lodash.last');
 
 const DEFAULT_CONFIG = {
   ecmaVersion: 8,
@@ -137,3 +149,246 @@ describe('findVariableNodeValue', function() {
 });
 
 
+describe('findVariableByDef', function() {
+  it('Function defined in the global scope', function() {
+    const code = `
+      function handler(conv) {
+        conv.ask('hello');
+      }
+      app.intent('intent1', handler);
+    `;
+    const ast = espree.parse(code, DEFAULT_CONFIG);
+    const scopeManager = eslintScope.analyze(ast, DEFAULT_CONFIG);
+    const handlerScope = scopeManager.acquire(ast.body[0], DEFAULT_CONFIG);
+    const variable = findVariableByDef(handlerScope, ast.body[0].id);
+    expect(variable).to.have.property('name', 'handler');
+    expect(variable.references).to.have.lengthOf(1);
+  });
+  it('Shadowed variable is not confused with the outer one', function() {
+    const code = `
+      const handler = 1;
+      function f() {
+        const handler = 2;
+      }
+    `;
+    const ast = espree.parse(code, DEFAULT_CONFIG);
+    const scopeManager = eslintScope.analyze(ast, DEFAULT_CONFIG);
+    const funcScope = scopeManager.acquire(ast.body[1], DEFAULT_CONFIG);
+    const outerId = ast.body[0].declarations[0].id;
+    expect(findVariableByDef(funcScope, outerId).defs[0].node.init)
+        .to.have.property('value', 1);
+  });
+});
+
+describe('getFunctionNameNode', function() {
+  it('Function declaration', function() {
+    const ast = espree.parse('function f() {}', DEFAULT_CONFIG);
+    expect(getFunctionNameNode(ast.body[0])).to.equal(ast.body[0].id);
+  });
+  it('Lambda stored in a variable', function() {
+    const ast = espree.parse('const f = () => {};', DEFAULT_CONFIG);
+    const declarator = ast.body[0].declarations[0];
+    // eslint populates parents during traversal, so do it here manually.
+    declarator.init.parent = declarator;
+    expect(getFunctionNameNode(declarator.init)).to.equal(declarator.id);
+  });
+  it('Anonymous lambda', function() {
+    const ast = espree.parse('foo(() => {});', DEFAULT_CONFIG);
+    const lambda = ast.body[0].expression.arguments[0];
+    lambda.parent = ast.body[0].expression;
+    expect(getFunctionNameNode(lambda)).to.be.undefined;
+  });
+});
+
+describe('findCalledFunction', function() {
+  const code = `
+    function greet(conv) {}
+    const ask = (conv) => {};
+    const text = 'Hi';
+    greet(conv);
+    ask(conv);
+    text(conv);
+    conv.ask('Hi');
+  `;
+  const ast = espree.parse(code, DEFAULT_CONFIG);
+  const scope = eslintScope.analyze(ast, DEFAULT_CONFIG).acquire(ast, true);
+  const call = (i) => ast.body[i].expression;
+  it('Function declaration', function() {
+    expect(findCalledFunction(scope, call(3))).to.equal(ast.body[0]);
+  });
+  it('Lambda stored in a variable', function() {
+    expect(findCalledFunction(scope, call(4)))
+        .to.equal(ast.body[1].declarations[0].init);
+  });
+  it('Not a function of the file', function() {
+    expect(findCalledFunction(scope, call(5))).to.be.undefined;
+    expect(findCalledFunction(scope, call(6))).to.be.undefined;
+  });
+});
+
+describe('findNodesOfType', function() {
+  it('Finds the nodes in source order', function() {
+    const ast = espree.parse('a(b(), c());', DEFAULT_CONFIG);
+    const visitorKeys = {
+      Program: ['body'],
+      ExpressionStatement: ['expression'],
+      CallExpression: ['callee', 'arguments'],
+    };
+    const outer = ast.body[0].expression;
+    expect(findNodesOfType(ast, 'CallExpression', visitorKeys))
+        .to.deep.equal([outer, outer.arguments[0], outer.arguments[1]]);
+  });
+});
+
+describe('findStaticStringValue', function() {
+  /**
+   * Evaluates the last expression statement of the code.
+   * @param {string} code
+   * @return {string?}
+   */
+  function evaluate(code) {
+    const ast = espree.parse(code, DEFAULT_CONFIG);
+    const scopeManager = eslintScope.analyze(ast, DEFAULT_CONFIG);
+    const scope = scopeManager.acquire(ast, DEFAULT_CONFIG);
+    return findStaticStringValue(scope, last(ast.body).expression);
+  }
+
+  it('String literal', function() {
+    expect(evaluate(`'abc';`)).to.equal('abc');
+  });
+  it('Template literal', function() {
+    expect(evaluate('`abc`;')).to.equal('abc');
+    expect(evaluate('const b = \'b\'; `a${b}c`;')).to.equal('abc');
+  });
+  it('Concatenation', function() {
+    expect(evaluate(`const b = 'b'; 'a' + b + 1;`)).to.equal('ab1');
+  });
+  it('Addition of numbers', function() {
+    expect(evaluate(`1 + 2;`)).to.equal('3');
+    expect(evaluate(`'a' + 1 + 2;`)).to.equal('a12');
+    expect(evaluate(`1 + 2 + 'a';`)).to.equal('3a');
+    expect(evaluate('const n = 1; `${n + 2}`;')).to.equal('3');
+  });
+  it('Constant variable', function() {
+    expect(evaluate(`const a = 'abc'; const b = a; b;`)).to.equal('abc');
+  });
+  it('Reassignable variable', function() {
+    expect(evaluate(`let a = 'abc'; a = 'def'; a;`)).to.be.undefined;
+    expect(evaluate(`var a = 'abc'; a;`)).to.be.undefined;
+  });
+  it('Unknown value', function() {
+    expect(evaluate('`a${getB()}`;')).to.be.undefined;
+    expect(evaluate(`'a' - 1;`)).to.be.undefined;
+    expect(evaluate(`b;`)).to.be.undefined;
+    expect(evaluate(`var a = a; a;`)).to.be.undefined;
+  });
+});
+
+describe('findValueNode', function() {
+  /**
+   * Finds the value of the last expression statement of the code.
+   * @param {string} code
+   * @return {ASTNode?}
+   */
+  function find(code) {
+    const ast = espree.parse(code, DEFAULT_CONFIG);
+    const scopeManager = eslintScope.analyze(ast, DEFAULT_CONFIG);
+    const scope = scopeManager.acquire(ast, DEFAULT_CONFIG);
+    return findValueNode(scope, last(ast.body).expression);
+  }
+
+  it('Follows variables', function() {
+    expect(find('const a = [1]; const b = a; b;'))
+        .to.have.property('type', 'ArrayExpression');
+  });
+  it('Not a variable', function() {
+    expect(find('foo();')).to.have.property('type', 'CallExpression');
+  });
+  it('Variable without value', function() {
+    expect(find('let a; a;')).to.be.undefined;
+    expect(find('var a = b; var b = a; a;')).to.be.undefined;
+  });
+});
+
+describe('findObjectExpression', function() {
+  /**
+   * Finds the object literal of the last expression statement of the code.
+   * @param {string} code
+   * @return {ASTNode?}
+   */
+  function find(code) {
+    const ast = espree.parse(code, DEFAULT_CONFIG);
+    const scopeManager = eslintScope.analyze(ast, DEFAULT_CONFIG);
+    const scope = scopeManager.acquire(ast, DEFAULT_CONFIG);
+    return findObjectExpression(scope, last(ast.body).expression);
+  }
+
+  it('Object literal', function() {
+    expect(find('({a: 1});')).to.have.property('type', 'ObjectExpression');
+  });
+  it('Object literal in a variable', function() {
+    expect(find('const a = {a: 1}; const b = a; b;'))
+        .to.have.property('type', 'ObjectExpression');
+  });
+  it('Not an object literal', function() {
+    expect(find('getOptions();')).to.be.undefined;
+    expect(find('options;')).to.be.undefined;
+  });
+});
+
+describe('findProperty', function() {
+  it('Finds the last property with the name', function() {
+    const ast = espree.parse(`({a: 1, 'b': 2, b: 3, [c]: 4});`,
+        DEFAULT_CONFIG);
+    const objectExpression = ast.body[0].expression;
+    expect(findProperty(objectExpression, 'b').value.value).to.equal(3);
+    expect(findProperty(objectExpression, 'c')).to.be.undefined;
+  });
+});
+
+describe('hasStaticProperties', function() {
+  it('Checks for spread and computed properties', function() {
+    const config = Object.assign({}, DEFAULT_CONFIG, {ecmaVersion: 2018});
+    const parse = (code) => espree.parse(code, config).body[0].expression;
+    expect(hasStaticProperties(parse(`({a: 1, 'b': 2});`))).to.be.true;
+    expect(hasStaticProperties(parse(`({a: 1, ...b});`))).to.be.false;
+    expect(hasStaticProperties(parse(`({[a]: 1});`))).to.be.false;
+  });
+});
+
+describe('alwaysExits', function() {
+  /**
+   * Checks if the first statement of a function body always exits.
+   * @param {string} code
+   * @return {boolean}
+   */
+  function check(code) {
+    const ast = espree.parse(`function f() { ${code} }`, DEFAULT_CONFIG);
+    return alwaysExits(ast.body[0].body.body[0]);
+  }
+
+  it('Return and throw statements', function() {
+    expect(check('return;')).to.be.true;
+    expect(check('throw new Error();')).to.be.true;
+  });
+  it('Block ending with a return', function() {
+    expect(check(`{ conv.close('bye'); return; }`)).to.be.true;
+    expect(check(`{ conv.close('bye'); }`)).to.be.false;
+  });
+  it('If-statement', function() {
+    expect(check('if (a) { return; }')).to.be.false;
+    expect(check('if (a) { return; } else { throw e; }')).to.be.true;
+  });
+});
+
+describe('getArms', function() {
+  it('Conditional and logical expressions', function() {
+    const parse = (code) =>
+      espree.parse(code, DEFAULT_CONFIG).body[0].expression;
+    const conditional = parse('a ? b : c;');
+    expect(getArms(conditional))
+        .to.deep.equal([conditional.consequent, conditional.alternate]);
+    const logical = parse('a || b;');
+    expect(getArms(logical)).to.deep.equal([logical.left, logical.right]);
+  });
+});
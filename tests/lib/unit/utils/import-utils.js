@@ -0,0 +1,154 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * @fileoverview Unit tests for the .../lib/utils/import-utils.js
+ */
+const {
+  findAppFactory,
+  findLibraryImport,
+} = require('../../../../lib/utils/import-utils');
+const {describe, it} = require('mocha');
+const {expect} = require('chai');
+const espree = require('espree');
+const eslintScope = require('eslint-scope');
+
+const DEFAULT_CONFIG = {
+  ecmaVersion: 8,
+  // need to specify module; otherwise, parse doesn't resolve variables
+  sourceType: 'module',
+  // create a top-level tokens array containing all tokens
+  tokens: true,
+  comment: true,
+  loc: true,
+  range: true,
+};
+
+/**
+ * Parses the code and resolves the callee of the last statement, which must
+ * be of form "foo(...)".
+ * @param {string} code
+ * @return {string?}
+ */
+function resolveLastCallee(code) {
+  const ast = espree.parse(code, DEFAULT_CONFIG);
+  const scopeManager = eslintScope.analyze(ast, DEFAULT_CONFIG);
+  const moduleScope = scopeManager.acquire(ast, true);
+  const callee = ast.body[ast.body.length - 1].expression.callee;
+  return findLibraryImport(moduleScope, callee);
+}
+
+describe('findLibraryImport', function() {
+  it('Destructured require', function() {
+    expect(resolveLastCallee(`
+      const {dialogflow} = require('actions-on-google');
+      dialogflow();
+    `)).to.equal('dialogflow');
+  });
+  it('Renamed on destructure', function() {
+    expect(resolveLastCallee(`
+      const {dialogflow: df} = require('actions-on-google');
+      df();
+    `)).to.equal('dialogflow');
+  });
+  it('Namespace member access', function() {
+    expect(resolveLastCallee(`
+      const aog = require('actions-on-google');
+      aog.actionssdk({debug: true});
+    `)).to.equal('actionssdk');
+  });
+  it('Member of require call', function() {
+    expect(resolveLastCallee(`
+      const df = require('actions-on-google').dialogflow;
+      df();
+    `)).to.equal('dialogflow');
+  });
+  it('Alias of an imported binding', function() {
+    expect(resolveLastCallee(`
+      const {dialogflow} = require('actions-on-google');
+      const createApp = dialogflow;
+      createApp();
+    `)).to.equal('dialogflow');
+  });
+  it('Named import with alias', function() {
+    expect(resolveLastCallee(`
+      import {dialogflow as df} from 'actions-on-google';
+      df();
+    `)).to.equal('dialogflow');
+  });
+  it('Namespace import', function() {
+    expect(resolveLastCallee(`
+      import * as aog from 'actions-on-google';
+      aog.dialogflow();
+    `)).to.equal('dialogflow');
+  });
+  it('Default import', function() {
+    expect(resolveLastCallee(`
+      import aog from 'actions-on-google';
+      aog.dialogflow();
+    `)).to.equal('dialogflow');
+  });
+  it('Binding from another module', function() {
+    expect(resolveLastCallee(`
+      const {dialogflow} = require('./my-library');
+      dialogflow();
+    `)).to.be.undefined;
+    expect(resolveLastCallee(`
+      import {dialogflow} from './my-library';
+      dialogflow();
+    `)).to.be.undefined;
+  });
+  it('Undeclared binding', function() {
+    expect(resolveLastCallee(`dialogflow();`)).to.be.undefined;
+  });
+});
+
+describe('findAppFactory', function() {
+  /**
+   * Describes the factory of the identifier the code ends with.
+   * @param {string} code
+   * @return {AppFactory?}
+   */
+  function findFactory(code) {
+    const ast = espree.parse(code, DEFAULT_CONFIG);
+    const scopeManager = eslintScope.analyze(ast, DEFAULT_CONFIG);
+    const moduleScope = scopeManager.acquire(ast, true);
+    return findAppFactory(moduleScope,
+        ast.body[ast.body.length - 1].expression);
+  }
+
+  it('Factory of the library', function() {
+    expect(findFactory(`
+      const {dialogflow: df} = require('actions-on-google');
+      const app = df();
+      app;
+    `)).to.deep.equal({name: 'df', isMember: false,
+      libraryMember: 'dialogflow'});
+  });
+  it('Factory of another module', function() {
+    expect(findFactory(`
+      const app = utils.createApp();
+      app;
+    `)).to.deep.equal({name: 'createApp', isMember: true,
+      libraryMember: undefined});
+  });
+  it('Value which is not created by a call', function() {
+    expect(findFactory(`const app = {}; app;`)).to.be.undefined;
+    expect(findFactory(`app;`)).to.be.undefined;
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint require-jsdoc: 0 */
+'use strict';
+
+/**
+ * @fileoverview Unit tests for the .../lib/utils/loop-utils.js
+ */
+const {isIterationCallback,
+  findArrayLength,
+  findLoopItems,
+  getIterationCount} = require('../../../../lib/utils/loop-utils');
+const {describe, it} = require('mocha');
+const {expect} = require('chai');
+const espree = require('espree');
+const eslintScope = require('eslint-scope');
+
+const DEFAULT_CONFIG = {
+  ecmaVersion: 2018,
+  sourceType: 'module',
+  range: true,
+};
+
+/**
+ * Parses the code, and sets the parent of each node the way ESLint does.
+ * @param {string} code
+ * @return {{ast: ASTNode, scopeManager: ScopeManager}}
+ */
+function parse(code) {
+  const ast = espree.parse(code, DEFAULT_CONFIG);
+  const setParents = (node, parent) => {
+    if (!node || typeof node.type !== 'string') {
+      return;
+    }
+    node.parent = parent;
+    for (const key of Object.keys(node)) {
+      if (key !== 'parent') {
+        [].concat(node[key]).forEach((child) => setParents(child, node));
+      }
+    }
+  };
+  setParents(ast, null);
+  return {ast, scopeManager: eslintScope.analyze(ast, DEFAULT_CONFIG)};
+}
+
+/**
+ * Finds the first call of the function with the given name, the way ESLint
+ * traverses the AST.
+ * @param {ASTNode} node
+ * @param {string} name
+ * @return {ASTNode?}
+ */
+function findCall(node, name) {
+  if (!node || typeof node.type !== 'string') {
+    return undefined;
+  }
+  if (node.type === 'CallExpression' && node.callee.name === name) {
+    return node;
+  }
+  for (const key of Object.keys(node)) {
+    if (key === 'parent') {
+      continue;
+    }
+    for (const child of [].concat(node[key])) {
+      const call = findCall(child, name);
+      if (call) {
+        return call;
+      }
+    }
+  }
+  return undefined;
+}
+
+describe('getIterationCount', function() {
+  // counts the executions of the "respond()" call.
+  function count(code) {
+    const {ast, scopeManager} = parse(code);
+    const call = findCall(ast, 'respond');
+    let scope = null;
+    for (let node = call; !scope; node = node.parent) {
+      scope = scopeManager.acquire(node, true);
+    }
+    return getIterationCount(scope, call);
+  }
+
+  it('Node outside of loops', function() {
+    expect(count(`respond();`)).to.equal(1);
+    expect(count(`for (const a of b) { foo(); } respond();`)).to.equal(1);
+  });
+  it('Loops over array literals', function() {
+    expect(count(`for (const a of ['a', 'b']) { respond(); }`)).to.equal(2);
+    expect(count(`
+      const items = ['a', 'b', 'c'];
+      for (const item of items) {
+        respond();
+      }
+    `)).to.equal(3);
+    expect(count(`['a', 'b'].forEach(() => respond());`)).to.equal(2);
+    expect(count(`for (const k in {a: 1}) { respond(); }`)).to.equal(1);
+  });
+  it('For-statements counting up to a constant', function() {
+    expect(count(`for (let i = 0; i < 3; i++) { respond(); }`)).to.equal(3);
+    expect(count(`for (let i = 1; i <= 3; i += 1) { respond(); }`))
+        .to.equal(3);
+    expect(count(`
+      const items = ['a', 'b'];
+      for (let i = 0; i < items.length; i++) {
+        respond();
+      }
+    `)).to.equal(2);
+    expect(count(`for (let i = 0; i < 3; i++) { i++; respond(); }`))
+        .to.equal(Infinity);
+  });
+  it('Nested loops', function() {
+    expect(count(`
+      for (const a of ['a', 'b']) {
+        ['c', 'd', 'e'].forEach(() => {
+          respond();
+        });
+      }
+    `)).to.equal(6);
+  });
+  it('Loops with unknown iterations', function() {
+    expect(count(`while (a) { respond(); }`)).to.equal(Infinity);
+    expect(count(`for (const a of b) { respond(); }`)).to.equal(Infinity);
+    expect(count(`b.forEach(() => respond());`)).to.equal(Infinity);
+    expect(count(`
+      const items = ['a'];
+      items.push('b');
+      items.map(() => respond());
+    `)).to.equal(Infinity);
+  });
+  it('Block leaving the loop', function() {
+    expect(count(`
+      for (const a of b) {
+        if (a) {
+          respond();
+          break;
+        }
+      }
+    `)).to.equal(1);
+  });
+  it('Functions other than iteration callbacks are not followed', function() {
+    expect(count(`
+      for (const a of b) {
+        fetch().then(() => respond());
+      }
+    `)).to.equal(1);
+  });
+});
+
+describe('findArrayLength', function() {
+  function findLength(code) {
+    const {ast, scopeManager} = parse(code);
+    return findArrayLength(scopeManager.acquire(ast, true),
+        ast.body[ast.body.length - 1].expression);
+  }
+
+  it('Array literals', function() {
+    expect(findLength(`['a', 'b'];`)).to.equal(2);
+    expect(findLength(`const a = ['a']; a;`)).to.equal(1);
+  });
+  it('Arrays of unknown length', function() {
+    expect(findLength(`['a', ...b];`)).to.be.undefined;
+    expect(findLength(`let a = ['a']; a;`)).to.be.undefined;
+    expect(findLength(`const a = ['a']; a.splice(0); a;`)).to.be.undefined;
+    expect(findLength(`b;`)).to.be.undefined;
+  });
+});
+
+describe('findLoopItems', function() {
+  // finds the items taken by the argument of the "respond()" call.
+  function findItems(code) {
+    const {ast, scopeManager} = parse(code);
+    const call = findCall(ast, 'respond');
+    let node = call;
+    while (!scopeManager.acquire(node, true)) {
+      node = node.parent;
+    }
+    const items = findLoopItems(scopeManager.acquire(node, true),
+        call.arguments[0]);
+    return items && items.map((item) => item.value);
+  }
+
+  it('Loops over array literals', function() {
+    expect(findItems(`for (const item of ['a', 'b']) { respond(item); }`))
+        .to.deep.equal(['a', 'b']);
+    expect(findItems(`
+      const items = ['a', 'b'];
+      items.forEach((item) => respond(item));
+    `)).to.deep.equal(['a', 'b']);
+  });
+  it('Items which can not be determined', function() {
+    expect(findItems(`for (const item of items) { respond(item); }`))
+        .to.be.undefined;
+    expect(findItems(`
+      for (let item of ['a', 'b']) {
+        item = item + 'c';
+        respond(item);
+      }
+    `)).to.be.undefined;
+    expect(findItems(`['a', 'b'].reduce((item) => respond(item), '');`))
+        .to.be.undefined;
+    expect(findItems(`const item = 'a'; respond(item);`)).to.be.undefined;
+  });
+});
+
+describe('isIterationCallback', function() {
+  it('Callbacks of array methods', function() {
+    const {ast} = parse(`
+      items.forEach(() => {});
+      items.reduce(function() {}, 0);
+      fetch().then(() => {});
+    `);
+    const [forEach, reduce, then] = ast.body.map((statement) =>
+      statement.expression.arguments[0]);
+    expect(isIterationCallback(forEach)).to.be.true;
+    expect(isIterationCallback(reduce)).to.be.true;
+    expect(isIterationCallback(then)).to.be.false;
+  });
+});
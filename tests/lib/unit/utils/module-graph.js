@@ -0,0 +1,172 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Unit tests for .../js/lib/utils/module-graph.js
+ */
+
+/* eslint require-jsdoc: 0 */
+'use strict';
+
+const path = require('path');
+const {Linter} = require('eslint');
+
+const {
+  resolveModulePath,
+  findExportNames,
+  findCallsImporting,
+  clearModuleCache,
+} = require('./../../../../lib/utils/module-graph');
+const {findVariableByDef, getFunctionNameNode} =
+    require('./../../../../lib/utils/ast-utils');
+const {describe, it} = require('mocha');
+const {expect} = require('chai');
+
+const PROJECT = path.join(__dirname, '../../../fixtures/project');
+
+function fixture(file) {
+  return path.join(PROJECT, file);
+}
+
+function describeCalls(calls) {
+  return calls.map((call) => ({
+    file: path.relative(PROJECT, call.file),
+    name: call.name,
+    line: call.loc.start.line,
+  }));
+}
+
+// Export names of the functions of the code, in order.
+function exportNames(code) {
+  const linter = new Linter();
+  const names = [];
+  linter.defineRule('test', {
+    create(context) {
+      return {
+        'FunctionDeclaration, FunctionExpression, ArrowFunctionExpression':
+          function(node) {
+            const nameNode = getFunctionNameNode(node);
+            names.push(findExportNames(node,
+                nameNode && findVariableByDef(context.getScope(), nameNode)));
+          },
+      };
+    },
+  });
+  const messages = linter.verify(code, {
+    parserOptions: {ecmaVersion: 8, sourceType: 'module'},
+    rules: {test: 'error'},
+  });
+  expect(messages).to.deep.equal([]);
+  return names;
+}
+
+describe('resolveModulePath', function() {
+  it('resolves relative paths to the files of the project', function() {
+    const from = fixture('index.js');
+    expect(resolveModulePath(from, './intents/welcome'))
+        .to.equal(fixture('intents/welcome.js'));
+    expect(resolveModulePath(from, './intents/welcome.js'))
+        .to.equal(fixture('intents/welcome.js'));
+    expect(resolveModulePath(from, './intents'))
+        .to.equal(fixture('intents/index.js'));
+    expect(resolveModulePath(fixture('intents/welcome.js'), '../index'))
+        .to.equal(fixture('index.js'));
+  });
+  it('does not resolve packages and missing files', function() {
+    const from = fixture('index.js');
+    expect(resolveModulePath(from, 'actions-on-google')).to.be.undefined;
+    expect(resolveModulePath(from, './intents/missing')).to.be.undefined;
+  });
+});
+
+describe('findExportNames', function() {
+  it('finds CommonJS exports', function() {
+    expect(exportNames(`
+    module.exports = (conv) => {};
+    exports.welcome = function(conv) {};
+    module.exports.help = (conv) => {};
+    module.exports = {goodbye: (conv) => {}};
+    `)).to.deep.equal([['default'], ['welcome'], ['help'], ['goodbye']]);
+  });
+  it('finds exports of the variable holding the function', function() {
+    expect(exportNames(`
+    function welcome(conv) {}
+    const help = (conv) => {};
+    module.exports = {welcome, help: help};
+    `)).to.deep.equal([['welcome'], ['help']]);
+  });
+  it('finds ES module exports', function() {
+    expect(exportNames(`
+    export function welcome(conv) {}
+    export const help = (conv) => {};
+    const goodbye = (conv) => {};
+    export {goodbye as bye};
+    export default (conv) => {};
+    `)).to.deep.equal([['welcome'], ['help'], ['bye'], ['default']]);
+  });
+  it('does not find functions that are not exported', function() {
+    expect(exportNames(`
+    function welcome(conv) {}
+    welcome.call(null, {});
+    exports.intents = {help: (conv) => {}};
+    `)).to.deep.equal([[], []]);
+  });
+});
+
+describe('findCallsImporting', function() {
+  it('finds the calls passed the module exported as a whole', function() {
+    expect(describeCalls(findCallsImporting(fixture('intents/welcome.js'))))
+        .to.deep.equal([{file: 'index.js', name: 'default', line: 9}]);
+  });
+  it('finds the calls passed a member of the module', function() {
+    expect(describeCalls(findCallsImporting(fixture('intents/index.js'))))
+        .to.deep.equal([{file: 'index.js', name: 'help', line: 10}]);
+    expect(describeCalls(findCallsImporting(fixture('intents/goodbye.js'))))
+        .to.deep.equal([{file: 'index.js', name: 'goodbye', line: 11}]);
+  });
+  it('follows ES module imports', function() {
+    const calls = findCallsImporting(fixture('intents/fallback.js'));
+    expect(calls.map((call) => path.relative(PROJECT, call.file)))
+        .to.deep.equal(['esm.js']);
+    expect(calls.map((call) => call.name)).to.deep.equal(['fallback']);
+  });
+  it('describes the method and the app the call is made on', function() {
+    const [call] = findCallsImporting(fixture('intents/welcome.js'));
+    expect(call).to.have.all.keys('file', 'target', 'name', 'loc', 'method',
+        'appFactory');
+    expect(call.method).to.equal('intent');
+    expect(call.appFactory).to.deep.equal({name: 'dialogflow',
+      isMember: false, libraryMember: 'dialogflow'});
+  });
+  it('finds no calls for modules nobody imports', function() {
+    expect(findCallsImporting(fixture('intents/unused.js'))).to.deep.equal([]);
+    expect(findCallsImporting('<input>')).to.deep.equal([]);
+  });
+  it('skips the build outputs of the project', function() {
+    // dist/bundle.js registers intents/unused.js.
+    expect(findCallsImporting(fixture('intents/unused.js'))).to.deep.equal([]);
+  });
+  it('reuses the modules parsed before', function() {
+    clearModuleCache();
+    const [first] = findCallsImporting(fixture('intents/welcome.js'));
+    const [second] = findCallsImporting(fixture('intents/welcome.js'));
+    expect(second).to.equal(first);
+    clearModuleCache();
+    const [third] = findCallsImporting(fixture('intents/welcome.js'));
+    expect(third).to.not.equal(first);
+    expect(third).to.deep.include({name: first.name, file: first.file});
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * @fileoverview Unit tests for the .../lib/utils/options.js
+ */
+const {createOptionsSchema,
+  getOptions} = require('../../../../lib/utils/options');
+const {describe, it} = require('mocha');
+const {expect} = require('chai');
+
+describe('createOptionsSchema', function() {
+  it('Contains shared options', function() {
+    const schema = createOptionsSchema();
+    expect(schema).to.have.lengthOf(1);
+    expect(schema[0].properties).to.have.all.keys('conversationNames',
+        'appFactories', 'responseMethods', 'helperClasses',
+        'simpleResponseClasses');
+    expect(schema[0].additionalProperties).to.be.false;
+  });
+  it('Contains rule specific options', function() {
+    const schema = createOptionsSchema({max: {type: 'integer'}});
+    expect(schema[0].properties).to.include.keys('max',
+        'conversationNames');
+  });
+});
+
+describe('getOptions', function() {
+  it('No settings nor options', function() {
+    const options = getOptions({});
+    expect(options.conversationNames).to.deep.equal([]);
+    expect(options.helperClasses).to.deep.equal([]);
+  });
+  it('Lists from settings and options are merged', function() {
+    const options = getOptions({
+      settings: {'actions-on-google': {conversationNames: ['c']}},
+      options: [{conversationNames: ['conversation']}],
+    });
+    expect(options.conversationNames).to.deep.equal(['c', 'conversation']);
+  });
+  it('Rule options take precedence over settings', function() {
+    const options = getOptions({
+      settings: {'actions-on-google': {max: 3}},
+      options: [{max: 5}],
+    });
+    expect(options.max).to.equal(5);
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint require-jsdoc: 0 */
+'use strict';
+
+/**
+ * @fileoverview Unit tests for the .../lib/utils/promise-utils.js
+ */
+const {isPromiseExpression,
+  isChainedPromise,
+  isPromiseHandled,
+  isFunctionResultHandled} = require('../../../../lib/utils/promise-utils');
+const {describe, it} = require('mocha');
+const {expect} = require('chai');
+const espree = require('espree');
+const eslintScope = require('eslint-scope');
+
+const DEFAULT_CONFIG = {
+  ecmaVersion: 2018,
+  sourceType: 'module',
+  range: true,
+};
+
+/**
+ * Parses the code, and sets the parent of each node the way ESLint does.
+ * @param {string} code
+ * @return {{ast: ASTNode, scope: RuleScope, scopeManager: ScopeManager}}
+ * module scope is returned.
+ */
+function parse(code) {
+  const ast = espree.parse(code, DEFAULT_CONFIG);
+  const setParents = (node, parent) => {
+    if (!node || typeof node.type !== 'string') {
+      return;
+    }
+    node.parent = parent;
+    for (const key of Object.keys(node)) {
+      if (key !== 'parent') {
+        [].concat(node[key]).forEach((child) => setParents(child, node));
+      }
+    }
+  };
+  setParents(ast, null);
+  const scopeManager = eslintScope.analyze(ast, DEFAULT_CONFIG);
+  return {ast, scope: scopeManager.acquire(ast, true), scopeManager};
+}
+
+/**
+ * Parses the code of an intent handler.
+ * @param {string} code of the form app.intent('a', (conv) => {...});
+ * @return {{scope: RuleScope, handler: ASTNode, body: Array<ASTNode>}}
+ * scope of the handler is returned.
+ */
+function parseHandler(code) {
+  const {ast, scopeManager} = parse(code);
+  const handler = ast.body[0].expression.arguments[1];
+  return {scope: scopeManager.acquire(handler), handler,
+    body: handler.body.body};
+}
+
+describe('isPromiseExpression', function() {
+  function isPromise(code) {
+    const {ast, scope} = parse(code);
+    return isPromiseExpression(scope, ast.body[ast.body.length - 1].expression);
+  }
+
+  it('Promise methods and constructor', function() {
+    expect(isPromise('p.then(() => {});')).to.be.true;
+    expect(isPromise('p.catch(() => {});')).to.be.true;
+    expect(isPromise('p.finally(() => {});')).to.be.true;
+    expect(isPromise('new Promise((resolve) => resolve());')).to.be.true;
+    expect(isPromise('Promise.all([a, b]);')).to.be.true;
+  });
+  it('Async functions defined in the file', function() {
+    expect(isPromise('async function load() {}\nload();')).to.be.true;
+    expect(isPromise('const load = async () => {};\nload();')).to.be.true;
+    expect(isPromise('function load() {}\nload();')).to.be.false;
+    expect(isPromise('load();')).to.be.false;
+  });
+});
+
+describe('isChainedPromise', function() {
+  it('Promise passed on to another promise', function() {
+    let {ast} = parse('load().then(() => {});');
+    expect(isChainedPromise(ast.body[0].expression.callee.object)).to.be.true;
+    ({ast} = parse('Promise.all([load()]);'));
+    expect(isChainedPromise(ast.body[0].expression.arguments[0].elements[0]))
+        .to.be.true;
+  });
+  it('Outermost promise', function() {
+    const {ast} = parse('load().then(() => {});');
+    expect(isChainedPromise(ast.body[0].expression)).to.be.false;
+  });
+});
+
+describe('isPromiseHandled', function() {
+  it('Returned or awaited by the handler', function() {
+    let {scope, handler, body} = parseHandler(`
+      app.intent('a', (conv) => {
+        return load().then(() => {});
+      });
+    `);
+    const load = body[0].argument.callee.object;
+    expect(isPromiseHandled(scope, load, handler)).to.be.true;
+    ({scope, handler, body} = parseHandler(`
+      app.intent('a', async (conv) => {
+        await Promise.all([load()]);
+      });
+    `));
+    const all = body[0].expression.argument;
+    expect(isPromiseHandled(scope, all.arguments[0].elements[0], handler))
+        .to.be.true;
+  });
+  it('Returned through a variable', function() {
+    const {scope, handler, body} = parseHandler(`
+      app.intent('a', (conv) => {
+        const p = load();
+        return p;
+      });
+    `);
+    const load = body[0].declarations[0].init;
+    expect(isPromiseHandled(scope, load, handler)).to.be.true;
+  });
+  it('Not returned by the handler', function() {
+    const {scope, handler, body} = parseHandler(`
+      app.intent('a', (conv) => {
+        load();
+        return save().then(() => {
+          return update();
+        }, () => {
+          notify();
+        });
+      });
+    `);
+    const load = body[0].expression;
+    expect(isPromiseHandled(scope, load, handler)).to.be.false;
+    const [onSave, onError] = body[1].argument.arguments;
+    expect(isPromiseHandled(scope, onSave.body.body[0].argument, handler))
+        .to.be.true;
+    expect(isPromiseHandled(scope, onError.body.body[0].expression, handler))
+        .to.be.false;
+  });
+});
+
+describe('isFunctionResultHandled', function() {
+  it('Handler is always handled', function() {
+    const {scope, handler} = parseHandler(`app.intent('a', (conv) => {});`);
+    expect(isFunctionResultHandled(scope, handler, handler)).to.be.true;
+  });
+  it('Named async function', function() {
+    let {scope, handler, body} = parseHandler(`
+      app.intent('a', async (conv) => {
+        async function respond() {}
+        await respond();
+      });
+    `);
+    expect(isFunctionResultHandled(scope, body[0], handler)).to.be.true;
+    ({scope, handler, body} = parseHandler(`
+      app.intent('a', async (conv) => {
+        async function respond() {}
+        respond();
+      });
+    `));
+    expect(isFunctionResultHandled(scope, body[0], handler)).to.be.false;
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * @fileoverview Unit tests for the .../lib/utils/ssml-utils.js
+ */
+const {
+  isSsml,
+  tokenizeSsml,
+  findSsmlText,
+  validateSsml,
+} = require('../../../../lib/utils/ssml-utils');
+const {describe, it} = require('mocha');
+const {expect} = require('chai');
+
+describe('isSsml', function() {
+  it('Text with a speak tag is SSML', function() {
+    expect(isSsml('<speak>Hello</speak>')).to.be.true;
+    expect(isSsml('Hello <speak>world</speak>')).to.be.true;
+  });
+  it('Plain text is not SSML', function() {
+    expect(isSsml('Hello')).to.be.false;
+    expect(isSsml('a <b')).to.be.false;
+    expect(isSsml('<speaker>')).to.be.false;
+  });
+});
+
+describe('tokenizeSsml', function() {
+  it('Splits tags and text', function() {
+    expect(tokenizeSsml('<speak>Hi<break time="1s"/></speak>')).to.deep.equal([
+      {type: 'tag', source: '<speak>', name: 'speak', attributes: '',
+        closing: false, selfClosing: false},
+      {type: 'text', source: 'Hi'},
+      {type: 'tag', source: '<break time="1s"/>', name: 'break',
+        attributes: ' time="1s"', closing: false, selfClosing: true},
+      {type: 'tag', source: '</speak>', name: 'speak', attributes: '',
+        closing: true, selfClosing: false},
+    ]);
+  });
+  it('Comments and unescaped characters', function() {
+    expect(tokenizeSsml('<!-- a -->1 < 2').map((token) => token.type))
+        .to.deep.equal(['skipped', 'text', 'invalid', 'text']);
+  });
+});
+
+describe('findSsmlText', function() {
+  it('Removes the markup', function() {
+    expect(findSsmlText('<speak><p>Hello</p><break time="1s"/> ' +
+        '<!-- a -->world</speak>')).to.equal('Hello world');
+  });
+  it('Replaces the entities', function() {
+    expect(findSsmlText('<speak>Salt &amp; pepper &#60;3 &#x3E;</speak>'))
+        .to.equal('Salt & pepper <3 >');
+  });
+});
+
+describe('validateSsml', function() {
+  it('Well-formed SSML has no problems', function() {
+    expect(validateSsml(`<speak>
+      <p><s>Hello</s></p>
+      <break time="1s"/>
+      <say-as interpret-as="cardinal">12</say-as> &amp; &lt;3
+      <audio src="https://example.com/a.mp3"><desc>A</desc></audio>
+    </speak>`)).to.deep.equal([]);
+  });
+  it('Comments and XML declarations are skipped', function() {
+    expect(validateSsml('<?xml version="1.0"?><speak><!-- a --></speak>'))
+        .to.deep.equal([]);
+  });
+  it('Unbalanced tags', function() {
+    expect(validateSsml('<speak><p>Hello</speak>'))
+        .to.deep.equal(['<p> is not closed.']);
+    expect(validateSsml('<speak>Hello</p></speak>'))
+        .to.deep.equal(['</p> has no matching start tag.']);
+    expect(validateSsml('<speak>Hello'))
+        .to.deep.equal(['<speak> is not closed.']);
+  });
+  it('Unsupported elements and attributes', function() {
+    expect(validateSsml('<speak><voice>Hello</voice></speak>'))
+        .to.deep.equal(['<voice> is not supported.']);
+    expect(validateSsml('<speak><break duration="1s"/></speak>'))
+        .to.deep.equal(['Attribute "duration" of <break> is not supported.']);
+  });
+  it('Unescaped characters', function() {
+    expect(validateSsml('<speak>Salt & pepper</speak>'))
+        .to.deep.equal(['"&" must be escaped as "&amp;".']);
+    expect(validateSsml('<speak>1 < 2</speak>'))
+        .to.deep.equal(['"<" must be escaped as "&lt;".']);
+  });
+  it('Speak is not the root', function() {
+    const error = '<speak> must be the root element.';
+    expect(validateSsml('Hello <speak>world</speak>'))
+        .to.deep.equal([error]);
+    expect(validateSsml('<speak>Hello</speak> world'))
+        .to.deep.equal([error]);
+    expect(validateSsml('<p><speak>Hello</speak></p>'))
+        .to.deep.equal([error]);
+    expect(validateSsml('<speak>a</speak><speak>b</speak>'))
+        .to.deep.equal([error]);
+    expect(validateSsml('<speak><p><speak>Hello</speak></p></speak>'))
+        .to.deep.equal([error]);
+  });
+  it('Speak inside of a media element', function() {
+    expect(validateSsml('<speak><par><media><speak>Who invented the ' +
+        'telephone?</speak></media></par></speak>')).to.deep.equal([]);
+  });
+  it('Problems are reported once', function() {
+    expect(validateSsml('<speak>a & b & c</speak>'))
+        .to.deep.equal(['"&" must be escaped as "&amp;".']);
+  });
+});